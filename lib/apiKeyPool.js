@@ -0,0 +1,261 @@
+// GeniiData API key pool
+// Every key has its own limits, so every key is scheduled on its own: a token bucket of
+// MAX_REQUESTS_PER_SECOND for the request rate, the daily quota (MAX_REQUESTS_PER_DAY_PER_KEY less
+// DAILY_LIMIT_BUFFER) and a cooldown after GeniiData rate-limits it. acquire() hands out whichever
+// key can send first (round-robin among ready keys), so concurrent fetch workers spread over all
+// keys and one key that is out of quota or cooling down never holds the others up.
+// Usage survives restarts in stateFile (keys are stored as fingerprints, never in clear), and
+// reconcile() lines the counters up with what GeniiData itself reports for a key.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const TokenBucket = require('./tokenBucket');
+const { writeFileAtomic } = require('./atomicFile');
+
+const SAVE_DELAY = 5000; // Batch counter updates into one write
+
+class ApiKeyPool {
+    constructor(options) {
+        this.keys = options.keys;
+        this.requestsPerSecond = options.requestsPerSecond || 5;
+        this.dailyLimit = options.dailyLimit || 2000;
+        this.dailyBuffer = options.dailyBuffer || 0;
+        this.cooldown = options.cooldown || 10 * 60 * 1000;
+        this.nextReset = options.nextReset; // () => timestamp of the next daily quota reset
+        this.stateFile = options.stateFile || null;
+        this.currentIndex = 0;
+        this.saveTimer = null;
+        this.lastSavedAt = null;
+
+        this.usage = {};
+        this.keys.forEach((key, index) => {
+            this.usage[key] = {
+                requestsToday: 0,
+                lastRequestTime: 0,
+                dailyResetTime: this.nextReset(),
+                userAgent: options.userAgents[index % options.userAgents.length] || 'Enhanced-Bitmap-Tracker/2.0',
+                headerRotation: index % 3,
+                bucket: new TokenBucket({ capacity: this.requestsPerSecond, refillPerSecond: this.requestsPerSecond }),
+                cooldownUntil: 0,
+                rateLimitHits: 0,
+                lastRateLimit: null,
+                reconciledAt: 0,
+                providerRequestsLeft: null
+            };
+        });
+
+        this.restored = this.load();
+    }
+
+    // How a key is shown in stats and the request ledger
+    label(key) {
+        return `${this.keys.indexOf(key) + 1} (${key.substring(0, 8)}...)`;
+    }
+
+    fingerprint(key) {
+        return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+    }
+
+    // Restore counters saved before a restart, as long as their quota day has not ended; returns how many keys were restored
+    load() {
+        if (!this.stateFile || !fs.existsSync(this.stateFile)) return 0;
+
+        let state;
+        try {
+            state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+        } catch (error) {
+            console.log(`⚠️ Could not read API key usage ${this.stateFile}: ${error.message}`);
+            return 0;
+        }
+
+        const now = Date.now();
+        let restored = 0;
+        for (const key of this.keys) {
+            const saved = (state.keys || {})[this.fingerprint(key)];
+            if (!saved) continue;
+
+            const usage = this.usage[key];
+            usage.cooldownUntil = Math.max(0, saved.cooldownUntil || 0);
+            usage.rateLimitHits = saved.rateLimitHits || 0;
+            usage.lastRateLimit = saved.lastRateLimit || null;
+            if (saved.dailyResetTime > now) {
+                usage.requestsToday = saved.requestsToday || 0;
+                usage.lastRequestTime = saved.lastRequestTime || 0;
+                usage.dailyResetTime = Math.min(saved.dailyResetTime, usage.dailyResetTime);
+                restored++;
+            }
+        }
+        return restored;
+    }
+
+    save() {
+        if (!this.stateFile) return;
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        const keys = {};
+        this.keys.forEach((key, index) => {
+            const usage = this.usage[key];
+            keys[this.fingerprint(key)] = {
+                keyIndex: index + 1,
+                requestsToday: usage.requestsToday,
+                lastRequestTime: usage.lastRequestTime,
+                dailyResetTime: usage.dailyResetTime,
+                cooldownUntil: usage.cooldownUntil,
+                rateLimitHits: usage.rateLimitHits,
+                lastRateLimit: usage.lastRateLimit
+            };
+        });
+
+        try {
+            writeFileAtomic(this.stateFile, JSON.stringify({ updatedAt: new Date().toISOString(), keys }, null, 2) + '\n');
+            this.lastSavedAt = new Date().toISOString();
+        } catch (error) {
+            console.log(`⚠️ Could not save API key usage: ${error.message}`);
+        }
+    }
+
+    scheduleSave() {
+        if (!this.stateFile || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+        if (this.saveTimer.unref) this.saveTimer.unref();
+    }
+
+    resetIfDue(key, now) {
+        const usage = this.usage[key];
+        if (now >= usage.dailyResetTime) {
+            usage.requestsToday = 0;
+            usage.dailyResetTime = this.nextReset();
+            usage.providerRequestsLeft = null;
+            console.log(`🔄 Daily limit reset for API key ${this.keys.indexOf(key) + 1}`);
+            this.scheduleSave();
+        }
+    }
+
+    hasDailyQuota(key, now = Date.now()) {
+        this.resetIfDue(key, now);
+        return this.usage[key].requestsToday < this.dailyLimit - this.dailyBuffer;
+    }
+
+    // True while any key is below its daily limit (cooldowns and the per-second rate aside)
+    hasQuota() {
+        const now = Date.now();
+        return this.keys.some(key => this.hasDailyQuota(key, now));
+    }
+
+    // Wait for the first key that may send a request now and take one of its tokens: { key, userAgent, keyIndex }
+    // Throws "Rate limit exceeded" when every key is out of quota or cooling down
+    async acquire() {
+        for (;;) {
+            const now = Date.now();
+            const withQuota = this.keys.filter(key => this.hasDailyQuota(key, now));
+            if (withQuota.length === 0) {
+                throw new Error('Rate limit exceeded - all API keys exhausted');
+            }
+
+            const ready = withQuota.filter(key => this.usage[key].cooldownUntil <= now);
+            if (ready.length === 0) {
+                throw new Error('Rate limit exceeded - all API keys cooling down');
+            }
+
+            for (let i = 0; i < this.keys.length; i++) {
+                const keyIndex = (this.currentIndex + i) % this.keys.length;
+                const key = this.keys[keyIndex];
+                if (ready.includes(key) && this.usage[key].bucket.tryTake(now)) {
+                    this.currentIndex = (keyIndex + 1) % this.keys.length;
+                    return { key, userAgent: this.usage[key].userAgent, keyIndex };
+                }
+            }
+
+            const wait = Math.min(...ready.map(key => this.usage[key].bucket.msUntilToken(now)));
+            await new Promise(resolve => setTimeout(resolve, Math.max(wait, 1)));
+        }
+    }
+
+    record(keyInfo) {
+        const usage = this.usage[keyInfo.key];
+        usage.lastRequestTime = Date.now();
+        usage.requestsToday++;
+        this.scheduleSave();
+    }
+
+    // GeniiData rate-limited this key: leave it alone for the cooldown
+    penalize(keyInfo, reason) {
+        const usage = this.usage[keyInfo.key];
+        usage.cooldownUntil = Date.now() + this.cooldown;
+        usage.rateLimitHits++;
+        usage.lastRateLimit = reason;
+        this.scheduleSave();
+        console.log(`🔑 API key ${keyInfo.keyIndex + 1} rate limited (${reason}) - resting it for ${Math.round(this.cooldown / 60000)} minutes`);
+    }
+
+    // The key's quota is used up for today (e.g. GeniiData reports no requests left)
+    exhaust(keyInfo) {
+        this.usage[keyInfo.key].requestsToday = Math.max(this.usage[keyInfo.key].requestsToday, this.dailyLimit);
+        this.scheduleSave();
+    }
+
+    // Whether the provider's own usage figures for a key are older than maxAge
+    needsReconcile(keyInfo, maxAge) {
+        return Date.now() - this.usage[keyInfo.key].reconciledAt >= maxAge;
+    }
+
+    // Take the provider's count of today's requests ({ requestsMade, requestsLeft }) as the truth for a key
+    reconcile(keyInfo, usageInfo) {
+        const usage = this.usage[keyInfo.key];
+        usage.reconciledAt = Date.now();
+        if (!usageInfo) return;
+
+        if (Number.isInteger(usageInfo.requestsMade) && usageInfo.requestsMade !== usage.requestsToday) {
+            console.log(`🔑 API key ${keyInfo.keyIndex + 1}: GeniiData counts ${usageInfo.requestsMade} requests today, we counted ${usage.requestsToday} - using GeniiData's count`);
+            usage.requestsToday = usageInfo.requestsMade;
+        }
+        if (Number.isInteger(usageInfo.requestsLeft)) {
+            usage.providerRequestsLeft = usageInfo.requestsLeft;
+        }
+        this.scheduleSave();
+    }
+
+    // Milliseconds until acquire() could hand out a key again
+    nextAvailableIn() {
+        const now = Date.now();
+        const withQuota = this.keys.filter(key => this.hasDailyQuota(key, now));
+        if (withQuota.length === 0) {
+            return Math.max(0, Math.min(...this.keys.map(key => this.usage[key].dailyResetTime)) - now);
+        }
+
+        return Math.min(...withQuota.map(key => {
+            const usage = this.usage[key];
+            return Math.max(usage.cooldownUntil - now, usage.bucket.msUntilToken(now), 0);
+        }));
+    }
+
+    getTotalDailyUsage() {
+        return Object.values(this.usage).reduce((total, usage) => total + usage.requestsToday, 0);
+    }
+
+    // Per-key state for /api/stats (keys are shortened)
+    getStats() {
+        const now = Date.now();
+        return this.keys.map((key, index) => {
+            const usage = this.usage[key];
+            usage.bucket.refill(now);
+            return {
+                key: this.label(key),
+                requestsToday: usage.requestsToday,
+                dailyLimit: this.dailyLimit,
+                tokens: parseFloat(usage.bucket.tokens.toFixed(2)),
+                coolingDownFor: Math.max(0, usage.cooldownUntil - now),
+                rateLimitHits: usage.rateLimitHits,
+                lastRateLimit: usage.lastRateLimit,
+                providerRequestsLeft: usage.providerRequestsLeft,
+                reconciledAt: usage.reconciledAt ? new Date(usage.reconciledAt).toISOString() : null,
+                dailyResetTime: new Date(usage.dailyResetTime).toISOString()
+            };
+        });
+    }
+}
+
+module.exports = ApiKeyPool;
@@ -0,0 +1,50 @@
+// Crash-safe file replacement
+// Content is written to a temp file in the same directory, flushed to disk and renamed over the
+// target, so readers and crashes only ever see the old file or the complete new one.
+
+const fs = require('fs');
+const path = require('path');
+
+function writeFileAtomic(filePath, content) {
+    const dir = path.dirname(path.resolve(filePath));
+    const tempFile = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+
+    let fd = null;
+    try {
+        fd = fs.openSync(tempFile, 'w');
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+        fd = null;
+
+        fs.renameSync(tempFile, filePath);
+    } catch (error) {
+        if (fd !== null) {
+            try { fs.closeSync(fd); } catch (closeError) { /* already failing */ }
+        }
+        try { fs.unlinkSync(tempFile); } catch (unlinkError) { /* temp file may not exist */ }
+        throw error;
+    }
+
+    // Persist the rename itself (not supported on every platform)
+    try {
+        const dirFd = fs.openSync(dir, 'r');
+        fs.fsyncSync(dirFd);
+        fs.closeSync(dirFd);
+    } catch (error) {
+        // Directory fsync is best effort
+    }
+}
+
+// Append and flush before returning, so the data survives a crash right after the call
+function appendFileDurable(filePath, content) {
+    const fd = fs.openSync(filePath, 'a');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+module.exports = { writeFileAtomic, appendFileDurable };
@@ -0,0 +1,270 @@
+// Backfill jobs
+// A job walks an arbitrary block range (fromBlock..toBlock) next to the regular backfill, so a range
+// can be filled, or re-checked, without touching HISTORICAL_START_BLOCK or backfill_progress.json.
+// Jobs can be paused, resumed and cancelled and survive restarts in stateFile: the cursor and the
+// blocks that were handed out but not finished are saved, so nothing in between is lost. Progress
+// is saved a few seconds late at most; a cursor that is behind only re-walks blocks already stored.
+// Each job has a priority from 1 to 10, its weight when the tracker shares the fetch workers between
+// the realtime queue, the regular backfill and the jobs. Blocks already stored are skipped without
+// a request.
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomicFile');
+
+const STATUSES = ['running', 'paused', 'cancelled', 'completed'];
+const MIN_PRIORITY = 1;
+const MAX_PRIORITY = 10;
+const DEFAULT_PRIORITY = 5;
+const SAVE_DELAY = 2000;
+
+class BackfillJobs {
+    constructor(options) {
+        this.stateFile = options.stateFile;
+        this.isDone = options.isDone || (() => false); // blockNumber -> already stored (bitmap or confirmed empty)
+
+        this.jobs = new Map(); // id -> job
+        this.nextId = 1;
+        this.runs = new Map(); // id -> { startedAt, processed } since the job was last started or resumed (for the ETA)
+        this.saveTimer = null;
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.stateFile)) {
+                const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+                (state.jobs || []).forEach(job => {
+                    // Blocks that were in flight when the tracker stopped are handed out again
+                    this.jobs.set(job.id, { ...job, retry: (job.retry || []).concat(job.outstanding || []), outstanding: [] });
+                });
+                this.nextId = state.nextId || this.jobs.size + 1;
+            }
+        } catch (error) {
+            console.log(`⚠️ Could not read backfill jobs ${this.stateFile}: ${error.message}`);
+        }
+    }
+
+    save() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        try {
+            const jobs = Array.from(this.jobs.values()).sort((a, b) => a.id - b.id);
+            writeFileAtomic(this.stateFile, JSON.stringify({ nextId: this.nextId, jobs }, null, 2) + '\n');
+        } catch (error) {
+            console.log(`⚠️ Could not save backfill jobs: ${error.message}`);
+        }
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+        if (this.saveTimer.unref) this.saveTimer.unref();
+    }
+
+    // Throws on an invalid range or priority; returns the new (running) job
+    create({ fromBlock, toBlock, priority = DEFAULT_PRIORITY, note = null }, maxBlock = Infinity) {
+        if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock) || fromBlock < 0 || toBlock < fromBlock) {
+            throw new Error('fromBlock and toBlock must be block numbers with fromBlock <= toBlock');
+        }
+        if (toBlock > maxBlock) {
+            throw new Error(`toBlock ${toBlock} is above the current block height ${maxBlock}`);
+        }
+        if (!Number.isInteger(priority) || priority < MIN_PRIORITY || priority > MAX_PRIORITY) {
+            throw new Error(`priority must be an integer from ${MIN_PRIORITY} to ${MAX_PRIORITY}`);
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: this.nextId++,
+            fromBlock,
+            toBlock,
+            priority,
+            note: note ? String(note).substring(0, 200) : null,
+            status: 'running',
+            cursor: fromBlock, // Next block not yet handed out
+            retry: [], // Handed-back blocks to hand out again
+            outstanding: [], // Handed out, not finished
+            counts: { bitmaps: 0, empty: 0, skipped: 0, failed: 0 },
+            createdAt: now,
+            updatedAt: now,
+            completedAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.runs.set(job.id, { startedAt: Date.now(), processed: 0 });
+        this.save();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    // Jobs the scheduler may take blocks from, highest priority first
+    runnable() {
+        return Array.from(this.jobs.values())
+            .filter(job => job.status === 'running')
+            .sort((a, b) => b.priority - a.priority || a.id - b.id);
+    }
+
+    setStatus(id, status) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        job.status = status;
+        job.updatedAt = new Date().toISOString();
+        if (status === 'running') this.runs.set(id, { startedAt: Date.now(), processed: 0 });
+        if (status !== 'running') this.runs.delete(id);
+        this.save();
+        return job;
+    }
+
+    // Pause, resume or cancel; throws when the job is not in a state that allows it
+    pause(id) {
+        return this.transition(id, ['running'], 'paused');
+    }
+
+    resume(id) {
+        return this.transition(id, ['paused'], 'running');
+    }
+
+    cancel(id) {
+        return this.transition(id, ['running', 'paused'], 'cancelled');
+    }
+
+    transition(id, from, to) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        if (!from.includes(job.status)) {
+            throw new Error(`Job ${id} is ${job.status} and cannot be ${to === 'running' ? 'resumed' : to}`);
+        }
+        return this.setStatus(id, to);
+    }
+
+    // Next block of a running job that still needs a lookup, or null when none is left to hand out
+    nextBlock(id) {
+        const job = this.jobs.get(id);
+        if (!job || job.status !== 'running') return null;
+
+        let skipped = 0;
+        let blockNumber = null;
+        while (job.retry.length > 0) {
+            const candidate = job.retry.shift();
+            if (!this.isDone(candidate)) {
+                blockNumber = candidate;
+                break;
+            }
+            skipped++;
+        }
+        while (blockNumber === null && job.cursor <= job.toBlock) {
+            const candidate = job.cursor++;
+            if (!this.isDone(candidate)) blockNumber = candidate;
+            else skipped++;
+        }
+
+        if (skipped > 0) {
+            job.counts.skipped += skipped;
+            this.countRun(id, skipped);
+        }
+        if (blockNumber !== null) job.outstanding.push(blockNumber);
+        this.completeIfFinished(job);
+        if (blockNumber !== null || skipped > 0) {
+            job.updatedAt = new Date().toISOString();
+            this.scheduleSave();
+        }
+        return blockNumber;
+    }
+
+    // A handed-out block was looked up: outcome is 'bitmap', 'empty' or 'failed'
+    finish(id, blockNumber, outcome) {
+        const job = this.jobs.get(id);
+        if (!job) return;
+
+        job.outstanding = job.outstanding.filter(block => block !== blockNumber);
+        if (outcome === 'bitmap') job.counts.bitmaps++;
+        else if (outcome === 'empty') job.counts.empty++;
+        else job.counts.failed++;
+        this.countRun(id, 1);
+        job.updatedAt = new Date().toISOString();
+        this.completeIfFinished(job);
+        this.scheduleSave();
+    }
+
+    // A handed-out block could not be looked up now (no quota); it is handed out again later
+    handBack(id, blockNumber) {
+        const job = this.jobs.get(id);
+        if (!job) return;
+
+        job.outstanding = job.outstanding.filter(block => block !== blockNumber);
+        if (job.status === 'running' || job.status === 'paused') job.retry.unshift(blockNumber);
+        this.scheduleSave();
+    }
+
+    countRun(id, count) {
+        const run = this.runs.get(id);
+        if (run) run.processed += count;
+    }
+
+    completeIfFinished(job) {
+        if (job.status !== 'running' || job.cursor <= job.toBlock || job.retry.length > 0 || job.outstanding.length > 0) return;
+
+        job.status = 'completed';
+        job.completedAt = new Date().toISOString();
+        this.runs.delete(job.id);
+        console.log(`✅ Backfill job ${job.id} (${job.fromBlock}-${job.toBlock}) completed`);
+    }
+
+    // Job with progress and, while running, the rate and ETA of the current run
+    describe(job, now = Date.now()) {
+        const total = job.toBlock - job.fromBlock + 1;
+        const done = job.counts.bitmaps + job.counts.empty + job.counts.skipped + job.counts.failed;
+        const remaining = Math.max(0, total - done);
+        const run = this.runs.get(job.id);
+        const elapsed = run ? (now - run.startedAt) / 1000 : 0;
+        const rate = run && elapsed > 0 && run.processed > 0 ? run.processed / elapsed : null;
+        const etaSeconds = job.status === 'running' && rate ? Math.round(remaining / rate) : null;
+
+        return {
+            id: job.id,
+            fromBlock: job.fromBlock,
+            toBlock: job.toBlock,
+            priority: job.priority,
+            note: job.note,
+            status: job.status,
+            progress: {
+                total,
+                done,
+                remaining,
+                percent: parseFloat(((done / total) * 100).toFixed(2)),
+                ...job.counts,
+                inFlight: job.outstanding.length
+            },
+            blocksPerMinute: rate ? parseFloat((rate * 60).toFixed(2)) : null,
+            etaSeconds,
+            eta: etaSeconds !== null ? new Date(now + etaSeconds * 1000).toISOString() : null,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            completedAt: job.completedAt
+        };
+    }
+
+    list(status = null) {
+        const now = Date.now();
+        return Array.from(this.jobs.values())
+            .filter(job => !status || job.status === status)
+            .sort((a, b) => b.id - a.id)
+            .map(job => this.describe(job, now));
+    }
+
+    getStats() {
+        const stats = { total: this.jobs.size };
+        STATUSES.forEach(status => { stats[status] = 0; });
+        this.jobs.forEach(job => { stats[job.status]++; });
+        return stats;
+    }
+}
+
+module.exports = BackfillJobs;
@@ -0,0 +1,130 @@
+// Quota-aware backfill planner
+// Decides how much of the GeniiData quota the backfill (regular backfill and backfill jobs) may spend,
+// and projects when the backlog will be done. A share of every quota day is always held back for new
+// blocks from the websocket: reserveBlocksPerDay blocks (or the number actually seen over the last day,
+// if higher) at the measured requests per block. Backfill may use what is left of today's quota above
+// that reserve and the daily buffer; once only the reserve is left it waits for the quota reset.
+// The projection uses the planned blocks per day, or the measured backfill rate when that is lower.
+
+const { RequestLedger, WINDOWS } = require('./requestLedger');
+
+const DAY = WINDOWS.day;
+
+// ISO time for a timestamp, or null when there is none (resetAt is null without any GeniiData key)
+function isoTime(time) {
+    return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+class BackfillPlanner {
+    constructor(options = {}) {
+        this.reserveBlocksPerDay = options.reserveBlocksPerDay || 200;
+        this.lookups = new RequestLedger(); // 'realtime' / 'backfill' -> blocks looked up
+        this.held = false;
+    }
+
+    // A block was looked up with a provider (kind: 'realtime' or 'backfill')
+    recordLookup(kind, now = Date.now()) {
+        this.lookups.record(kind, null, now);
+    }
+
+    // Average provider requests per block lookup over the last day (1 until there is anything to measure)
+    requestsPerBlock(requestsLastDay, now = Date.now()) {
+        const lookups = this.lookups.count('realtime', DAY, {}, now) + this.lookups.count('backfill', DAY, {}, now);
+        if (lookups === 0 || requestsLastDay === 0) return 1;
+        return Math.max(1, requestsLastDay / lookups);
+    }
+
+    // Requests a full quota day keeps back for websocket blocks
+    reservePerDay(requestsPerBlock, now = Date.now()) {
+        const seen = this.lookups.count('realtime', DAY, {}, now);
+        return Math.ceil(Math.max(this.reserveBlocksPerDay, seen) * requestsPerBlock);
+    }
+
+    // Requests the backfill may still send today. quota: { perDay, used, buffer, resetAt, requestsLastDay }
+    allowance(quota, now = Date.now()) {
+        const requestsPerBlock = this.requestsPerBlock(quota.requestsLastDay, now);
+        const dayLeft = Math.min(1, Math.max(0, (quota.resetAt - now) / DAY));
+        const reserveToday = Math.ceil(this.reservePerDay(requestsPerBlock, now) * dayLeft);
+        const remaining = Math.max(0, quota.perDay - quota.buffer - quota.used);
+        return {
+            requestsPerBlock,
+            remaining,
+            reserveToday,
+            requests: Math.max(0, remaining - reserveToday)
+        };
+    }
+
+    // Whether the backfill may take another block now; logs when that changes
+    allowsBackfill(quota, now = Date.now()) {
+        const allowance = this.allowance(quota, now);
+        const held = allowance.requests < allowance.requestsPerBlock;
+        if (held !== this.held) {
+            this.held = held;
+            console.log(held
+                ? `⏸️ Backfill paused until ${isoTime(quota.resetAt) || 'the quota resets'}: the remaining ${allowance.remaining} requests are held back for new blocks`
+                : '▶️ Backfill resumed: quota available above the realtime reserve');
+        }
+        return !held;
+    }
+
+    // Full plan. quota as for allowance() plus perHour; backlog: { gaps, jobBlocks }
+    plan(quota, backlog, now = Date.now()) {
+        const allowance = this.allowance(quota, now);
+        const { requestsPerBlock } = allowance;
+        const reservePerDay = this.reservePerDay(requestsPerBlock, now);
+
+        // Requests a whole quota day can carry: the daily limit less the buffer, or the hourly pacing if that is tighter
+        const dailyCapacity = Math.min(quota.perDay - quota.buffer, Math.floor(quota.perHour * 0.9) * 24);
+        const quotaBlocksPerDay = Math.max(0, Math.floor((dailyCapacity - reservePerDay) / requestsPerBlock));
+        const blocksLastHour = this.lookups.count('backfill', WINDOWS.hour, {}, now);
+        const measuredBlocksPerDay = blocksLastHour > 0 ? blocksLastHour * 24 : null;
+        const blocksPerDay = measuredBlocksPerDay !== null ? Math.min(quotaBlocksPerDay, measuredBlocksPerDay) : quotaBlocksPerDay;
+        const blocksToday = Math.floor(allowance.requests / requestsPerBlock);
+
+        const total = backlog.gaps + backlog.jobBlocks;
+        let finishAt = null;
+        if (total === 0) {
+            finishAt = now;
+        } else if (total <= blocksToday && blocksPerDay > 0) {
+            finishAt = now + (total / blocksPerDay) * DAY;
+        } else if (blocksPerDay > 0) {
+            finishAt = (Number.isFinite(quota.resetAt) ? Math.max(quota.resetAt, now) : now) + ((total - blocksToday) / blocksPerDay) * DAY;
+        }
+
+        return {
+            generatedAt: new Date(now).toISOString(),
+            quota: {
+                dailyLimit: quota.perDay,
+                hourlyLimit: quota.perHour,
+                usedToday: quota.used,
+                remainingToday: allowance.remaining,
+                buffer: quota.buffer,
+                dailyCapacity,
+                resetsAt: isoTime(quota.resetAt)
+            },
+            requestsPerBlock: parseFloat(requestsPerBlock.toFixed(2)),
+            realtimeReserve: {
+                blocksLastDay: this.lookups.count('realtime', DAY, {}, now),
+                requestsPerDay: reservePerDay,
+                requestsRestOfToday: allowance.reserveToday
+            },
+            backfill: {
+                held: allowance.requests < requestsPerBlock,
+                requestsLeftToday: allowance.requests,
+                blocksLeftToday: blocksToday,
+                plannedBlocksPerDay: quotaBlocksPerDay,
+                blocksLastHour,
+                measuredBlocksPerDay,
+                limitedBy: measuredBlocksPerDay !== null && measuredBlocksPerDay < quotaBlocksPerDay ? 'rate' : 'quota'
+            },
+            backlog: { ...backlog, total },
+            projection: {
+                days: Number.isFinite(finishAt) ? parseFloat(((finishAt - now) / DAY).toFixed(2)) : null,
+                finishAt: isoTime(finishAt),
+                finishDate: Number.isFinite(finishAt) ? isoTime(finishAt).substring(0, 10) : null
+            }
+        };
+    }
+}
+
+module.exports = BackfillPlanner;
@@ -0,0 +1,136 @@
+// Bitmap validity engine ("first is first")
+// Decides on its own which inscription owns block N instead of trusting a provider:
+//   - the content must be exactly "<N>.bitmap": ASCII digits without leading zeros, lower-case
+//     suffix, nothing before or after it (no whitespace, no trailing newline)
+//   - the inscription must be text/plain (any charset) and not cursed (negative number)
+//   - N must not be above the chain tip when the claim was inscribed (N <= inscription height)
+//   - of the valid claims for N, the lowest inscription number wins; later ones are duplicates
+// judgeAnswer() turns this into a verdict on a provider's answer, which is stored with the
+// block's source record. Pure functions only - callers fetch the inscriptions.
+
+const REASONS = {
+    first_claim: 'Lowest-numbered valid claim for the block',
+    claim_only: 'Valid claim; competing claims were not checked',
+    no_claims: 'No valid claim exists for the block',
+    empty: 'Content is empty',
+    not_text: 'Content type is not text/plain',
+    whitespace: 'Content has surrounding whitespace or line breaks',
+    wrong_suffix: 'Content does not end in ".bitmap" (case-sensitive)',
+    not_a_number: 'Text before ".bitmap" is not a plain decimal number',
+    leading_zeros: 'Block number has leading zeros',
+    cursed: 'Cursed inscription (negative inscription number)',
+    above_tip: 'Block did not exist yet when the claim was inscribed',
+    wrong_block: 'Claim is for a different block',
+    not_first: 'A lower-numbered valid claim exists for the block',
+    missed_claim: 'Provider reported no bitmap but a valid claim exists',
+    not_checked: 'Provider answer could not be checked'
+};
+
+const SUFFIX = '.bitmap';
+
+// { valid, number, reason } for a piece of inscription text; number is set whenever one can be read
+function parseBitmapClaim(content) {
+    if (typeof content !== 'string' || content.length === 0) {
+        return { valid: false, number: null, reason: 'empty' };
+    }
+
+    const trimmed = content.trim();
+    if (trimmed !== content) {
+        const inner = parseBitmapClaim(trimmed);
+        return { valid: false, number: inner.number, reason: 'whitespace' };
+    }
+
+    if (!content.endsWith(SUFFIX)) {
+        const lowerMatch = /^(\d+)\.bitmap$/i.exec(content);
+        return { valid: false, number: lowerMatch ? parseInt(lowerMatch[1], 10) : null, reason: 'wrong_suffix' };
+    }
+
+    const digits = content.slice(0, -SUFFIX.length);
+    if (!/^[0-9]+$/.test(digits)) {
+        return { valid: false, number: null, reason: 'not_a_number' };
+    }
+    if (digits.length > 1 && digits.startsWith('0')) {
+        return { valid: false, number: parseInt(digits, 10), reason: 'leading_zeros' };
+    }
+
+    const number = parseInt(digits, 10);
+    if (!Number.isSafeInteger(number)) {
+        return { valid: false, number: null, reason: 'not_a_number' };
+    }
+
+    return { valid: true, number, reason: null };
+}
+
+// Check one inscription as a claim: { inscriptionId, inscriptionNumber, inscribedHeight, content, contentType }
+// contentType and inscribedHeight are only checked when known
+function checkClaim(claim) {
+    if (claim.contentType && !/^text\/plain(;|$)/i.test(claim.contentType.trim())) {
+        return { valid: false, number: null, reason: 'not_text' };
+    }
+
+    const parsed = parseBitmapClaim(claim.content);
+    if (!parsed.valid) return parsed;
+
+    if (Number.isInteger(claim.inscriptionNumber) && claim.inscriptionNumber < 0) {
+        return { valid: false, number: parsed.number, reason: 'cursed' };
+    }
+    if (Number.isInteger(claim.inscribedHeight) && parsed.number > claim.inscribedHeight) {
+        return { valid: false, number: parsed.number, reason: 'above_tip' };
+    }
+
+    return parsed;
+}
+
+// First-is-first over every known claim: { winner, rejected: [{ inscriptionId, reason }] } for block N
+function pickWinner(blockNumber, claims) {
+    const ordered = claims.slice().sort((a, b) => a.inscriptionNumber - b.inscriptionNumber);
+    const rejected = [];
+    let winner = null;
+
+    for (const claim of ordered) {
+        const check = checkClaim(claim);
+        if (check.number !== blockNumber) continue;
+
+        if (!check.valid) {
+            rejected.push({ inscriptionId: claim.inscriptionId, reason: check.reason });
+        } else if (winner) {
+            rejected.push({ inscriptionId: claim.inscriptionId, reason: 'not_first' });
+        } else {
+            winner = claim;
+        }
+    }
+
+    return { winner, rejected };
+}
+
+// Verdict on a provider's answer (inscription ID, or null for "no bitmap") given the claims known for
+// block N. complete says whether claims holds every claim for N, which first-is-first and "no bitmap"
+// answers need; otherwise only the answer's own claim can be checked.
+function judgeAnswer(blockNumber, answerInscriptionId, claims, options = {}) {
+    const complete = options.complete === true;
+    const { winner } = pickWinner(blockNumber, claims);
+    const verdict = (status, reason) => ({
+        status,
+        reason,
+        expectedInscriptionId: winner && winner.inscriptionId !== answerInscriptionId ? winner.inscriptionId : null,
+        checkedAt: new Date().toISOString()
+    });
+
+    if (!answerInscriptionId) {
+        if (winner) return verdict('invalid', 'missed_claim');
+        return complete ? verdict('valid', 'no_claims') : verdict('unverified', 'not_checked');
+    }
+
+    // An answer missing from a complete claim list cannot be the first valid claim
+    const answer = claims.find(claim => claim.inscriptionId === answerInscriptionId);
+    if (!answer) return complete && winner ? verdict('invalid', 'not_first') : verdict('unverified', 'not_checked');
+
+    const check = checkClaim(answer);
+    if (!check.valid) return verdict('invalid', check.reason);
+    if (check.number !== blockNumber) return verdict('invalid', 'wrong_block');
+
+    if (winner && winner.inscriptionId !== answerInscriptionId) return verdict('invalid', 'not_first');
+    return complete ? verdict('valid', 'first_claim') : verdict('valid', 'claim_only');
+}
+
+module.exports = { REASONS, parseBitmapClaim, checkClaim, pickWinner, judgeAnswer };
@@ -0,0 +1,169 @@
+// Streaming bulk export of stored bitmap rows
+// Rows are pulled from storage a page at a time and written as CSV, NDJSON or a JSON array,
+// optionally gzipped, so the full dataset never has to be held in memory. While streaming, the
+// row count and SHA-256 of the uncompressed (and compressed) output are accumulated and written to
+// a manifest file once the export completes, so mirrors can check what they received.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { writeFileAtomic } = require('./atomicFile');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const CSV_HEADER = 'block_number,inscription_id,sat_number,block_time';
+
+// Pass-through that hashes and counts everything flowing through it
+function createDigestStream() {
+    const hash = crypto.createHash('sha256');
+    const digest = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            digest.bytes += chunk.length;
+            callback(null, chunk);
+        }
+    });
+    digest.bytes = 0;
+    digest.sha256 = () => hash.digest('hex');
+    return digest;
+}
+
+class BlockExporter {
+    constructor(options) {
+        this.storage = options.storage;
+        this.exportDir = options.exportDir;
+    }
+
+    static get FORMATS() {
+        return FORMATS;
+    }
+
+    fileName(exportId, format, gzip) {
+        return `${exportId}.${FORMATS[format].extension}${gzip ? '.gz' : ''}`;
+    }
+
+    manifestFile(exportId) {
+        return path.join(this.exportDir, `${exportId}.manifest.json`);
+    }
+
+    readManifest(exportId) {
+        if (!/^[\w.-]+$/.test(exportId)) return null;
+        const manifestFile = this.manifestFile(exportId);
+        return fs.existsSync(manifestFile) ? JSON.parse(fs.readFileSync(manifestFile, 'utf8')) : null;
+    }
+
+    // Export row shape shared by every format; timestamp is the real block time when known
+    toExportRow(entry) {
+        const metadata = this.storage.getBlockMetadata(entry.blockNumber);
+        return {
+            blockNumber: entry.blockNumber,
+            inscriptionId: entry.inscriptionId || null,
+            satNumber: entry.satNumber || null,
+            timestamp: metadata && metadata.blockTime ? new Date(metadata.blockTime * 1000).toISOString() : null
+        };
+    }
+
+    *serialize(format, from, to, counter) {
+        if (format === 'csv') yield `${CSV_HEADER}\n`;
+        if (format === 'json') yield '[';
+
+        for (const entry of this.storage.iterateBlocks(from, to)) {
+            const row = this.toExportRow(entry);
+
+            if (format === 'csv') {
+                yield `${row.blockNumber},${row.inscriptionId || ''},${row.satNumber || ''},${row.timestamp || ''}\n`;
+            } else if (format === 'ndjson') {
+                yield `${JSON.stringify(row)}\n`;
+            } else {
+                yield `${counter.rows > 0 ? ',' : ''}\n${JSON.stringify(row)}`;
+            }
+            counter.rows++;
+        }
+
+        if (format === 'json') yield counter.rows > 0 ? '\n]\n' : ']\n';
+    }
+
+    createExportId(from, to) {
+        return `bitmaps-${from}-${Number.isFinite(to) ? to : 'latest'}-${Date.now()}`;
+    }
+
+    // Stream an export into output (an HTTP response or any writable) and write its manifest
+    // Resolves with the manifest once everything is written, leaving output open so the caller can
+    // add trailers and end it; resolves with null when output was closed before the export finished
+    export({ exportId, format = 'csv', from = 0, to = Infinity, gzip = false }, output) {
+        if (!FORMATS[format]) {
+            return Promise.reject(new Error(`Unknown export format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`));
+        }
+
+        exportId = exportId || this.createExportId(from, to);
+        const startedAt = new Date().toISOString();
+        const counter = { rows: 0 };
+
+        const source = Readable.from(this.serialize(format, from, to, counter));
+        const rawDigest = createDigestStream();
+        const gzipDigest = gzip ? createDigestStream() : null;
+
+        const streams = gzip ? [source, rawDigest, zlib.createGzip(), gzipDigest] : [source, rawDigest];
+        const tail = streams.reduce((upstream, stream) => upstream.pipe(stream));
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const finish = (error, manifest) => {
+                if (settled) return;
+                settled = true;
+                if (error) reject(error);
+                else resolve(manifest);
+            };
+
+            streams.forEach(stream => stream.on('error', error => {
+                source.destroy();
+                finish(error);
+            }));
+
+            output.on('close', () => {
+                if (!tail.readableEnded) {
+                    source.destroy();
+                    finish(null, null);
+                }
+            });
+
+            tail.on('end', () => {
+                const manifest = {
+                    exportId,
+                    file: this.fileName(exportId, format, gzip),
+                    format,
+                    gzip,
+                    from,
+                    to: Number.isFinite(to) ? to : null,
+                    rows: counter.rows,
+                    bytes: rawDigest.bytes,
+                    sha256: rawDigest.sha256(),
+                    compressedBytes: gzip ? gzipDigest.bytes : null,
+                    compressedSha256: gzip ? gzipDigest.sha256() : null,
+                    source: this.storage.describe(),
+                    startedAt,
+                    completedAt: new Date().toISOString()
+                };
+
+                try {
+                    fs.mkdirSync(this.exportDir, { recursive: true });
+                    writeFileAtomic(this.manifestFile(exportId), JSON.stringify(manifest, null, 2) + '\n');
+                } catch (error) {
+                    console.log(`⚠️ Could not write export manifest ${exportId}: ${error.message}`);
+                }
+
+                finish(null, manifest);
+            });
+
+            tail.pipe(output, { end: false });
+        });
+    }
+}
+
+module.exports = BlockExporter;
@@ -0,0 +1,203 @@
+// In-memory index over the bitmap CSV files
+// Keyed by block number, inscription ID and sat number so API lookups never touch the disk.
+// Covers every file it is given (historical and realtime) as one data set. Loaded once at startup,
+// updated incrementally by the writer and reloaded when a file is changed from outside the
+// tracker (manual edits, git pulls, external tools).
+
+const fs = require('fs');
+
+class BlockIndex {
+    constructor(csvFiles, options = {}) {
+        this.csvFiles = [].concat(csvFiles); // Earlier files win when a block appears in several
+        this.watchInterval = options.watchInterval || 2000;
+
+        this.byBlock = new Map();
+        this.byInscription = new Map();
+        this.bySat = new Map();
+        this.sortedBlocks = []; // Ascending block numbers for pagination and latest queries
+
+        this.watching = false;
+        this.lastKnownStats = new Map(); // csvFile -> { size, mtimeMs } after our last write
+    }
+
+    // Rebuild the whole index from the CSV files
+    load() {
+        this.byBlock.clear();
+        this.byInscription.clear();
+        this.bySat.clear();
+        this.sortedBlocks = [];
+
+        for (const csvFile of this.csvFiles) {
+            if (!fs.existsSync(csvFile)) continue;
+
+            const lines = fs.readFileSync(csvFile, 'utf8').split('\n');
+
+            for (let i = 1; i < lines.length; i++) {
+                const line = lines[i].trim();
+                if (!line) continue;
+
+                const parts = line.split(',');
+                const blockNumber = parseInt(parts[0]);
+                if (isNaN(blockNumber) || this.byBlock.has(blockNumber)) continue; // First occurrence wins, same as compaction
+
+                this.setEntry(blockNumber, parts[1] || null, parts[2] || null);
+            }
+        }
+
+        this.sortedBlocks = Array.from(this.byBlock.keys()).sort((a, b) => a - b);
+        this.noteOwnWrite();
+
+        return this.byBlock.size;
+    }
+
+    // Add or replace a single row after it has been written to the CSV
+    upsert(blockNumber, inscriptionId, satNumber = null) {
+        if (!this.byBlock.has(blockNumber)) {
+            this.sortedBlocks.splice(this.findInsertPosition(blockNumber), 0, blockNumber);
+        } else {
+            this.removeSecondaryKeys(this.byBlock.get(blockNumber));
+        }
+
+        this.setEntry(blockNumber, inscriptionId || null, satNumber || null);
+    }
+
+    get(blockNumber) {
+        return this.byBlock.get(blockNumber) || null;
+    }
+
+    has(blockNumber) {
+        return this.byBlock.has(blockNumber);
+    }
+
+    get size() {
+        return this.byBlock.size;
+    }
+
+    blockNumbers() {
+        return this.sortedBlocks;
+    }
+
+    // Rows in ascending block order
+    slice(offset, limit) {
+        return this.sortedBlocks.slice(offset, offset + limit).map(blockNumber => this.byBlock.get(blockNumber));
+    }
+
+    // Rows in descending block order
+    latest(limit) {
+        return this.sortedBlocks.slice(-limit).reverse().map(blockNumber => this.byBlock.get(blockNumber));
+    }
+
+    // Exact matches on block number, inscription ID or sat number first, then every other row containing
+    // the query (the substring matches /api/search always returned)
+    search(query, limit = 100) {
+        const results = [];
+        const seen = new Set();
+        const addEntry = entry => {
+            if (entry && !seen.has(entry.blockNumber)) {
+                seen.add(entry.blockNumber);
+                results.push(entry);
+            }
+        };
+
+        if (/^\d+$/.test(query)) {
+            addEntry(this.byBlock.get(parseInt(query)));
+            addEntry(this.bySat.get(query));
+        }
+        addEntry(this.byInscription.get(query));
+
+        for (const blockNumber of this.sortedBlocks) {
+            if (results.length >= limit) break;
+            const entry = this.byBlock.get(blockNumber);
+            if (String(blockNumber).includes(query) ||
+                (entry.inscriptionId && entry.inscriptionId.includes(query)) ||
+                (entry.satNumber && entry.satNumber.includes(query))) {
+                addEntry(entry);
+            }
+        }
+
+        return results;
+    }
+
+    // Record the file states produced by our own writes so the watcher ignores them
+    noteOwnWrite() {
+        for (const csvFile of this.csvFiles) {
+            this.lastKnownStats.set(csvFile, this.statFile(csvFile));
+        }
+    }
+
+    // Watch for changes made outside the tracker and reload when they happen
+    watch(onExternalChange) {
+        if (this.watching) return;
+        this.watching = true;
+
+        for (const csvFile of this.csvFiles) {
+            fs.watchFile(csvFile, { interval: this.watchInterval, persistent: false }, () => {
+                const current = this.statFile(csvFile);
+                const known = this.lastKnownStats.get(csvFile);
+
+                if (known && current && current.size === known.size && current.mtimeMs === known.mtimeMs) {
+                    return;
+                }
+
+                try {
+                    const count = this.load();
+                    console.log(`👀 ${csvFile} changed on disk - index reloaded (${count} entries)`);
+                    if (onExternalChange) onExternalChange(count);
+                } catch (error) {
+                    console.error(`❌ Failed to reload index after external change: ${error.message}`);
+                }
+            });
+        }
+    }
+
+    close() {
+        if (this.watching) {
+            this.csvFiles.forEach(csvFile => fs.unwatchFile(csvFile));
+            this.watching = false;
+        }
+    }
+
+    setEntry(blockNumber, inscriptionId, satNumber) {
+        const entry = { blockNumber, inscriptionId, satNumber };
+        this.byBlock.set(blockNumber, entry);
+        // Secondary keys keep the lowest block on duplicates, matching an ORDER BY block_number lookup
+        if (inscriptionId && !this.byInscription.has(inscriptionId)) this.byInscription.set(inscriptionId, entry);
+        if (satNumber && !this.bySat.has(String(satNumber))) this.bySat.set(String(satNumber), entry);
+    }
+
+    removeSecondaryKeys(entry) {
+        if (entry.inscriptionId && this.byInscription.get(entry.inscriptionId) === entry) {
+            this.byInscription.delete(entry.inscriptionId);
+        }
+        if (entry.satNumber && this.bySat.get(String(entry.satNumber)) === entry) {
+            this.bySat.delete(String(entry.satNumber));
+        }
+    }
+
+    findInsertPosition(blockNumber) {
+        let low = 0;
+        let high = this.sortedBlocks.length;
+
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.sortedBlocks[mid] < blockNumber) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        return low;
+    }
+
+    statFile(csvFile) {
+        try {
+            const stat = fs.statSync(csvFile);
+            return { size: stat.size, mtimeMs: stat.mtimeMs };
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = BlockIndex;
@@ -0,0 +1,101 @@
+// Block and inscription metadata for the CSV backend
+// One JSON record per line (bitmap_metadata.jsonl): block hash, block time, tx count and size from
+// ordinals blockinfo, plus inscription number and content type. Updates are appended and the last
+// record for a block wins; the file is rewritten without superseded lines on load and compaction.
+// The CSV backend keeps its per-block source records (bitmap_sources.jsonl) in a second instance.
+
+const fs = require('fs');
+const { writeFileAtomic, appendFileDurable } = require('./atomicFile');
+
+class BlockMetadataStore {
+    constructor(metadataFile) {
+        this.metadataFile = metadataFile;
+        this.records = new Map(); // blockNumber -> metadata record
+        this.supersededLines = 0;
+    }
+
+    // options.compact: false leaves superseded and torn lines in the file, for read-only use
+    load(options = {}) {
+        this.records.clear();
+        this.supersededLines = 0;
+
+        if (!fs.existsSync(this.metadataFile)) {
+            return 0;
+        }
+
+        const lines = fs.readFileSync(this.metadataFile, 'utf8').split('\n');
+        let skipped = 0;
+
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+            if (!line) continue;
+
+            try {
+                const record = JSON.parse(line);
+                if (!Number.isInteger(record.blockNumber)) {
+                    skipped++;
+                    continue;
+                }
+                if (this.records.has(record.blockNumber)) this.supersededLines++;
+                this.records.set(record.blockNumber, record);
+            } catch (error) {
+                // A crash mid-append can leave a torn last line
+                skipped++;
+            }
+        }
+
+        if ((this.supersededLines > 0 || skipped > 0) && options.compact !== false) {
+            this.compact();
+        }
+
+        return this.records.size;
+    }
+
+    get(blockNumber) {
+        const record = this.records.get(blockNumber);
+        return record ? { ...record } : null;
+    }
+
+    get size() {
+        return this.records.size;
+    }
+
+    // Durably record metadata for a block, replacing anything stored before
+    set(blockNumber, record) {
+        const stored = { ...record, blockNumber };
+        if (this.records.has(blockNumber)) this.supersededLines++;
+
+        appendFileDurable(this.metadataFile, `${JSON.stringify(stored)}\n`);
+        this.records.set(blockNumber, stored);
+    }
+
+    delete(blockNumber) {
+        if (!this.records.delete(blockNumber)) return false;
+        this.compact();
+        return true;
+    }
+
+    // Records in ascending block order
+    values() {
+        return Array.from(this.records.keys())
+            .sort((a, b) => a - b)
+            .map(blockNumber => ({ ...this.records.get(blockNumber) }));
+    }
+
+    replaceAll(records) {
+        this.records.clear();
+        for (const record of records) {
+            this.records.set(record.blockNumber, { ...record });
+        }
+        this.compact();
+    }
+
+    // Rewrite the file with one line per block
+    compact() {
+        const content = this.values().map(record => JSON.stringify(record)).join('\n');
+        writeFileAtomic(this.metadataFile, content ? `${content}\n` : '');
+        this.supersededLines = 0;
+    }
+}
+
+module.exports = BlockMetadataStore;
@@ -0,0 +1,154 @@
+// bitcoind JSON-RPC chain source
+// The tip and block hashes come from getblockcount / getblockhash / getblockheader on rpcUrl. New
+// blocks arrive over ZMQ when zmqUrl is set (bitcoind -zmqpubhashblock=tcp://127.0.0.1:28332);
+// without it the tip is polled every pollInterval. Credentials are rpcUser/rpcPassword, or the
+// cookie file bitcoind writes (re-read when bitcoind restarts and the cookie changes). Transaction
+// lookups need bitcoind's -txindex.
+
+const fs = require('fs');
+const PollingChainSource = require('./pollingChainSource');
+const { ZmqSubscriber } = require('./zmqSubscriber');
+
+class BitcoindChainSource extends PollingChainSource {
+    constructor(options) {
+        super('bitcoind', 'bitcoind', options);
+        this.rpcUrl = options.rpcUrl;
+        this.rpcUser = options.rpcUser || '';
+        this.rpcPassword = options.rpcPassword || '';
+        this.cookieFile = options.cookieFile || null;
+        this.zmqUrl = options.zmqUrl || null;
+        this.subscriber = null;
+        this.notifications = Promise.resolve(); // hashblock notifications are handled one at a time
+        this.rpcId = 0;
+        this.cookie = null;
+    }
+
+    authorization() {
+        if (this.cookieFile) {
+            if (!this.cookie) this.cookie = fs.readFileSync(this.cookieFile, 'utf8').trim();
+            return `Basic ${Buffer.from(this.cookie).toString('base64')}`;
+        }
+        if (this.rpcUser || this.rpcPassword) {
+            return `Basic ${Buffer.from(`${this.rpcUser}:${this.rpcPassword}`).toString('base64')}`;
+        }
+        return null;
+    }
+
+    async rpc(method, params = []) {
+        const authorization = this.authorization();
+        const response = await this.request(this.rpcUrl, {
+            headers: { 'Content-Type': 'application/json', ...(authorization ? { Authorization: authorization } : {}) },
+            body: JSON.stringify({ jsonrpc: '1.0', id: ++this.rpcId, method, params })
+        });
+
+        if (response.statusCode === 401) {
+            this.cookie = null; // bitcoind writes a new cookie on every start
+            throw new Error('bitcoind RPC rejected the credentials (HTTP 401)');
+        }
+
+        let reply;
+        try {
+            reply = JSON.parse(response.body);
+        } catch (error) {
+            throw new Error(`bitcoind RPC ${method}: HTTP ${response.statusCode}`);
+        }
+        if (reply.error) {
+            const error = new Error(`bitcoind RPC ${method}: ${reply.error.message}`);
+            error.code = reply.error.code;
+            throw error;
+        }
+        return reply.result;
+    }
+
+    async getTipHeight() {
+        return this.rpc('getblockcount');
+    }
+
+    async getBlockHash(height) {
+        try {
+            return await this.rpc('getblockhash', [height]);
+        } catch (error) {
+            if (error.code === -8) return null; // Block height out of range
+            throw error;
+        }
+    }
+
+    async getTransactionStatus(txid) {
+        let transaction;
+        try {
+            transaction = await this.rpc('getrawtransaction', [txid, true]);
+        } catch (error) {
+            // -5: unknown transaction, unless bitcoind could not look because it has no transaction index
+            if (error.code === -5 && !/txindex/i.test(error.message)) return null;
+            if (error.code === -5) throw new Error('bitcoind needs -txindex to look up transactions');
+            throw error;
+        }
+        if (!transaction.blockhash) return { confirmed: false, height: null };
+
+        const header = await this.getHeaderByHash(transaction.blockhash);
+        return { confirmed: true, height: header.height };
+    }
+
+    async getBlockHeader(height) {
+        const hash = await this.getBlockHash(height);
+        return hash ? this.getHeaderByHash(hash) : null;
+    }
+
+    async getHeaderByHash(hash) {
+        const header = await this.rpc('getblockheader', [hash]);
+        return { height: header.height, hash: header.hash, previousHash: header.previousblockhash || null };
+    }
+
+    connect(handlers) {
+        if (!this.zmqUrl) return super.connect(handlers);
+
+        this.handlers = handlers;
+        this.lastBlock = null;
+        const subscriber = new ZmqSubscriber(this.zmqUrl, ['hashblock'], { timeout: this.timeout });
+        this.subscriber = subscriber;
+
+        subscriber.on('ready', () => {
+            // The starting point, so blocks between it and the first notification are not skipped
+            this.notifications = this.notifications
+                .then(() => this.poll())
+                .then(() => { if (this.subscriber === subscriber) this.opened(); })
+                .catch(error => subscriber.end(error));
+        });
+        subscriber.on('message', ([topic, body]) => {
+            if (!topic || topic.toString() !== 'hashblock' || !body || body.length !== 32) return;
+            const hash = body.toString('hex');
+            this.notifications = this.notifications
+                .then(() => this.onHashBlock(hash))
+                .catch(error => subscriber.end(error));
+        });
+        subscriber.on('close', error => {
+            if (this.subscriber === subscriber) this.closed(error);
+        });
+        subscriber.connect();
+    }
+
+    // Announce the notified block, and any heights the notifications skipped
+    async onHashBlock(hash) {
+        if (!this.handlers || (this.lastBlock && this.lastBlock.hash === hash)) return;
+
+        const header = await this.getHeaderByHash(hash);
+        if (!this.lastBlock || header.height <= this.lastBlock.height) {
+            // Same height with a new hash (a reorg), or a block below the last one announced
+            this.lastBlock = header;
+            this.announce(header);
+            return;
+        }
+        await this.announceUpTo(header.height);
+    }
+
+    close() {
+        if (this.subscriber) {
+            const subscriber = this.subscriber;
+            this.subscriber = null;
+            subscriber.close();
+        }
+        super.close();
+    }
+}
+
+module.exports = BitcoindChainSource;
@@ -0,0 +1,98 @@
+// Chain source interface
+// A chain source is where the tracker learns about the chain itself: the tip height, the hash at a
+// height (for reorg checks), whether a transaction is on this chain (to spot inscriptions from another
+// network) and a stream of new blocks. Blocks are { height, hash, previousHash }.
+// connect() opens the stream once and reports through the handlers: onOpen() when it is live,
+// onBlock(block) for every new block in height order, and onClose(error) once when it ends. The
+// tracker owns reconnecting, catching up after a reconnect and polling while the stream is down.
+// Requests are entered in the tracker's request ledger when one is passed in.
+
+const http = require('http');
+const https = require('https');
+const { upstreamOf } = require('../requestLedger');
+
+class ChainSource {
+    constructor(name, label, options = {}) {
+        this.name = name;
+        this.label = label || name; // Shown in logs
+        this.ledger = options.ledger || null;
+        this.timeout = options.timeout || 10000;
+        this.handlers = null;
+        this.connected = false;
+        this.stats = { requests: 0, blocksAnnounced: 0, connects: 0 };
+    }
+
+    connect(handlers) {
+        throw new Error(`${this.name} chain source does not implement connect()`);
+    }
+
+    close() {}
+
+    async getTipHeight() {
+        throw new Error(`${this.name} chain source does not implement getTipHeight()`);
+    }
+
+    // Hash of the block at a height on the best chain, or null when there is none
+    async getBlockHash(height) {
+        throw new Error(`${this.name} chain source does not implement getBlockHash()`);
+    }
+
+    // { confirmed, height } for a transaction this chain knows (height is null while unconfirmed), or null
+    async getTransactionStatus(txid) {
+        throw new Error(`${this.name} chain source does not implement getTransactionStatus()`);
+    }
+
+    // Stream helpers for subclasses: keep the connected flag and fire onClose only once per connect()
+    opened() {
+        this.connected = true;
+        this.stats.connects++;
+        if (this.handlers) this.handlers.onOpen();
+    }
+
+    announce(block) {
+        this.stats.blocksAnnounced++;
+        if (this.handlers) this.handlers.onBlock(block);
+    }
+
+    closed(error = null) {
+        const handlers = this.handlers;
+        this.handlers = null;
+        this.connected = false;
+        if (handlers) handlers.onClose(error);
+    }
+
+    // HTTP(S) request resolving with { statusCode, body } for any status; rejects on network errors and timeouts
+    request(url, options = {}) {
+        this.stats.requests++;
+        if (this.ledger) this.ledger.record(upstreamOf(url));
+
+        const client = url.startsWith('https:') ? https : http;
+        return new Promise((resolve, reject) => {
+            const req = client.request(url, {
+                method: options.body ? 'POST' : 'GET',
+                headers: {
+                    'User-Agent': 'Enhanced-Bitmap-Tracker/2.0',
+                    ...options.headers
+                }
+            }, (res) => {
+                let data = '';
+                res.on('data', chunk => data += chunk);
+                res.on('end', () => resolve({ statusCode: res.statusCode, body: data }));
+            });
+
+            req.on('error', reject);
+            req.setTimeout(this.timeout, () => {
+                req.destroy();
+                reject(new Error('Timeout'));
+            });
+            if (options.body) req.write(options.body);
+            req.end();
+        });
+    }
+
+    getStats() {
+        return { source: this.name, connected: this.connected, ...this.stats };
+    }
+}
+
+module.exports = ChainSource;
@@ -0,0 +1,48 @@
+// Esplora REST API chain source (Blockstream's esplora, or any self-hosted instance)
+// Esplora has no push feed, so new blocks are found by polling the tip (see pollingChainSource.js).
+// apiUrl is the API root, e.g. https://blockstream.info/api or http://127.0.0.1:3002.
+
+const PollingChainSource = require('./pollingChainSource');
+
+class EsploraChainSource extends PollingChainSource {
+    constructor(options) {
+        super('esplora', 'Esplora', options);
+        this.apiUrl = options.apiUrl.replace(/\/+$/, '');
+    }
+
+    async get(endpoint) {
+        const response = await this.request(`${this.apiUrl}${endpoint}`);
+        if (response.statusCode === 404) return null;
+        if (response.statusCode !== 200) throw new Error(`Esplora ${endpoint}: HTTP ${response.statusCode}`);
+        return response.body.trim();
+    }
+
+    async getTipHeight() {
+        const height = parseInt(await this.get('/blocks/tip/height'));
+        if (!Number.isInteger(height)) throw new Error('Esplora returned an invalid tip height');
+        return height;
+    }
+
+    async getBlockHash(height) {
+        const hash = await this.get(`/block-height/${height}`);
+        return hash && /^[0-9a-f]{64}$/.test(hash) ? hash : null;
+    }
+
+    async getTransactionStatus(txid) {
+        const status = await this.get(`/tx/${txid}/status`);
+        if (!status) return null;
+
+        const parsed = JSON.parse(status);
+        return { confirmed: Boolean(parsed.confirmed), height: parsed.confirmed ? parsed.block_height : null };
+    }
+
+    async getBlockHeader(height) {
+        const hash = await this.getBlockHash(height);
+        if (!hash) return null;
+
+        const block = JSON.parse(await this.get(`/block/${hash}`));
+        return { height: block.height, hash: block.id, previousHash: block.previousblockhash || null };
+    }
+}
+
+module.exports = EsploraChainSource;
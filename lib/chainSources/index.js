@@ -0,0 +1,49 @@
+// Chain source factory
+// Picks the source named by CONFIG.CHAIN_SOURCE ('mempool', 'esplora', 'bitcoind' or 'mock'), and the
+// Esplora sources for the other public networks that tell where a transaction from elsewhere belongs.
+
+const MempoolChainSource = require('./mempoolChainSource');
+const EsploraChainSource = require('./esploraChainSource');
+const BitcoindChainSource = require('./bitcoindChainSource');
+const { MockChainSource } = require('./mockChainSource');
+const { NETWORKS } = require('../networks');
+
+const CHAIN_SOURCES = ['mempool', 'esplora', 'bitcoind', 'mock'];
+
+// context.ledger (a RequestLedger) records the source's requests
+function createChainSource(config, context = {}) {
+    const name = (context.name || config.CHAIN_SOURCE || 'mempool').toLowerCase();
+    const common = { ledger: context.ledger, pollInterval: config.CHAIN_POLL_INTERVAL };
+
+    switch (name) {
+        case 'mempool':
+            return new MempoolChainSource({ ...common, apiUrl: config.MEMPOOL_API_URL, wsUrl: config.MEMPOOL_WS_URL });
+        case 'esplora':
+            return new EsploraChainSource({ ...common, apiUrl: config.ESPLORA_API_URL });
+        case 'bitcoind':
+            return new BitcoindChainSource({
+                ...common,
+                rpcUrl: config.BITCOIND_RPC_URL,
+                rpcUser: config.BITCOIND_RPC_USER,
+                rpcPassword: config.BITCOIND_RPC_PASSWORD,
+                cookieFile: config.BITCOIND_RPC_COOKIE_FILE,
+                zmqUrl: config.BITCOIND_ZMQ_URL
+            });
+        case 'mock':
+            return new MockChainSource({ startHeight: config.CHAIN_MOCK_START_HEIGHT, blockInterval: config.CHAIN_MOCK_BLOCK_INTERVAL });
+        default:
+            throw new Error(`Unknown chain source "${name}" (expected one of: ${CHAIN_SOURCES.join(', ')})`);
+    }
+}
+
+// [{ network, source }] for every public network besides CONFIG.NETWORK (regtest has no public API).
+// None on the mock chain: a real transaction is never on it, so not finding one there proves nothing.
+function createOtherNetworkSources(config, context = {}) {
+    if ((config.CHAIN_SOURCE || '').toLowerCase() === 'mock') return [];
+
+    return Object.keys(NETWORKS)
+        .filter(network => network !== config.NETWORK && network !== 'regtest')
+        .map(network => ({ network, source: new EsploraChainSource({ ledger: context.ledger, apiUrl: NETWORKS[network].esploraApiUrl }) }));
+}
+
+module.exports = { createChainSource, createOtherNetworkSources, CHAIN_SOURCES };
@@ -0,0 +1,57 @@
+// mempool.space chain source (the default; also any self-hosted mempool instance)
+// New blocks are pushed over mempool's websocket ({"action":"want","data":["blocks"]}); the tip and
+// block hashes come from its REST API, which is Esplora-compatible.
+
+const WebSocket = require('ws');
+const EsploraChainSource = require('./esploraChainSource');
+
+class MempoolChainSource extends EsploraChainSource {
+    constructor(options) {
+        super(options);
+        this.name = 'mempool';
+        this.label = 'mempool.space';
+        this.wsUrl = options.wsUrl;
+        this.ws = null;
+    }
+
+    connect(handlers) {
+        this.handlers = handlers;
+        const ws = new WebSocket(this.wsUrl);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            ws.send(JSON.stringify({ action: 'want', data: ['blocks'] }));
+            this.opened();
+        });
+
+        ws.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                console.error('❌ WebSocket message error:', error.message);
+                return;
+            }
+            if (message.block) {
+                this.announce({
+                    height: message.block.height,
+                    hash: message.block.id,
+                    previousHash: message.block.previousblockhash || null
+                });
+            }
+        });
+
+        // 'error' is followed by 'close'; report whichever comes first, once
+        ws.on('error', error => { if (this.ws === ws) this.closed(error); });
+        ws.on('close', () => { if (this.ws === ws) this.closed(); });
+    }
+
+    close() {
+        const ws = this.ws;
+        this.closed();
+        this.ws = null;
+        if (ws) ws.close();
+    }
+}
+
+module.exports = MempoolChainSource;
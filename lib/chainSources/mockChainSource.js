@@ -0,0 +1,122 @@
+// Local mock chain source (CHAIN_SOURCE=mock)
+// A made-up chain held in memory, so tip tracking, catch-up after reconnects and reorg handling can
+// be run with no network. Block hashes are derived from the height (and a fork counter once a height
+// has been replaced), so they stay the same across restarts. Each block holds one transaction,
+// txidOf(height). The chain mines a block every
+// blockInterval ms (0 mines only when told to); mine(), reorg() and dropConnection() drive it by hand.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const ChainSource = require('./chainSource');
+
+class MockChain extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.height = options.startHeight || 0;
+        this.forks = new Map(); // height -> how many times it was replaced
+        this.blockInterval = options.blockInterval || 0;
+        this.timer = null;
+    }
+
+    hashOf(height) {
+        return crypto.createHash('sha256').update(`mock:${height}:${this.forks.get(height) || 0}`).digest('hex');
+    }
+
+    txidOf(height) {
+        return crypto.createHash('sha256').update(`mock-tx:${height}:${this.forks.get(height) || 0}`).digest('hex');
+    }
+
+    // Height of the block holding txid, or null; only recent blocks are searched
+    transactionHeight(txid) {
+        for (let height = this.height; height >= Math.max(0, this.height - 1000); height--) {
+            if (this.txidOf(height) === txid) return height;
+        }
+        return null;
+    }
+
+    header(height) {
+        if (height < 0 || height > this.height) return null;
+        return { height, hash: this.hashOf(height), previousHash: height > 0 ? this.hashOf(height - 1) : null };
+    }
+
+    // Extend the chain; emits 'block' for each new block
+    mine(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.height++;
+            this.emit('block', this.header(this.height));
+        }
+        return this.height;
+    }
+
+    // Replace the top depth blocks (and optionally grow the chain by extra); emits the replacing blocks
+    reorg(depth = 1, extra = 0) {
+        const from = this.height - depth + 1;
+        for (let height = from; height <= this.height; height++) {
+            this.forks.set(height, (this.forks.get(height) || 0) + 1);
+        }
+        for (let height = from; height <= this.height; height++) {
+            this.emit('block', this.header(height));
+        }
+        return this.mine(extra);
+    }
+
+    start() {
+        if (this.timer || !this.blockInterval) return;
+        this.timer = setInterval(() => this.mine(), this.blockInterval);
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+class MockChainSource extends ChainSource {
+    constructor(options = {}) {
+        super('mock', 'mock chain', options);
+        this.chain = options.chain || new MockChain({ startHeight: options.startHeight, blockInterval: options.blockInterval });
+        this.onChainBlock = block => { if (this.handlers) this.announce(block); };
+    }
+
+    connect(handlers) {
+        this.handlers = handlers;
+        this.chain.on('block', this.onChainBlock);
+        this.chain.start();
+        setImmediate(() => { if (this.handlers === handlers) this.opened(); });
+    }
+
+    close() {
+        this.chain.removeListener('block', this.onChainBlock);
+        this.closed();
+    }
+
+    // Simulate the feed dropping (the chain keeps growing without us)
+    dropConnection(error = new Error('Mock connection dropped')) {
+        this.chain.removeListener('block', this.onChainBlock);
+        this.closed(error);
+    }
+
+    async getTipHeight() {
+        this.stats.requests++;
+        return this.chain.height;
+    }
+
+    async getBlockHash(height) {
+        this.stats.requests++;
+        const header = this.chain.header(height);
+        return header ? header.hash : null;
+    }
+
+    async getTransactionStatus(txid) {
+        this.stats.requests++;
+        const height = this.chain.transactionHeight(txid);
+        return height === null ? null : { confirmed: true, height };
+    }
+
+    getStats() {
+        return { ...super.getStats(), tipHeight: this.chain.height };
+    }
+}
+
+module.exports = { MockChain, MockChainSource };
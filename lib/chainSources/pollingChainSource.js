@@ -0,0 +1,84 @@
+// Chain source that finds new blocks by polling the tip
+// For backends without a push feed (Esplora, bitcoind without ZMQ). Every pollInterval the tip is
+// read; each height above the last one seen is announced in order, and a tip that kept its height
+// but changed its hash is announced again so the reorg check sees it. The first poll only sets the
+// starting point. A failed poll ends the stream (onClose) like a dropped websocket would.
+// Subclasses implement getTipHeight() and getBlockHeader(height) -> { height, hash, previousHash }.
+
+const ChainSource = require('./chainSource');
+
+class PollingChainSource extends ChainSource {
+    constructor(name, label, options = {}) {
+        super(name, label, options);
+        this.pollInterval = options.pollInterval || 10000;
+        this.pollTimer = null;
+        this.lastBlock = null; // Last block announced (or the starting tip)
+    }
+
+    async getBlockHeader(height) {
+        throw new Error(`${this.name} chain source does not implement getBlockHeader()`);
+    }
+
+    async getBlockHash(height) {
+        const header = await this.getBlockHeader(height);
+        return header ? header.hash : null;
+    }
+
+    connect(handlers) {
+        this.handlers = handlers;
+        this.lastBlock = null;
+        this.poll()
+            .then(() => {
+                if (!this.handlers) return;
+                this.opened();
+                this.schedulePoll();
+            })
+            .catch(error => this.closed(error));
+    }
+
+    close() {
+        if (this.pollTimer) clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        this.closed();
+    }
+
+    schedulePoll() {
+        this.pollTimer = setTimeout(() => {
+            this.pollTimer = null;
+            this.poll()
+                .then(() => { if (this.handlers) this.schedulePoll(); })
+                .catch(error => this.closed(error));
+        }, this.pollInterval);
+    }
+
+    async poll() {
+        const tip = await this.getTipHeight();
+        await this.announceUpTo(tip);
+    }
+
+    // Announce every block from the last one seen up to height (just remember it on the first call)
+    async announceUpTo(height) {
+        if (!this.lastBlock) {
+            this.lastBlock = await this.getBlockHeader(height);
+            return;
+        }
+
+        if (height === this.lastBlock.height) {
+            const header = await this.getBlockHeader(height);
+            if (header && header.hash !== this.lastBlock.hash) {
+                this.lastBlock = header;
+                this.announce(header);
+            }
+            return;
+        }
+
+        for (let next = this.lastBlock.height + 1; next <= height && this.handlers; next++) {
+            const header = await this.getBlockHeader(next);
+            if (!header) break;
+            this.lastBlock = header;
+            this.announce(header);
+        }
+    }
+}
+
+module.exports = PollingChainSource;
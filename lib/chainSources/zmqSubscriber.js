@@ -0,0 +1,152 @@
+// Minimal ZeroMQ SUB socket (ZMTP 3.0, NULL security) for bitcoind's -zmqpub* notifications
+// bitcoind publishes multipart messages [topic, body, 4-byte sequence] on a plain TCP port, e.g.
+// -zmqpubhashblock=tcp://127.0.0.1:28332 sends ["hashblock", <32-byte block hash>, <seq>]. That is
+// all this speaks: one connection, the greeting and READY handshake, topic subscriptions, and
+// incoming messages. It does not reconnect on its own; 'close' is emitted once and the owner decides.
+
+const net = require('net');
+const { EventEmitter } = require('events');
+
+const FLAG_MORE = 0x01;
+const FLAG_LONG = 0x02;
+const FLAG_COMMAND = 0x04;
+
+// 64-byte greeting: signature, version 3.0, NULL mechanism, as-server 0
+function greeting() {
+    const buffer = Buffer.alloc(64);
+    buffer[0] = 0xff;
+    buffer[9] = 0x7f;
+    buffer[10] = 3;
+    buffer[11] = 0;
+    buffer.write('NULL', 12, 'ascii');
+    return buffer;
+}
+
+function frame(body, flags = 0) {
+    if (body.length > 255) {
+        const header = Buffer.alloc(9);
+        header[0] = flags | FLAG_LONG;
+        header.writeBigUInt64BE(BigInt(body.length), 1);
+        return Buffer.concat([header, body]);
+    }
+    return Buffer.concat([Buffer.from([flags, body.length]), body]);
+}
+
+// READY command with the given metadata properties ({ 'Socket-Type': 'SUB' })
+function readyCommand(properties) {
+    const parts = [Buffer.from([5]), Buffer.from('READY')];
+    for (const [name, value] of Object.entries(properties)) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(Buffer.byteLength(value));
+        parts.push(Buffer.from([name.length]), Buffer.from(name), length, Buffer.from(value));
+    }
+    return frame(Buffer.concat(parts), FLAG_COMMAND);
+}
+
+// Name of a command frame's body ('READY', 'ERROR', 'PING', ...)
+function commandName(body) {
+    return body.subarray(1, 1 + body[0]).toString('ascii');
+}
+
+// Parse one frame from the front of buffer: { flags, body, length } or null when it is incomplete
+function readFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const flags = buffer[0];
+    let size;
+    let offset;
+    if (flags & FLAG_LONG) {
+        if (buffer.length < 9) return null;
+        size = Number(buffer.readBigUInt64BE(1));
+        offset = 9;
+    } else {
+        size = buffer[1];
+        offset = 2;
+    }
+    if (buffer.length < offset + size) return null;
+    return { flags, body: buffer.subarray(offset, offset + size), length: offset + size };
+}
+
+// Emits 'ready' after the handshake, 'message' with [frames] per message, and 'close' (error or null) once
+class ZmqSubscriber extends EventEmitter {
+    constructor(url, topics, options = {}) {
+        super();
+        const match = /^tcp:\/\/(\[[^\]]+\]|[^:]+):(\d+)$/.exec(url);
+        if (!match) throw new Error(`Unsupported ZMQ endpoint "${url}" (expected tcp://host:port)`);
+
+        this.host = match[1].replace(/^\[|\]$/g, '');
+        this.port = parseInt(match[2]);
+        this.topics = topics;
+        this.timeout = options.timeout || 10000;
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.state = 'greeting';
+        this.parts = [];
+        this.ended = false;
+    }
+
+    connect() {
+        const socket = net.connect({ host: this.host, port: this.port });
+        this.socket = socket;
+
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error(`ZMQ handshake with ${this.host}:${this.port} timed out`)));
+        socket.on('connect', () => socket.write(greeting()));
+        socket.on('data', chunk => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            try {
+                this.consume();
+            } catch (error) {
+                socket.destroy(error);
+            }
+        });
+        socket.on('error', error => this.end(error));
+        socket.on('close', () => this.end(new Error('ZMQ publisher closed the connection')));
+    }
+
+    close() {
+        this.end(null);
+    }
+
+    end(error) {
+        if (this.ended) return;
+        this.ended = true;
+        if (this.socket) this.socket.destroy();
+        this.emit('close', error);
+    }
+
+    consume() {
+        if (this.state === 'greeting') {
+            if (this.buffer.length < 64) return;
+            const peer = this.buffer.subarray(0, 64);
+            if (peer[0] !== 0xff || peer[9] !== 0x7f || peer[10] < 3) throw new Error('Peer is not a ZMTP 3 endpoint');
+            this.buffer = this.buffer.subarray(64);
+            this.state = 'handshake';
+            this.socket.write(readyCommand({ 'Socket-Type': 'SUB' }));
+        }
+
+        for (let next = readFrame(this.buffer); next; next = readFrame(this.buffer)) {
+            this.buffer = this.buffer.subarray(next.length);
+
+            if (next.flags & FLAG_COMMAND) {
+                const name = commandName(next.body);
+                if (name === 'ERROR') throw new Error(`ZMQ publisher refused the connection: ${next.body.subarray(7).toString()}`);
+                if (name === 'READY' && this.state === 'handshake') {
+                    this.state = 'ready';
+                    this.socket.setTimeout(0);
+                    // ZMTP 3.0 subscriptions are messages: 0x01 followed by the topic prefix
+                    this.topics.forEach(topic => this.socket.write(frame(Buffer.concat([Buffer.from([1]), Buffer.from(topic)]))));
+                    this.emit('ready');
+                }
+                continue;
+            }
+
+            this.parts.push(Buffer.from(next.body));
+            if (!(next.flags & FLAG_MORE)) {
+                const parts = this.parts;
+                this.parts = [];
+                this.emit('message', parts);
+            }
+        }
+    }
+}
+
+module.exports = { ZmqSubscriber, greeting, frame, readyCommand, readFrame, commandName, FLAG_MORE, FLAG_COMMAND };
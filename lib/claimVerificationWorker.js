@@ -0,0 +1,136 @@
+// Background claim verification
+// Checks provider answers that were stored without a verdict (GeniiData answers; ord answers are
+// judged when they are read) against the validity engine: the answered inscription is fetched from
+// the ord server and must be a valid "N.bitmap" claim for its block. GeniiData only returns the
+// winning inscription, so competing claims are not known here and a valid answer is recorded as
+// "claim_only"; empty answers stay "unverified". The verdict is written into the block's source record.
+
+const { judgeAnswer, REASONS } = require('./bitmapValidity');
+
+class ClaimVerificationWorker {
+    constructor(options) {
+        this.storage = options.storage;
+        this.client = options.client; // OrdClient
+        this.logError = options.logError || ((level, blockNumber, message) => console.error(`❌ ${level}: ${message}`));
+
+        this.batchSize = options.batchSize || 25;
+        this.idleDelay = options.idleDelay || 10 * 60 * 1000;
+        this.maxAttempts = options.maxAttempts || 3;
+
+        this.running = false;
+        this.timer = null;
+        this.failedAttempts = new Map(); // blockNumber -> failed lookups this run
+        this.stats = {
+            checked: 0,
+            invalid: 0,
+            lookupFailures: 0,
+            lastBatchAt: null,
+            lastError: null
+        };
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        console.log(`⚖️ Claim verification worker started (${this.client.baseUrl})`);
+        this.schedule(0);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    schedule(delay) {
+        if (!this.running) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.runBatch()
+                .then(found => this.schedule(found > 0 ? 0 : this.idleDelay))
+                .catch(error => {
+                    this.stats.lastError = error.message;
+                    this.logError('CLAIM_VERIFICATION', 0, `Batch failed: ${error.message}`);
+                    this.schedule(this.idleDelay);
+                });
+        }, delay);
+    }
+
+    // Judge one batch of source records; returns how many were attempted
+    async runBatch() {
+        const excluded = new Set();
+        for (const [blockNumber, attempts] of this.failedAttempts) {
+            if (attempts >= this.maxAttempts) excluded.add(blockNumber);
+        }
+
+        const sources = this.storage.findUnverifiedSources(this.batchSize, excluded);
+        if (sources.length === 0) return 0;
+
+        for (const source of sources) {
+            if (!this.running) break;
+
+            let verdict = null;
+            try {
+                verdict = await this.verify(source);
+            } catch (error) {
+                this.stats.lastError = error.message;
+            }
+
+            if (!verdict) {
+                this.failedAttempts.set(source.blockNumber, (this.failedAttempts.get(source.blockNumber) || 0) + 1);
+                this.stats.lookupFailures++;
+                continue;
+            }
+
+            this.failedAttempts.delete(source.blockNumber);
+            await this.storage.saveBlockSource(source.blockNumber, { ...source, verdict });
+            this.stats.checked++;
+
+            if (verdict.status === 'invalid') {
+                this.stats.invalid++;
+                this.logError('INVALID_CLAIM', source.blockNumber,
+                    `${source.provider} answered ${source.inscriptionId || 'no bitmap'}: ${REASONS[verdict.reason]}` +
+                    (verdict.expectedInscriptionId ? ` (expected ${verdict.expectedInscriptionId})` : ''));
+            }
+        }
+
+        this.stats.lastBatchAt = new Date().toISOString();
+        return sources.length;
+    }
+
+    // Verdict for one source record, or null when the answered inscription could not be read
+    async verify(source) {
+        if (!source.inscriptionId) {
+            return judgeAnswer(source.blockNumber, null, []);
+        }
+
+        const claim = await this.client.getClaim(source.inscriptionId);
+        if (!claim) return null;
+
+        return judgeAnswer(source.blockNumber, source.inscriptionId, [claim]);
+    }
+
+    // Progress summary for /api/stats
+    getStats() {
+        let skipped = 0;
+        for (const attempts of this.failedAttempts.values()) {
+            if (attempts >= this.maxAttempts) skipped++;
+        }
+
+        return {
+            running: this.running,
+            apiUrl: this.client.baseUrl,
+            verdicts: this.storage.countBlockSourcesByVerdict(),
+            checkedThisRun: this.stats.checked,
+            invalidThisRun: this.stats.invalid,
+            lookupFailures: this.stats.lookupFailures,
+            skippedAfterFailures: skipped,
+            lastBatchAt: this.stats.lastBatchAt,
+            lastError: this.stats.lastError
+        };
+    }
+}
+
+module.exports = ClaimVerificationWorker;
@@ -0,0 +1,165 @@
+// Tracker configuration
+// Shared by script.js and the command-line tools so every entry point reads the same settings.
+
+require('dotenv').config();
+const { getNetwork, networkFile } = require('./networks');
+
+// mainnet, testnet, signet or regtest: picks the default endpoints and data file names below
+const NETWORK = getNetwork((process.env.NETWORK || 'mainnet').toLowerCase());
+const dataFile = fileName => networkFile(fileName, NETWORK.name);
+
+// Configuration
+const CONFIG = {
+    // Server Configuration
+    PORT: process.env.PORT || 3000,
+    HOST: process.env.HOST || '0.0.0.0',
+    NETWORK: NETWORK.name,
+    
+    // Chain source for the tip height, block hashes and new blocks: 'mempool' (websocket push),
+    // 'esplora' (polled), 'bitcoind' (JSON-RPC, with ZMQ push when BITCOIND_ZMQ_URL is set, else polled)
+    // or 'mock' (an in-memory chain for running without network)
+    CHAIN_SOURCE: (process.env.CHAIN_SOURCE || NETWORK.chainSource).toLowerCase(),
+    MEMPOOL_WS_URL: process.env.MEMPOOL_WS_URL || NETWORK.mempoolWsUrl,
+    MEMPOOL_API_URL: process.env.MEMPOOL_API_URL || NETWORK.mempoolApiUrl,
+    ESPLORA_API_URL: process.env.ESPLORA_API_URL || NETWORK.esploraApiUrl,
+    BITCOIND_RPC_URL: process.env.BITCOIND_RPC_URL || `http://127.0.0.1:${NETWORK.bitcoindRpcPort}`,
+    BITCOIND_RPC_USER: process.env.BITCOIND_RPC_USER || '',
+    BITCOIND_RPC_PASSWORD: process.env.BITCOIND_RPC_PASSWORD || '',
+    BITCOIND_RPC_COOKIE_FILE: process.env.BITCOIND_RPC_COOKIE_FILE || null, // Used instead of user/password when set
+    BITCOIND_ZMQ_URL: process.env.BITCOIND_ZMQ_URL || null, // e.g. tcp://127.0.0.1:28332 (-zmqpubhashblock)
+    CHAIN_POLL_INTERVAL: parseInt(process.env.CHAIN_POLL_INTERVAL) || 10000, // Tip polling for esplora and bitcoind without ZMQ
+    NETWORK_LOOKUPS_PER_SECOND: isNaN(parseInt(process.env.NETWORK_LOOKUPS_PER_SECOND)) ? 2 : parseInt(process.env.NETWORK_LOOKUPS_PER_SECOND), // Per upstream, counted in the request ledger; 0 for a local node
+    CHAIN_MOCK_START_HEIGHT: parseInt(process.env.CHAIN_MOCK_START_HEIGHT) || 840100,
+    CHAIN_MOCK_BLOCK_INTERVAL: isNaN(parseInt(process.env.CHAIN_MOCK_BLOCK_INTERVAL)) ? 60000 : parseInt(process.env.CHAIN_MOCK_BLOCK_INTERVAL), // 0: never mines
+    // The chain source's block feed reconnects from the base delay up to the max (with jitter) and never
+    // gives up; while it is down for longer than WS_POLL_FALLBACK_AFTER the tip height is polled instead
+    WS_RECONNECT_BASE_DELAY: parseInt(process.env.WS_RECONNECT_BASE_DELAY) || 1000,
+    WS_RECONNECT_MAX_DELAY: parseInt(process.env.WS_RECONNECT_MAX_DELAY) || 60000,
+    WS_POLL_FALLBACK_AFTER: parseInt(process.env.WS_POLL_FALLBACK_AFTER) || 60000,
+    WS_POLL_INTERVAL: parseInt(process.env.WS_POLL_INTERVAL) || 30000,
+    
+    // External APIs
+    GENIIDATA_API_URL: 'https://api.geniidata.com/api/1/bitmap/bitmapInfo/bitmapNumber/', // Mainnet only
+    ORDINALS_API_URL: `${process.env.ORD_API_URL || NETWORK.ordApiUrl}/r`,
+    ORD_API_URL: process.env.ORD_API_URL || NETWORK.ordApiUrl, // ord server JSON API used by the 'ord' provider
+    
+    // 'providers' (default): queue-driven lookups through BITMAP_PROVIDERS
+    // 'ord': walk every block on the ord server at ORD_API_URL - no GeniiData key or rate limiting
+    INGESTION_MODE: (process.env.INGESTION_MODE || 'providers').toLowerCase(),
+    ORD_POLL_INTERVAL: parseInt(process.env.ORD_POLL_INTERVAL) || 30000, // How often the ord indexer checks for new blocks
+    
+    // Bitmap providers in priority order ('geniidata', 'ord'); failed providers sit out PROVIDER_COOLDOWN.
+    // GeniiData only knows mainnet, so other networks default to their ord server
+    BITMAP_PROVIDERS: (process.env.BITMAP_PROVIDERS || (NETWORK.geniidata ? 'geniidata' : 'ord'))
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(name => name.length > 0),
+    PROVIDER_COOLDOWN: parseInt(process.env.PROVIDER_COOLDOWN) || 5 * 60 * 1000,
+    ORD_REQUEST_INTERVAL: isNaN(parseInt(process.env.ORD_REQUEST_INTERVAL)) ? 250 : parseInt(process.env.ORD_REQUEST_INTERVAL), // 0 for a local ord
+    ORD_SCAN_BLOCKS: parseInt(process.env.ORD_SCAN_BLOCKS) || 3, // Blocks from N onward searched for the "N.bitmap" claim
+    
+    // Multi-API key support from environment variables (filter out empty keys)
+    API_KEYS: (process.env.GENIIDATA_API_KEYS || '142cf1b0-1ca7-11ee-bb5e-9d74c2e854ac')
+        .split(',')
+        .map(key => key.trim())
+        .filter(key => key && key.length > 0 && !key.includes('your-')),
+    USER_AGENTS: (process.env.USER_AGENTS || 'Enhanced-Bitmap-Tracker/2.0').split(',').map(ua => ua.trim()),
+    
+    // IP rotation settings
+    USE_PROXY_ROTATION: process.env.USE_PROXY_ROTATION === 'true',
+    PROXY_LIST: process.env.PROXY_LIST ? process.env.PROXY_LIST.split(',').map(p => p.trim()).filter(p => p) : [], // http://, https:// or socks5:// URLs, user:pass@ for auth
+    PROXY_MAX_FAILURES: parseInt(process.env.PROXY_MAX_FAILURES) || 3, // Failures in a row before a proxy is benched
+    PROXY_READMIT_AFTER: parseInt(process.env.PROXY_READMIT_AFTER) || 5 * 60 * 1000, // First bench time, doubled each time the proxy is benched again
+    PROXY_HEALTH_CHECK_URL: process.env.PROXY_HEALTH_CHECK_URL || 'https://api.geniidata.com/',
+    PROXY_HEALTH_CHECK_INTERVAL: isNaN(parseInt(process.env.PROXY_HEALTH_CHECK_INTERVAL)) ? 5 * 60 * 1000 : parseInt(process.env.PROXY_HEALTH_CHECK_INTERVAL), // 0 disables health checks
+    ROTATE_USER_AGENTS: process.env.ROTATE_USER_AGENTS !== 'false',
+    ROTATE_REQUEST_HEADERS: process.env.ROTATE_REQUEST_HEADERS !== 'false',
+    
+    // Storage backend: 'csv' (default) or 'sqlite'
+    STORAGE_BACKEND: (process.env.STORAGE_BACKEND || 'csv').toLowerCase(),
+    
+    // File Configuration
+    CSV_FILE: process.env.CSV_FILE || dataFile('bitmap_data.csv'),
+    // Backfill rows go to the historical file (the published CSV_FILE unless overridden), websocket blocks to the realtime file
+    HISTORICAL_CSV_FILE: process.env.HISTORICAL_CSV_FILE || process.env.CSV_FILE || dataFile('bitmap_data.csv'),
+    REALTIME_CSV_FILE: process.env.REALTIME_CSV_FILE || dataFile('bitmap_realtime.csv'),
+    REALTIME_CSV_JOURNAL_FILE: process.env.REALTIME_CSV_JOURNAL_FILE || `${process.env.REALTIME_CSV_FILE || dataFile('bitmap_realtime.csv')}.journal`,
+    CSV_COMPACTION_INTERVAL: parseInt(process.env.CSV_COMPACTION_INTERVAL) || 60 * 60 * 1000, // Merge realtime into historical hourly
+    EMPTY_BLOCKS_FILE: process.env.EMPTY_BLOCKS_FILE || dataFile('bitmap_empty_blocks.txt'),
+    CSV_JOURNAL_FILE: process.env.CSV_JOURNAL_FILE || `${process.env.CSV_FILE || dataFile('bitmap_data.csv')}.journal`,
+    CSV_SCHEMA_FILE: process.env.CSV_SCHEMA_FILE || `${process.env.CSV_FILE || dataFile('bitmap_data.csv')}.schema.json`,
+    REALTIME_CSV_SCHEMA_FILE: process.env.REALTIME_CSV_SCHEMA_FILE || `${process.env.REALTIME_CSV_FILE || dataFile('bitmap_realtime.csv')}.schema.json`,
+    QUARANTINE_FILE: process.env.QUARANTINE_FILE || dataFile('bitmap_quarantine.csv'),
+    REORG_STATE_FILE: process.env.REORG_STATE_FILE || dataFile('bitmap_block_hashes.json'),
+    DEAD_LETTER_FILE: process.env.DEAD_LETTER_FILE || dataFile('bitmap_failed_blocks.json'),
+    BACKFILL_JOBS_FILE: process.env.BACKFILL_JOBS_FILE || dataFile('backfill_jobs.json'),
+    SHALLOW_BLOCKS_FILE: process.env.SHALLOW_BLOCKS_FILE || dataFile('bitmap_shallow_blocks.json'),
+    EXPORT_DIR: process.env.EXPORT_DIR || dataFile('exports'), // Manifests of completed /api/export runs
+    METADATA_FILE: process.env.METADATA_FILE || dataFile('bitmap_metadata.jsonl'),
+    SOURCES_FILE: process.env.SOURCES_FILE || dataFile('bitmap_sources.jsonl'),
+    ORD_INDEXER_STATE_FILE: process.env.ORD_INDEXER_STATE_FILE || dataFile('ord_indexer_progress.json'),
+    SQLITE_FILE: process.env.SQLITE_FILE || dataFile('bitmap_data.sqlite'),
+    PROGRESS_FILE: process.env.PROGRESS_FILE || dataFile('backfill_progress.json'),
+    KEY_USAGE_FILE: process.env.KEY_USAGE_FILE || dataFile('api_key_usage.json'),
+    
+    // Rate limits per API key
+    MAX_REQUESTS_PER_DAY_PER_KEY: parseInt(process.env.MAX_REQUESTS_PER_DAY_PER_KEY) || 2000,
+    MAX_REQUESTS_PER_SECOND: parseInt(process.env.MAX_REQUESTS_PER_SECOND) || 5,
+    // Hourly budget per key; processing pauses once 90% of it was used in the last hour (default: the daily limit spread over 24 hours)
+    MAX_REQUESTS_PER_HOUR_PER_KEY: parseInt(process.env.MAX_REQUESTS_PER_HOUR_PER_KEY) || Math.floor((parseInt(process.env.MAX_REQUESTS_PER_DAY_PER_KEY) || 2000) / 24),
+    KEY_COOLDOWN: parseInt(process.env.KEY_COOLDOWN) || 10 * 60 * 1000, // Rest for a key GeniiData rate-limited
+    QUOTA_RESET_TIMEZONE: process.env.QUOTA_RESET_TIMEZONE || 'UTC', // Daily quotas reset at midnight here
+    KEY_USAGE_RECONCILE_INTERVAL: parseInt(process.env.KEY_USAGE_RECONCILE_INTERVAL) || 10 * 60 * 1000, // Re-read GeniiData's own usage count
+    
+    // Concurrent fetch workers (default: one per API key)
+    FETCH_WORKERS: parseInt(process.env.FETCH_WORKERS) || 0,
+    
+    // Ordinals API rate limiting
+    ORDINALS_REQUEST_INTERVAL: parseInt(process.env.ORDINALS_REQUEST_INTERVAL) || 1000, // 1 second between requests
+    ORDINALS_MAX_RETRIES: parseInt(process.env.ORDINALS_MAX_RETRIES) || 3,
+    
+    // Background sat-number enrichment (low priority, shares the Ordinals rate limit)
+    SAT_ENRICHMENT_ENABLED: process.env.SAT_ENRICHMENT_ENABLED !== 'false',
+    SAT_ENRICHMENT_BATCH_SIZE: parseInt(process.env.SAT_ENRICHMENT_BATCH_SIZE) || 25,
+    SAT_ENRICHMENT_IDLE_DELAY: parseInt(process.env.SAT_ENRICHMENT_IDLE_DELAY) || 10 * 60 * 1000, // Re-check every 10 minutes once complete
+    
+    // Background claim verification (checks provider answers against the bitmap rules via ORD_API_URL)
+    CLAIM_VERIFICATION_ENABLED: process.env.CLAIM_VERIFICATION_ENABLED !== 'false',
+    CLAIM_VERIFICATION_BATCH_SIZE: parseInt(process.env.CLAIM_VERIFICATION_BATCH_SIZE) || 25,
+    CLAIM_VERIFICATION_IDLE_DELAY: parseInt(process.env.CLAIM_VERIFICATION_IDLE_DELAY) || 10 * 60 * 1000,
+    
+    // Reorg detection: how many recent heights keep a block hash to compare against
+    REORG_DEPTH: parseInt(process.env.REORG_DEPTH) || 12,
+    
+    // Historical backfill settings
+    HISTORICAL_START_BLOCK: isNaN(parseInt(process.env.HISTORICAL_START_BLOCK)) ? NETWORK.historicalStartBlock : parseInt(process.env.HISTORICAL_START_BLOCK),
+    
+    // Timing - optimized for safe operation under rate limits
+    RETRY_DELAY: parseInt(process.env.RETRY_DELAY) || 5000,
+    MAX_RETRIES: parseInt(process.env.MAX_RETRIES) || 2,
+    // Depth (the tip counts as 1) new blocks wait for before they are looked up; 1 looks them up right away
+    CONFIRMATIONS_REQUIRED: parseInt(process.env.CONFIRMATIONS_REQUIRED) || 1,
+    // Share of the fetch workers for websocket blocks and the regular backfill; backfill jobs weigh their priority (1-10)
+    REALTIME_QUEUE_WEIGHT: parseInt(process.env.REALTIME_QUEUE_WEIGHT) || 10,
+    BACKFILL_QUEUE_WEIGHT: parseInt(process.env.BACKFILL_QUEUE_WEIGHT) || 5,
+    // New blocks per day whose lookups are always kept out of the backfill's quota (about 144 a day, plus headroom)
+    REALTIME_QUOTA_RESERVE_BLOCKS: parseInt(process.env.REALTIME_QUOTA_RESERVE_BLOCKS) || 200,
+    // Blocks that run out of retries are parked and retried after this delay, doubling per failure up to the max
+    DEAD_LETTER_RETRY_DELAY: parseInt(process.env.DEAD_LETTER_RETRY_DELAY) || 10 * 60 * 1000,
+    DEAD_LETTER_MAX_RETRY_DELAY: parseInt(process.env.DEAD_LETTER_MAX_RETRY_DELAY) || 24 * 60 * 60 * 1000,
+    
+    // Safety buffers
+    DAILY_LIMIT_BUFFER: parseInt(process.env.DAILY_LIMIT_BUFFER) || 50,
+    RATE_LIMIT_BUFFER: parseFloat(process.env.RATE_LIMIT_BUFFER) || 0.9,
+    
+    // Git Auto-Commit Settings
+    // Off for testnet, signet and regtest unless AUTO_COMMIT_TEST_NETWORKS=true, so test-network data is
+    // never committed or pushed to the published branch by accident
+    AUTO_COMMIT_CSV: process.env.AUTO_COMMIT_CSV !== 'false' &&
+        (NETWORK.name === 'mainnet' || process.env.AUTO_COMMIT_TEST_NETWORKS === 'true'),
+    GIT_COMMIT_MESSAGE: process.env.GIT_COMMIT_MESSAGE || 'Update Bitcoin bitmap data - Block {blockNumber}',
+    GIT_PUSH_TO_REMOTE: process.env.GIT_PUSH_TO_REMOTE !== 'false',
+    GIT_BRANCH: process.env.GIT_BRANCH || 'main'
+};
+
+module.exports = CONFIG;
@@ -0,0 +1,87 @@
+// Confirmation depth of blocks
+// A block announced by the websocket is at the tip: indexers may not have seen its bitmap inscription
+// yet, and a reorg can still replace it. With required = N, realtime blocks wait until they are N deep
+// (the tip has 1 confirmation), and any block that was looked up shallower than that anyway - by the
+// backfill reaching the tip or an API request - is remembered here and looked up once more when it
+// reaches N. The shallow blocks survive restarts in stateFile.
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomicFile');
+
+class ConfirmationTracker {
+    constructor(options) {
+        this.stateFile = options.stateFile;
+        this.required = Math.max(1, options.required || 1);
+
+        this.shallow = new Map(); // block number -> { blockNumber, confirmations, checkedAt }
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.stateFile)) {
+                const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+                (state.blocks || []).forEach(entry => this.shallow.set(entry.blockNumber, entry));
+            }
+        } catch (error) {
+            console.log(`⚠️ Could not read shallow blocks ${this.stateFile}: ${error.message}`);
+        }
+    }
+
+    save() {
+        try {
+            const blocks = Array.from(this.shallow.values()).sort((a, b) => a.blockNumber - b.blockNumber);
+            writeFileAtomic(this.stateFile, JSON.stringify({ required: this.required, blocks }, null, 2) + '\n');
+        } catch (error) {
+            console.log(`⚠️ Could not save shallow blocks: ${error.message}`);
+        }
+    }
+
+    // Confirmations of a block with the chain tip at tip (null while the tip is unknown)
+    confirmations(blockNumber, tip) {
+        if (!tip) return null;
+        return blockNumber <= tip ? tip - blockNumber + 1 : 0;
+    }
+
+    isDeep(blockNumber, tip) {
+        const confirmations = this.confirmations(blockNumber, tip);
+        return confirmations !== null && confirmations >= this.required;
+    }
+
+    // A block was looked up before it was deep enough; it gets one more lookup at the required depth
+    markShallow(blockNumber, tip) {
+        this.shallow.set(blockNumber, {
+            blockNumber,
+            confirmations: this.confirmations(blockNumber, tip),
+            checkedAt: new Date().toISOString()
+        });
+        this.save();
+    }
+
+    // Lowest shallow block that is deep enough now, skipping those skip() says are taken
+    nextDue(tip, skip = () => false) {
+        let due = null;
+        for (const blockNumber of this.shallow.keys()) {
+            if ((due === null || blockNumber < due) && this.isDeep(blockNumber, tip) && !skip(blockNumber)) due = blockNumber;
+        }
+        return due;
+    }
+
+    // The re-check is done (or the block was dropped); returns whether it was waiting
+    resolve(blockNumber) {
+        if (!this.shallow.delete(blockNumber)) return false;
+        this.save();
+        return true;
+    }
+
+    getStats(tip) {
+        const blocks = Array.from(this.shallow.keys());
+        return {
+            required: this.required,
+            awaitingRecheck: blocks.length,
+            due: blocks.filter(blockNumber => this.isDeep(blockNumber, tip)).length
+        };
+    }
+}
+
+module.exports = ConfirmationTracker;
@@ -0,0 +1,38 @@
+// Write-ahead journal for CSV appends
+// Each row is flushed to the journal before it is appended to the CSV and the journal is cleared
+// once the append is on disk. Rows left behind by a crash are replayed on the next start.
+
+const fs = require('fs');
+const { appendFileDurable } = require('./atomicFile');
+
+class CsvJournal {
+    constructor(journalFile) {
+        this.journalFile = journalFile;
+    }
+
+    // Durably record a row that is about to be appended
+    record(row) {
+        appendFileDurable(this.journalFile, row.endsWith('\n') ? row : `${row}\n`);
+    }
+
+    // Mark every recorded row as applied
+    clear() {
+        if (fs.existsSync(this.journalFile)) {
+            fs.truncateSync(this.journalFile, 0);
+        }
+    }
+
+    // Rows still pending from a previous run
+    pendingRows() {
+        if (!fs.existsSync(this.journalFile)) {
+            return [];
+        }
+
+        return fs.readFileSync(this.journalFile, 'utf8')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !isNaN(parseInt(line.split(',')[0])));
+    }
+}
+
+module.exports = CsvJournal;
@@ -0,0 +1,125 @@
+// Dead-letter queue for blocks that could not be looked up
+// A block that fails MAX_RETRIES attempts (or hits an invalid API key) used to be logged and left
+// behind once the backfill moved past it. It is parked here instead, with its error history, and
+// offered again on an increasing schedule: retryDelay after the first failure, doubling with every
+// further one up to maxRetryDelay. The entry is dropped as soon as the block is stored. The queue
+// survives restarts in stateFile.
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomicFile');
+
+const MAX_ERRORS = 10; // Error history kept per block
+
+class DeadLetterQueue {
+    constructor(options) {
+        this.stateFile = options.stateFile;
+        this.retryDelay = options.retryDelay || 10 * 60 * 1000;
+        this.maxRetryDelay = options.maxRetryDelay || 24 * 60 * 60 * 1000;
+
+        this.entries = new Map(); // block number -> entry
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.stateFile)) {
+                const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+                // The fetch queues did not survive the restart, so nothing is queued any more
+                (state.blocks || []).forEach(entry => this.entries.set(entry.blockNumber, { ...entry, queuedAt: null }));
+            }
+        } catch (error) {
+            console.log(`⚠️ Could not read dead-letter queue ${this.stateFile}: ${error.message}`);
+        }
+    }
+
+    save() {
+        try {
+            const blocks = Array.from(this.entries.values()).sort((a, b) => a.blockNumber - b.blockNumber);
+            writeFileAtomic(this.stateFile, JSON.stringify({ blocks }, null, 2) + '\n');
+        } catch (error) {
+            console.log(`⚠️ Could not save dead-letter queue: ${error.message}`);
+        }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(blockNumber) {
+        return this.entries.has(blockNumber);
+    }
+
+    get(blockNumber) {
+        return this.entries.get(blockNumber) || null;
+    }
+
+    // Delay before the next retry after a block's nth failure
+    delayAfter(failures) {
+        return Math.min(this.retryDelay * 2 ** Math.max(failures - 1, 0), this.maxRetryDelay);
+    }
+
+    // Park a block that ran out of attempts: { reason, message, priority }
+    add(blockNumber, failure) {
+        const now = Date.now();
+        const entry = this.entries.get(blockNumber) || {
+            blockNumber,
+            priority: false,
+            failures: 0,
+            firstFailedAt: new Date(now).toISOString(),
+            errors: []
+        };
+
+        entry.failures++;
+        entry.reason = failure.reason;
+        entry.priority = entry.priority || Boolean(failure.priority);
+        entry.lastFailedAt = new Date(now).toISOString();
+        entry.nextRetryAt = new Date(now + this.delayAfter(entry.failures)).toISOString();
+        entry.queuedAt = null;
+        entry.errors = entry.errors.concat({ at: entry.lastFailedAt, reason: failure.reason, message: failure.message }).slice(-MAX_ERRORS);
+
+        this.entries.set(blockNumber, entry);
+        this.save();
+        return entry;
+    }
+
+    // Blocks whose retry time has come and that are not already back in a queue
+    due(now = Date.now()) {
+        return Array.from(this.entries.values())
+            .filter(entry => !entry.queuedAt && Date.parse(entry.nextRetryAt) <= now)
+            .sort((a, b) => a.blockNumber - b.blockNumber);
+    }
+
+    // The block was handed back to the fetch queues
+    markQueued(blockNumber) {
+        const entry = this.entries.get(blockNumber);
+        if (!entry) return null;
+        entry.queuedAt = new Date().toISOString();
+        this.save();
+        return entry;
+    }
+
+    // The block was stored after all; returns whether it was in the queue
+    resolve(blockNumber) {
+        if (!this.entries.delete(blockNumber)) return false;
+        this.save();
+        return true;
+    }
+
+    list() {
+        return Array.from(this.entries.values()).sort((a, b) => a.blockNumber - b.blockNumber);
+    }
+
+    getStats() {
+        const now = Date.now();
+        const waiting = this.list().filter(entry => !entry.queuedAt);
+        const nextRetry = waiting.length > 0 ? Math.min(...waiting.map(entry => Date.parse(entry.nextRetryAt))) : null;
+        return {
+            failedBlocks: this.entries.size,
+            queued: this.entries.size - waiting.length,
+            due: waiting.filter(entry => Date.parse(entry.nextRetryAt) <= now).length,
+            nextRetryAt: nextRetry ? new Date(nextRetry).toISOString() : null
+        };
+    }
+}
+
+module.exports = DeadLetterQueue;
@@ -0,0 +1,191 @@
+// Durable ledger of blocks confirmed to have no bitmap
+// Stored as a sidecar file next to the CSV, one inclusive range per line ("840010-840012" or "840015").
+// New entries are appended as single blocks; the file is re-encoded into merged ranges on load and compaction.
+
+const fs = require('fs');
+const { writeFileAtomic, appendFileDurable } = require('./atomicFile');
+
+const FILE_HEADER = '# Blocks confirmed to have no bitmap (inclusive ranges)';
+
+class EmptyBlockLedger {
+    constructor(ledgerFile) {
+        this.ledgerFile = ledgerFile;
+        this.ranges = []; // Sorted, non-overlapping, non-adjacent [start, end] pairs
+        this.count = 0;
+        this.appendedSinceCompaction = 0;
+    }
+
+    // Load the ledger from disk and re-encode it if it has accumulated single-block lines
+    // (options.compact: false leaves the file as it is, for read-only use)
+    load(options = {}) {
+        this.ranges = [];
+        this.count = 0;
+        this.appendedSinceCompaction = 0;
+
+        if (!fs.existsSync(this.ledgerFile)) {
+            return 0;
+        }
+
+        const lines = fs.readFileSync(this.ledgerFile, 'utf8').split('\n');
+        let entries = 0;
+
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) continue;
+
+            const [startText, endText] = line.split('-');
+            const start = parseInt(startText);
+            const end = endText !== undefined ? parseInt(endText) : start;
+            if (isNaN(start) || isNaN(end) || end < start) continue;
+
+            this.insertRange(start, end);
+            entries++;
+        }
+
+        if (entries > this.ranges.length && options.compact !== false) {
+            this.compact();
+        }
+
+        return this.count;
+    }
+
+    has(blockNumber) {
+        return this.findRangeIndex(blockNumber) !== -1;
+    }
+
+    get size() {
+        return this.count;
+    }
+
+    // Record a confirmed-empty block durably
+    add(blockNumber) {
+        if (this.has(blockNumber)) return false;
+
+        this.insertRange(blockNumber, blockNumber);
+        appendFileDurable(this.ledgerFile, this.fileExists() ? `${blockNumber}\n` : `${FILE_HEADER}\n${blockNumber}\n`);
+        this.appendedSinceCompaction++;
+
+        if (this.appendedSinceCompaction >= 500) {
+            this.compact();
+        }
+
+        return true;
+    }
+
+    // Forget a block (e.g. a bitmap was found for it later) and rewrite the ledger
+    delete(blockNumber) {
+        const index = this.findRangeIndex(blockNumber);
+        if (index === -1) return false;
+
+        const [start, end] = this.ranges[index];
+        const replacement = [];
+        if (start < blockNumber) replacement.push([start, blockNumber - 1]);
+        if (blockNumber < end) replacement.push([blockNumber + 1, end]);
+
+        this.ranges.splice(index, 1, ...replacement);
+        this.count--;
+        this.compact();
+
+        return true;
+    }
+
+    // Replace the whole ledger with the given block numbers
+    replaceAll(blockNumbers) {
+        this.ranges = [];
+        this.count = 0;
+
+        for (const blockNumber of blockNumbers) {
+            this.insertRange(blockNumber, blockNumber);
+        }
+
+        this.compact();
+    }
+
+    // Call fn for every empty block within [from, to]
+    forEachInRange(from, to, fn) {
+        for (const [start, end] of this.ranges) {
+            if (end < from) continue;
+            if (start > to) break;
+
+            for (let block = Math.max(start, from); block <= Math.min(end, to); block++) {
+                fn(block);
+            }
+        }
+    }
+
+    // Number of empty blocks within [from, to]
+    countInRange(from, to) {
+        let total = 0;
+        for (const [start, end] of this.ranges) {
+            if (end < from) continue;
+            if (start > to) break;
+            total += Math.min(end, to) - Math.max(start, from) + 1;
+        }
+        return total;
+    }
+
+    // Rewrite the ledger file as merged ranges
+    compact() {
+        const lines = [FILE_HEADER];
+        for (const [start, end] of this.ranges) {
+            lines.push(start === end ? `${start}` : `${start}-${end}`);
+        }
+
+        writeFileAtomic(this.ledgerFile, lines.join('\n') + '\n');
+        this.appendedSinceCompaction = 0;
+    }
+
+    insertRange(start, end) {
+        // Find the first range that could touch [start, end]
+        let low = 0;
+        let high = this.ranges.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.ranges[mid][1] < start - 1) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        let mergedStart = start;
+        let mergedEnd = end;
+        let removeCount = 0;
+        let covered = 0;
+
+        for (let i = low; i < this.ranges.length && this.ranges[i][0] <= end + 1; i++) {
+            mergedStart = Math.min(mergedStart, this.ranges[i][0]);
+            mergedEnd = Math.max(mergedEnd, this.ranges[i][1]);
+            covered += this.ranges[i][1] - this.ranges[i][0] + 1;
+            removeCount++;
+        }
+
+        this.ranges.splice(low, removeCount, [mergedStart, mergedEnd]);
+        this.count += (mergedEnd - mergedStart + 1) - covered;
+    }
+
+    findRangeIndex(blockNumber) {
+        let low = 0;
+        let high = this.ranges.length - 1;
+
+        while (low <= high) {
+            const mid = (low + high) >>> 1;
+            const [start, end] = this.ranges[mid];
+            if (blockNumber < start) {
+                high = mid - 1;
+            } else if (blockNumber > end) {
+                low = mid + 1;
+            } else {
+                return mid;
+            }
+        }
+
+        return -1;
+    }
+
+    fileExists() {
+        return fs.existsSync(this.ledgerFile);
+    }
+}
+
+module.exports = EmptyBlockLedger;
@@ -0,0 +1,185 @@
+// Data integrity checks for stored bitmap rows
+// Goes further than the CSV order check: inscription ID format, duplicate block numbers and
+// inscription IDs, sat numbers outside the range mined in the row's block and rows below
+// HISTORICAL_START_BLOCK. With the CSV backend the raw files are read, so duplicate lines that the
+// index hides are still reported. Fixing moves flagged rows to a quarantine file, never deletes them.
+
+const fs = require('fs');
+const { writeFileAtomic, appendFileDurable } = require('./atomicFile');
+
+const INSCRIPTION_ID_PATTERN = /^[0-9a-f]{64}i\d+$/;
+const QUARANTINE_HEADER = 'block_number,inscription_id,sat_number,reasons,quarantined_at';
+
+const HALVING_INTERVAL = 210000;
+const INITIAL_SUBSIDY = 5000000000;
+
+const CHECKS = {
+    malformed_row: 'Row could not be parsed',
+    invalid_inscription_id: 'Inscription ID is not 64 hex characters + "i" + index',
+    duplicate_block_number: 'Block number already appears on an earlier row',
+    duplicate_inscription_id: 'Inscription ID already belongs to a lower block',
+    sat_out_of_range: 'Sat number was not mined in this block',
+    below_historical_start: 'Block is below HISTORICAL_START_BLOCK'
+};
+
+function blockSubsidy(blockNumber) {
+    const halvings = Math.floor(blockNumber / HALVING_INTERVAL);
+    return halvings >= 33 ? 0 : Math.floor(INITIAL_SUBSIDY / Math.pow(2, halvings));
+}
+
+// [first, end) sats created by a block's subsidy (fees re-use older sats)
+function satRangeForBlock(blockNumber) {
+    const halvings = Math.floor(blockNumber / HALVING_INTERVAL);
+    let first = 0;
+    for (let epoch = 0; epoch < halvings && epoch < 33; epoch++) {
+        first += HALVING_INTERVAL * blockSubsidy(epoch * HALVING_INTERVAL);
+    }
+    first += (blockNumber - halvings * HALVING_INTERVAL) * blockSubsidy(blockNumber);
+    return { first, end: first + blockSubsidy(blockNumber) };
+}
+
+class IntegrityVerifier {
+    constructor(options) {
+        this.storage = options.storage;
+        this.quarantineFile = options.quarantineFile;
+        this.historicalStartBlock = options.historicalStartBlock;
+    }
+
+    // Rows exactly as stored; CSV rows carry their file and 1-based line number
+    readRows() {
+        if (this.storage.name !== 'csv') {
+            return Array.from(this.storage.iterateBlocks(), row => ({
+                file: null,
+                fileOrder: 0,
+                line: 0,
+                raw: `${row.blockNumber},${row.inscriptionId},${row.satNumber || ''}`,
+                ...row
+            }));
+        }
+
+        const rows = [];
+        this.storage.dataFiles().forEach((csvFile, fileOrder) => {
+            if (!fs.existsSync(csvFile)) return;
+
+            const lines = fs.readFileSync(csvFile, 'utf8').split('\n');
+            for (let i = 1; i < lines.length; i++) {
+                const raw = lines[i].trim();
+                if (!raw) continue;
+
+                const parts = raw.split(',');
+                rows.push({
+                    file: csvFile,
+                    fileOrder,
+                    line: i + 1,
+                    raw,
+                    blockNumber: /^\d+$/.test(parts[0]) ? parseInt(parts[0]) : NaN,
+                    inscriptionId: parts[1] || null,
+                    satNumber: parts[2] || null
+                });
+            }
+        });
+        return rows;
+    }
+
+    verify() {
+        const rows = this.readRows();
+        const flagged = new Map(); // row -> problem codes
+        const flag = (row, check) => {
+            if (!flagged.has(row)) flagged.set(row, []);
+            flagged.get(row).push(check);
+        };
+
+        // Block order, then file and line order, decides which of two duplicates is kept
+        const ordered = rows.slice().sort((a, b) => (a.blockNumber - b.blockNumber) || (a.fileOrder - b.fileOrder) || (a.line - b.line));
+        const seenBlocks = new Set();
+        const seenInscriptions = new Set();
+
+        for (const row of ordered) {
+            if (isNaN(row.blockNumber)) {
+                flag(row, 'malformed_row');
+                continue;
+            }
+
+            if (seenBlocks.has(row.blockNumber)) flag(row, 'duplicate_block_number');
+            seenBlocks.add(row.blockNumber);
+
+            if (!row.inscriptionId || !INSCRIPTION_ID_PATTERN.test(row.inscriptionId)) {
+                flag(row, 'invalid_inscription_id');
+            } else {
+                if (seenInscriptions.has(row.inscriptionId)) flag(row, 'duplicate_inscription_id');
+                seenInscriptions.add(row.inscriptionId);
+            }
+
+            if (row.satNumber) {
+                const sat = Number(row.satNumber);
+                const range = satRangeForBlock(row.blockNumber);
+                if (!/^\d+$/.test(row.satNumber) || sat < range.first || sat >= range.end) {
+                    flag(row, 'sat_out_of_range');
+                }
+            }
+
+            if (row.blockNumber < this.historicalStartBlock) flag(row, 'below_historical_start');
+        }
+
+        const counts = {};
+        Object.keys(CHECKS).forEach(check => { counts[check] = 0; });
+
+        const issues = [];
+        for (const row of rows) {
+            const problems = flagged.get(row);
+            if (!problems) continue;
+
+            problems.forEach(check => counts[check]++);
+            issues.push({
+                file: row.file,
+                line: row.line || null,
+                blockNumber: isNaN(row.blockNumber) ? null : row.blockNumber,
+                inscriptionId: row.inscriptionId,
+                satNumber: row.satNumber,
+                raw: row.raw,
+                problems
+            });
+        }
+
+        return {
+            ok: issues.length === 0,
+            checkedAt: new Date().toISOString(),
+            source: this.storage.describe(),
+            historicalStartBlock: this.historicalStartBlock,
+            rowsChecked: rows.length,
+            rowsWithIssues: issues.length,
+            counts,
+            checks: CHECKS,
+            issues
+        };
+    }
+
+    // Move every flagged row into the quarantine file and out of storage
+    async quarantine(report) {
+        if (report.issues.length === 0) return 0;
+
+        const quarantinedAt = new Date().toISOString();
+        const lines = report.issues.map(issue => `${issue.raw},${issue.problems.join(';')},${quarantinedAt}`);
+        const needsHeader = !fs.existsSync(this.quarantineFile) || fs.statSync(this.quarantineFile).size === 0;
+        appendFileDurable(this.quarantineFile, `${needsHeader ? `${QUARANTINE_HEADER}\n` : ''}${lines.join('\n')}\n`);
+
+        if (this.storage.name !== 'csv') {
+            await this.storage.removeBlocks(report.issues.map(issue => issue.blockNumber));
+            return report.issues.length;
+        }
+
+        // Drop lines rather than block numbers so the first copy of a duplicated block survives
+        for (const csvFile of this.storage.dataFiles()) {
+            const badLines = new Set(report.issues.filter(issue => issue.file === csvFile).map(issue => issue.line));
+            if (badLines.size === 0) continue;
+
+            const kept = fs.readFileSync(csvFile, 'utf8').split('\n')
+                .filter((line, index) => index === 0 || (line.trim() && !badLines.has(index + 1)));
+            writeFileAtomic(csvFile, kept.join('\n') + '\n');
+        }
+
+        return report.issues.length;
+    }
+}
+
+module.exports = IntegrityVerifier;
@@ -0,0 +1,77 @@
+// Bitcoin networks (NETWORK)
+// Default upstream endpoints, bitcoind's RPC port and where the backfill starts for each network the
+// tracker can follow. Mainnet keeps the original data file names; every other network gets its own
+// files with the network before the extension (bitmap_data.signet.csv), so test runs never touch
+// mainnet data. Bitmap's legacy range (0-839,999, resolved through the on-chain index) and
+// GeniiData only exist on mainnet.
+
+const path = require('path');
+
+const NETWORKS = {
+    mainnet: {
+        mempoolApiUrl: 'https://mempool.space/api',
+        mempoolWsUrl: 'wss://mempool.space/api/v1/ws',
+        esploraApiUrl: 'https://blockstream.info/api',
+        ordApiUrl: 'https://ordinals.com',
+        bitcoindRpcPort: 8332,
+        chainSource: 'mempool',
+        historicalStartBlock: 840000,
+        geniidata: true
+    },
+    testnet: {
+        mempoolApiUrl: 'https://mempool.space/testnet/api',
+        mempoolWsUrl: 'wss://mempool.space/testnet/api/v1/ws',
+        esploraApiUrl: 'https://blockstream.info/testnet/api',
+        ordApiUrl: 'https://testnet.ordinals.com',
+        bitcoindRpcPort: 18332,
+        chainSource: 'mempool',
+        historicalStartBlock: 0,
+        geniidata: false
+    },
+    signet: {
+        mempoolApiUrl: 'https://mempool.space/signet/api',
+        mempoolWsUrl: 'wss://mempool.space/signet/api/v1/ws',
+        esploraApiUrl: 'https://mempool.space/signet/api', // mempool's REST API is Esplora's
+        ordApiUrl: 'https://signet.ordinals.com',
+        bitcoindRpcPort: 38332,
+        chainSource: 'mempool',
+        historicalStartBlock: 0,
+        geniidata: false
+    },
+    // Nothing public runs regtest: everything points at local services, bitcoind first
+    regtest: {
+        mempoolApiUrl: 'http://127.0.0.1:8999/api',
+        mempoolWsUrl: 'ws://127.0.0.1:8999/api/v1/ws',
+        esploraApiUrl: 'http://127.0.0.1:3002',
+        ordApiUrl: 'http://127.0.0.1',
+        bitcoindRpcPort: 18443,
+        chainSource: 'bitcoind',
+        historicalStartBlock: 0,
+        geniidata: false
+    }
+};
+
+const NETWORK_NAMES = Object.keys(NETWORKS);
+
+function getNetwork(name) {
+    const network = NETWORKS[name];
+    if (!network) throw new Error(`Unknown NETWORK "${name}" (expected one of: ${NETWORK_NAMES.join(', ')})`);
+    return { name, ...network };
+}
+
+// bitmap_data.csv -> bitmap_data.signet.csv, ./data/bitmap_data.csv -> ./data/bitmap_data.signet.csv;
+// only the file name changes, never its directories, and mainnet names are left alone
+function networkFile(fileName, networkName) {
+    if (networkName === 'mainnet') return fileName;
+    const { dir, name, ext } = path.parse(fileName);
+    const base = `${name}.${networkName}${ext}`;
+    return dir ? path.join(dir, base) : base;
+}
+
+// "<64 hex txid>i<index>" -> { txid, index }, or null for anything else
+function parseInscriptionId(inscriptionId) {
+    const match = /^([0-9a-f]{64})i(\d+)$/.exec(String(inscriptionId || ''));
+    return match ? { txid: match[1], index: parseInt(match[2]) } : null;
+}
+
+module.exports = { NETWORKS, NETWORK_NAMES, getNetwork, networkFile, parseInscriptionId };
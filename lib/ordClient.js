@@ -0,0 +1,173 @@
+// Minimal client for an ord server's JSON API (ordinals.com or a self-hosted `ord server`)
+// Requests are spaced by requestInterval so a public instance is not hammered; point baseUrl at
+// your own ord (started with --enable-json-api) and set the interval to 0 for full speed.
+// getBitmapClaims() reads every short text/plain inscription in a block and leaves the claim rules
+// to the validity engine; sat numbers are only present when ord indexes sats (--index-sats).
+// Requests are entered in the tracker's request ledger when one is passed in.
+
+const http = require('http');
+const https = require('https');
+const { checkClaim, pickWinner } = require('./bitmapValidity');
+const { upstreamOf } = require('./requestLedger');
+
+const MAX_CLAIM_LENGTH = 32; // Bytes; "<height>.bitmap" is far shorter
+
+class OrdClient {
+    constructor(options) {
+        this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+        this.requestInterval = options.requestInterval || 0;
+        this.timeout = options.timeout || 15000;
+        this.ledger = options.ledger || null;
+        this.upstream = upstreamOf(this.baseUrl);
+        this.lastRequest = 0;
+        this.requests = 0;
+    }
+
+    async waitForRateLimit() {
+        const waitTime = this.requestInterval - (Date.now() - this.lastRequest);
+        if (waitTime > 0) {
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+        this.lastRequest = Date.now();
+    }
+
+    // Resolves with { statusCode, body } for any HTTP status; rejects on network errors and timeouts
+    async request(endpoint, accept) {
+        await this.waitForRateLimit();
+        this.requests++;
+        if (this.ledger) this.ledger.record(this.upstream);
+
+        const url = `${this.baseUrl}${endpoint}`;
+        const client = url.startsWith('https:') ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = client.get(url, {
+                headers: {
+                    'User-Agent': 'Enhanced-Bitmap-Tracker/2.0',
+                    'Accept': accept
+                }
+            }, (res) => {
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => data += chunk);
+                res.on('end', () => resolve({ statusCode: res.statusCode, body: data }));
+                res.on('error', reject);
+            });
+
+            req.on('error', (error) => reject(new Error(`ord request error: ${error.message}`)));
+            req.setTimeout(this.timeout, () => {
+                req.destroy();
+                reject(new Error(`ord request timeout (${url})`));
+            });
+        });
+    }
+
+    // Parsed JSON, or null on 404; throws on any other failure
+    async getJson(endpoint) {
+        const { statusCode, body } = await this.request(endpoint, 'application/json');
+        if (statusCode === 404) return null;
+        if (statusCode !== 200) {
+            throw new Error(`ord returned HTTP ${statusCode} for ${endpoint}`);
+        }
+
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            throw new Error(`ord returned invalid JSON for ${endpoint}: ${error.message}`);
+        }
+    }
+
+    // Height of the latest block ord has indexed
+    async getBlockHeight() {
+        const height = await this.getJson('/r/blockheight');
+        if (!Number.isInteger(height)) {
+            throw new Error(`ord returned an invalid block height: ${JSON.stringify(height)}`);
+        }
+        return height;
+    }
+
+    // Every inscription ID created in a block, in ord's page order; null when ord does not know the block yet
+    async getBlockInscriptions(height) {
+        const ids = [];
+        for (let page = 0; ; page++) {
+            const result = await this.getJson(`/inscriptions/block/${height}/${page}`);
+            if (!result) return page === 0 ? null : ids;
+
+            ids.push(...(result.ids || []));
+            if (!result.more) return ids;
+        }
+    }
+
+    // { id, number, sat, height, content_type, content_length, ... } or null
+    async getInscription(inscriptionId) {
+        return this.getJson(`/inscription/${inscriptionId}`);
+    }
+
+    // Raw content as text, or null when the inscription has none
+    async getContent(inscriptionId) {
+        const { statusCode, body } = await this.request(`/content/${inscriptionId}`, '*/*');
+        if (statusCode === 404) return null;
+        if (statusCode !== 200) {
+            throw new Error(`ord returned HTTP ${statusCode} for content of ${inscriptionId}`);
+        }
+        return body;
+    }
+
+    // An inscription as a validity engine claim, or null when ord does not know it
+    async getClaim(inscriptionId) {
+        const inscription = await this.getInscription(inscriptionId);
+        if (!inscription) return null;
+
+        return toClaim(inscription, inscriptionId, await this.getContent(inscriptionId));
+    }
+
+    // Bitmap claims inscribed in a block: { claims: Map(bitmap number -> winning claim), candidates, inscriptions }
+    // where a claim is { inscriptionId, inscriptionNumber, inscribedHeight, content, contentType, satNumber }
+    // and candidates maps each bitmap number to every claim read for it, valid or not; null when ord lacks the block
+    async getBitmapClaims(height) {
+        const inscriptionIds = await this.getBlockInscriptions(height);
+        if (!inscriptionIds) return null;
+
+        const candidates = new Map();
+        for (const inscriptionId of inscriptionIds) {
+            const inscription = await this.getInscription(inscriptionId);
+            if (!inscription || !isClaimCandidate(inscription)) continue;
+
+            const claim = toClaim(inscription, inscriptionId, await this.getContent(inscriptionId));
+            if (claim.inscribedHeight === null) claim.inscribedHeight = height;
+
+            const { number } = checkClaim(claim);
+            if (number === null) continue;
+            if (!candidates.has(number)) candidates.set(number, []);
+            candidates.get(number).push(claim);
+        }
+
+        const claims = new Map();
+        for (const [bitmapNumber, blockCandidates] of candidates) {
+            const { winner } = pickWinner(bitmapNumber, blockCandidates);
+            if (winner) claims.set(bitmapNumber, winner);
+        }
+
+        return { claims, candidates, inscriptions: inscriptionIds.length };
+    }
+}
+
+function toClaim(inscription, inscriptionId, content) {
+    return {
+        inscriptionId: inscription.id || inscriptionId,
+        inscriptionNumber: inscription.number,
+        inscribedHeight: Number.isInteger(inscription.height) ? inscription.height : null,
+        content,
+        contentType: inscription.content_type || null,
+        satNumber: inscription.sat !== null && inscription.sat !== undefined ? String(inscription.sat) : null
+    };
+}
+
+function isClaimCandidate(inscription) {
+    return typeof inscription.content_type === 'string' &&
+        inscription.content_type.startsWith('text/plain') &&
+        Number.isInteger(inscription.content_length) &&
+        inscription.content_length <= MAX_CLAIM_LENGTH;
+}
+
+module.exports = OrdClient;
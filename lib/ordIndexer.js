@@ -0,0 +1,183 @@
+// Local ord indexer mode (INGESTION_MODE=ord)
+// Walks every block from HISTORICAL_START_BLOCK up to the ord server's tip and reads the bitmap
+// claims inscribed in it, so no GeniiData key or rate limiting is involved. A claim for block N
+// can only be inscribed at height N or later, so walking upward from the start block meets the
+// first valid claim for every tracked block before any later one: the first claim seen wins and
+// later ones are ignored. Once the walk is ORD_SCAN_BLOCKS past a block without a claim for it,
+// the block is recorded as empty; a claim that still turns up later replaces that mark. Sat
+// numbers come with every claim as long as ord indexes sats (--index-sats). Both outcomes carry
+// the validity engine's verdict, so they are stored as checked.
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomicFile');
+const { judgeAnswer } = require('./bitmapValidity');
+
+class OrdIndexer {
+    constructor(options) {
+        this.client = options.client; // OrdClient
+        this.stateFile = options.stateFile;
+        this.startHeight = options.startHeight;
+        this.scanBlocks = options.scanBlocks || 3;
+        this.pollInterval = options.pollInterval || 30000;
+        this.hasBitmap = options.hasBitmap; // blockNumber -> true when a row is already stored
+        this.onClaim = options.onClaim; // async (blockNumber, claim, { realtime, verdict }) => void
+        this.onNoClaim = options.onNoClaim; // async (blockNumber, { verdict }) => void
+        this.logError = options.logError || ((level, blockNumber, message) => console.error(`❌ ${level}: ${message}`));
+
+        this.running = false;
+        this.scanning = false;
+        this.timer = null;
+        this.tipHeight = null;
+        this.state = this.load();
+        this.stats = {
+            blocksScanned: 0,
+            inscriptionsChecked: 0,
+            claimsRecorded: 0,
+            claimsIgnored: 0,
+            missingSats: 0,
+            lastScanAt: null,
+            lastError: null
+        };
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.stateFile)) {
+                const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+                if (Number.isInteger(state.nextHeight)) {
+                    return { ...state, nextHeight: Math.max(state.nextHeight, this.startHeight) };
+                }
+            }
+        } catch (error) {
+            console.log(`⚠️ Could not read ord indexer state ${this.stateFile}: ${error.message}`);
+        }
+        return { nextHeight: this.startHeight, updatedAt: null };
+    }
+
+    save() {
+        this.state.updatedAt = new Date().toISOString();
+        try {
+            writeFileAtomic(this.stateFile, JSON.stringify(this.state, null, 2) + '\n');
+        } catch (error) {
+            console.log(`⚠️ Could not save ord indexer state: ${error.message}`);
+        }
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        console.log(`⛏️ ord indexer started at block ${this.state.nextHeight} (${this.client.baseUrl})`);
+        this.schedule(0);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    schedule(delay) {
+        if (!this.running) return;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.run();
+        }, delay);
+    }
+
+    // A new block was announced - check ord now instead of waiting for the next poll
+    poke() {
+        if (this.running && !this.scanning) this.schedule(0);
+    }
+
+    // Walk again from an earlier height (after a reorg replaced blocks at or above it)
+    rewind(height) {
+        if (height < this.state.nextHeight) {
+            this.state.nextHeight = Math.max(height, this.startHeight);
+            this.save();
+            this.poke();
+        }
+    }
+
+    async run() {
+        this.scanning = true;
+        try {
+            await this.catchUp();
+        } catch (error) {
+            this.stats.lastError = error.message;
+            this.logError('ORD_INDEXER', this.state.nextHeight, error.message);
+        } finally {
+            this.scanning = false;
+            this.schedule(this.pollInterval);
+        }
+    }
+
+    // Scan every block ord has indexed past our cursor
+    async catchUp() {
+        const tipAtStart = await this.client.getBlockHeight();
+        this.tipHeight = tipAtStart;
+
+        while (this.running && this.state.nextHeight <= this.tipHeight) {
+            const height = this.state.nextHeight;
+            await this.scanHeight(height, height >= tipAtStart - this.scanBlocks);
+
+            this.state.nextHeight = height + 1;
+            this.save();
+        }
+    }
+
+    async scanHeight(height, realtime) {
+        const result = await this.client.getBitmapClaims(height);
+        if (!result) {
+            throw new Error(`ord has no block ${height} although its tip is ${this.tipHeight}`);
+        }
+
+        const claimed = Array.from(result.claims.keys()).sort((a, b) => a - b);
+        for (const blockNumber of claimed) {
+            // Earlier claims were recorded when their block was scanned; anything below the start is out of range
+            if (blockNumber < this.startHeight || this.hasBitmap(blockNumber)) {
+                this.stats.claimsIgnored++;
+                continue;
+            }
+
+            const claim = result.claims.get(blockNumber);
+            if (!claim.satNumber) {
+                this.stats.missingSats++;
+                if (this.stats.missingSats === 1) {
+                    console.log('⚠️ ord returned a claim without a sat number - run ord with --index-sats');
+                }
+            }
+
+            const verdict = judgeAnswer(blockNumber, claim.inscriptionId, result.candidates.get(blockNumber), { complete: true });
+            await this.onClaim(blockNumber, claim, { realtime, verdict });
+            this.stats.claimsRecorded++;
+        }
+
+        // The claim window for this block has closed without a claim
+        const closedBlock = height - this.scanBlocks + 1;
+        if (closedBlock >= this.startHeight && !this.hasBitmap(closedBlock)) {
+            await this.onNoClaim(closedBlock, { verdict: judgeAnswer(closedBlock, null, [], { complete: true }) });
+        }
+
+        this.stats.blocksScanned++;
+        this.stats.inscriptionsChecked += result.inscriptions;
+        this.stats.lastScanAt = new Date().toISOString();
+    }
+
+    getStats() {
+        return {
+            running: this.running,
+            apiUrl: this.client.baseUrl,
+            startHeight: this.startHeight,
+            nextHeight: this.state.nextHeight,
+            tipHeight: this.tipHeight,
+            blocksBehind: this.tipHeight !== null ? Math.max(0, this.tipHeight - this.state.nextHeight + 1) : null,
+            requests: this.client.requests,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = OrdIndexer;
@@ -0,0 +1,29 @@
+// Bitmap data provider interface
+// A provider answers one question: which inscription is the bitmap for a block. fetchBitmap()
+// resolves with { inscriptionId, satNumber } where inscriptionId null means the provider is sure
+// the block has no bitmap, resolves with null when it simply has no answer for this block (the next
+// provider is asked instead), and throws when the source itself failed - down, rate limited or out
+// of quota - which puts it on cooldown in the provider chain.
+
+class BitmapProvider {
+    constructor(name, label) {
+        this.name = name;
+        this.label = label || name; // Shown as dataSource in API responses
+    }
+
+    // False when the provider cannot take requests right now (e.g. every API key is out of quota)
+    isAvailable() {
+        return true;
+    }
+
+    async fetchBitmap(blockNumber) {
+        throw new Error(`${this.name} provider does not implement fetchBitmap()`);
+    }
+
+    // Provider-specific counters merged into the chain's stats
+    getStats() {
+        return {};
+    }
+}
+
+module.exports = BitmapProvider;
@@ -0,0 +1,177 @@
+// GeniiData bitmap provider
+// Looks a block up with GeniiData's bitmapInfo endpoint. API keys, their daily usage and the
+// optional proxy list stay with the tracker, which hands them in as callbacks: acquireKey() picks
+// a key with quota left (throwing "Rate limit exceeded" when there is none) and returns the request
+// headers for it, recordRequest() counts the request against that key. When GeniiData rate-limits a
+// key, rejectKey() rests that key and the block is asked again with another one, so the provider only
+// fails once no key is left. getProxy() returns a proxy from the tracker's ProxyPool (or null), whose
+// tunneling agent carries the request; the outcome goes back through markProxySucceeded/markProxyFailed.
+
+const https = require('https');
+const zlib = require('zlib');
+const BitmapProvider = require('./bitmapProvider');
+
+class GeniiDataProvider extends BitmapProvider {
+    constructor(options) {
+        super('geniidata', 'GeniiData');
+        this.apiUrl = options.apiUrl;
+        this.acquireKey = options.acquireKey;
+        this.recordRequest = options.recordRequest;
+        this.rejectKey = options.rejectKey || (() => {});
+        this.hasQuota = options.hasQuota || (() => true);
+        this.getProxy = options.getProxy || (() => null);
+        this.markProxyFailed = options.markProxyFailed || (() => {});
+        this.markProxySucceeded = options.markProxySucceeded || (() => {});
+    }
+
+    isAvailable() {
+        return this.hasQuota();
+    }
+
+    async fetchBitmap(blockNumber) {
+        for (;;) {
+            const { keyInfo, headers } = await this.acquireKey();
+            try {
+                return await this.request(blockNumber, keyInfo, headers);
+            } catch (error) {
+                if (!error.message.includes('Rate limit exceeded')) throw error;
+                // Only this key is limited - acquireKey() throws once every key is
+                this.rejectKey(keyInfo, error.message);
+            }
+        }
+    }
+
+    request(blockNumber, keyInfo, headers) {
+        return new Promise((resolve, reject) => {
+            const url = `${this.apiUrl}${blockNumber}`;
+            const proxy = this.getProxy();
+            const started = Date.now();
+
+            let options = {
+                headers: headers,
+                timeout: 15000
+            };
+
+            // Tunnel through the proxy if one is available
+            if (proxy) {
+                options.agent = proxy.agent;
+            }
+
+            const req = https.get(url, options, (res) => {
+                this.recordRequest(keyInfo);
+
+                // Enhanced rate limit detection for HTTP status codes
+                if (res.statusCode === 429) {
+                    if (proxy) {
+                        this.markProxyFailed(proxy, 'HTTP 429');
+                        console.log(`🔄 Rate limit hit with proxy ${proxy.label} - will try next proxy`);
+                    }
+                    reject(new Error('Rate limit exceeded - HTTP 429'));
+                    return;
+                } else if (res.statusCode === 403) {
+                    if (proxy) {
+                        this.markProxyFailed(proxy, 'HTTP 403');
+                        console.log(`🔄 Forbidden with proxy ${proxy.label} - will try next proxy`);
+                    }
+                    reject(new Error('Rate limit exceeded - HTTP 403 (Forbidden)'));
+                    return;
+                } else if (res.statusCode !== 200) {
+                    reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
+                    return;
+                }
+
+                // The proxy delivered an answer from GeniiData
+                if (proxy) {
+                    this.markProxySucceeded(proxy, Date.now() - started);
+                }
+
+                const contentType = res.headers['content-type'];
+                if (!contentType || !contentType.includes('application/json')) {
+                    reject(new Error(`Invalid content type: ${contentType || 'unknown'}`));
+                    return;
+                }
+
+                let stream = res;
+                const encoding = res.headers['content-encoding'];
+
+                if (encoding === 'gzip') {
+                    stream = res.pipe(zlib.createGunzip());
+                } else if (encoding === 'deflate') {
+                    stream = res.pipe(zlib.createInflate());
+                } else if (encoding === 'br') {
+                    stream = res.pipe(zlib.createBrotliDecompress());
+                }
+
+                let data = '';
+                stream.on('data', chunk => data += chunk.toString('utf8'));
+                stream.on('end', () => {
+                    if (!data || data.trim().length === 0) {
+                        reject(new Error('Empty response received'));
+                        return;
+                    }
+
+                    try {
+                        const jsonData = JSON.parse(data);
+
+                        if (typeof jsonData !== 'object' || jsonData === null) {
+                            reject(new Error('Invalid JSON structure'));
+                            return;
+                        }
+
+                        // Enhanced rate limit detection for API response codes
+                        if (jsonData.code === 429 ||
+                            jsonData.code === 1003 ||
+                            (jsonData.message && jsonData.message.toLowerCase().includes('rate limit')) ||
+                            (jsonData.message && jsonData.message.toLowerCase().includes('too many requests')) ||
+                            (jsonData.message && jsonData.message.toLowerCase().includes('quota exceeded')) ||
+                            (jsonData.error && jsonData.error.toLowerCase().includes('rate limit'))) {
+
+                            if (proxy) {
+                                console.log(`🔄 Rate limit detected with proxy ${proxy.label} - rotating to next proxy`);
+                                // Don't mark as failed immediately for rate limits, just rotate
+                            }
+                            reject(new Error('Rate limit exceeded - API response'));
+                            return;
+                        }
+
+                        if (jsonData.code === 0 && jsonData.data && jsonData.data.length > 0) {
+                            resolve({ inscriptionId: jsonData.data[0].inscription_id, satNumber: null });
+                        } else if (jsonData.code === 1001) {
+                            reject(new Error(`Invalid API key (Key ${keyInfo.keyIndex + 1})`));
+                        } else if (jsonData.code === 0 && (!jsonData.data || jsonData.data.length === 0)) {
+                            // This is a legitimate "no bitmap found" response
+                            resolve({ inscriptionId: null, satNumber: null });
+                        } else {
+                            // Unexpected response structure - let the next provider answer
+                            console.log(`🔍 Unexpected API response for block ${blockNumber}:`, jsonData);
+                            resolve(null);
+                        }
+                    } catch (error) {
+                        reject(new Error(`JSON Parse Error: ${error.message}`));
+                    }
+                });
+
+                stream.on('error', (error) => {
+                    reject(new Error(`Decompression Error: ${error.message}`));
+                });
+            });
+
+            req.on('error', (error) => {
+                if (proxy) {
+                    this.markProxyFailed(proxy, error.message);
+                }
+                reject(new Error(`Request Error: ${error.message}`));
+            });
+
+            req.setTimeout(15000, () => {
+                req.destroy();
+                if (proxy) {
+                    this.markProxyFailed(proxy, 'request timeout (15s)');
+                }
+                reject(new Error('Request timeout (15s)'));
+            });
+        });
+    }
+}
+
+module.exports = GeniiDataProvider;
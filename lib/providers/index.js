@@ -0,0 +1,43 @@
+// Bitmap provider factory
+// Builds the failover chain named by CONFIG.BITMAP_PROVIDERS ('geniidata', 'ord'), in that priority order.
+
+const GeniiDataProvider = require('./geniiDataProvider');
+const OrdProvider = require('./ordProvider');
+const ProviderChain = require('./providerChain');
+
+const PROVIDERS = ['geniidata', 'ord'];
+
+// context.geniidata carries the tracker's key and proxy callbacks (see geniiDataProvider.js);
+// context.names overrides BITMAP_PROVIDERS; context.ledger (a RequestLedger) records ord requests
+function createProviders(config, context = {}) {
+    const names = Array.from(new Set(context.names || config.BITMAP_PROVIDERS));
+    if (names.length === 0) {
+        throw new Error(`BITMAP_PROVIDERS is empty (expected any of: ${PROVIDERS.join(', ')})`);
+    }
+
+    const providers = names.map(name => {
+        switch (name) {
+            case 'geniidata':
+                if (config.NETWORK && config.NETWORK !== 'mainnet') {
+                    throw new Error(`The geniidata provider only serves mainnet bitmaps (NETWORK=${config.NETWORK}); use ord`);
+                }
+                return new GeniiDataProvider({
+                    apiUrl: config.GENIIDATA_API_URL,
+                    ...context.geniidata
+                });
+            case 'ord':
+                return new OrdProvider({
+                    apiUrl: config.ORD_API_URL,
+                    requestInterval: config.ORD_REQUEST_INTERVAL,
+                    scanBlocks: config.ORD_SCAN_BLOCKS,
+                    ledger: context.ledger
+                });
+            default:
+                throw new Error(`Unknown bitmap provider "${name}" (expected any of: ${PROVIDERS.join(', ')})`);
+        }
+    });
+
+    return new ProviderChain(providers, { cooldown: config.PROVIDER_COOLDOWN });
+}
+
+module.exports = { createProviders, PROVIDERS };
@@ -0,0 +1,81 @@
+// ord server bitmap provider
+// Needs no API key: the claim for block N is searched for directly in ord's index. A bitmap can
+// only be inscribed once its block exists, so the blocks from N onward (ORD_SCAN_BLOCKS of them)
+// are walked in order and the first block holding a "N.bitmap" claim wins (lowest inscription
+// number within it). Claims found while scanning are cached per block, so a sequential backfill
+// reads each block only once. Not finding a claim inside the window is not proof that the block
+// is empty, so that case is left to the next provider. Every answer carries the validity engine's
+// verdict over the claims read for the block.
+
+const BitmapProvider = require('./bitmapProvider');
+const OrdClient = require('../ordClient');
+const { judgeAnswer } = require('../bitmapValidity');
+
+const MAX_CACHED_BLOCKS = 50;
+
+class OrdProvider extends BitmapProvider {
+    constructor(options) {
+        super('ord', 'Ord');
+        this.client = options.client || new OrdClient({
+            baseUrl: options.apiUrl,
+            requestInterval: options.requestInterval,
+            ledger: options.ledger
+        });
+        this.scanBlocks = options.scanBlocks || 3;
+        this.scannedBlocks = new Map(); // inscription block height -> getBitmapClaims() result
+        this.stats = {
+            blocksScanned: 0,
+            inscriptionsChecked: 0,
+            claimsFound: 0
+        };
+    }
+
+    async fetchBitmap(blockNumber) {
+        for (let height = blockNumber; height < blockNumber + this.scanBlocks; height++) {
+            const scanned = await this.scanBlock(height);
+            if (!scanned) break; // ord has not indexed this block yet
+
+            const claim = scanned.claims.get(blockNumber);
+            if (claim) {
+                return {
+                    inscriptionId: claim.inscriptionId,
+                    satNumber: claim.satNumber,
+                    verdict: judgeAnswer(blockNumber, claim.inscriptionId, scanned.candidates.get(blockNumber), { complete: true })
+                };
+            }
+        }
+
+        return null;
+    }
+
+    // Claims inscribed in a block (cached getBitmapClaims() result), or null if ord lacks the block
+    async scanBlock(height) {
+        if (this.scannedBlocks.has(height)) {
+            return this.scannedBlocks.get(height);
+        }
+
+        const result = await this.client.getBitmapClaims(height);
+        if (!result) return null;
+
+        this.stats.blocksScanned++;
+        this.stats.inscriptionsChecked += result.inscriptions;
+        this.stats.claimsFound += result.claims.size;
+        this.scannedBlocks.set(height, result);
+        if (this.scannedBlocks.size > MAX_CACHED_BLOCKS) {
+            this.scannedBlocks.delete(this.scannedBlocks.keys().next().value);
+        }
+
+        return result;
+    }
+
+    getStats() {
+        return {
+            apiUrl: this.client.baseUrl,
+            scanBlocks: this.scanBlocks,
+            requests: this.client.requests,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = OrdProvider;
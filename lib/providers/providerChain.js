@@ -0,0 +1,102 @@
+// Ordered failover between bitmap providers
+// Providers are asked in BITMAP_PROVIDERS order. One that throws is put on cooldown for
+// PROVIDER_COOLDOWN and the next one is asked straight away; one that has no answer is skipped
+// without penalty. While every provider is cooling down they are all tried again, so a tracker with
+// a single provider behaves as it did before failover existed.
+
+class ProviderChain {
+    constructor(providers, options = {}) {
+        this.providers = providers;
+        this.cooldown = options.cooldown || 5 * 60 * 1000;
+        this.state = new Map(providers.map(provider => [provider.name, {
+            answered: 0,
+            empty: 0,
+            unanswered: 0,
+            failures: 0,
+            cooldownUntil: 0,
+            lastError: null,
+            lastAnsweredAt: null
+        }]));
+    }
+
+    names() {
+        return this.providers.map(provider => provider.name);
+    }
+
+    describe() {
+        return this.names().join(' → ');
+    }
+
+    hasFallback() {
+        return this.providers.length > 1;
+    }
+
+    // True while at least one provider can take a request (e.g. has API quota left)
+    canFetch() {
+        return this.providers.some(provider => provider.isAvailable());
+    }
+
+    // { inscriptionId, satNumber, provider, label } from the first provider that answers
+    async fetchBitmap(blockNumber) {
+        const now = Date.now();
+        const ready = this.providers.filter(provider => provider.isAvailable() && this.state.get(provider.name).cooldownUntil <= now);
+        const candidates = ready.length > 0 ? ready : this.providers;
+
+        let firstError = null;
+        for (const provider of candidates) {
+            const state = this.state.get(provider.name);
+
+            let result;
+            try {
+                result = await provider.fetchBitmap(blockNumber);
+            } catch (error) {
+                state.failures++;
+                state.lastError = error.message;
+                state.cooldownUntil = Date.now() + this.cooldown;
+                if (!firstError) firstError = error;
+
+                if (provider !== candidates[candidates.length - 1]) {
+                    console.log(`🔀 ${provider.label} failed for block ${blockNumber} (${error.message}) - trying the next provider`);
+                }
+                continue;
+            }
+
+            if (!result) {
+                state.unanswered++;
+                continue;
+            }
+
+            if (result.inscriptionId) state.answered++;
+            else state.empty++;
+            state.cooldownUntil = 0;
+            state.lastAnsweredAt = new Date().toISOString();
+
+            return { ...result, provider: provider.name, label: provider.label };
+        }
+
+        // The first failure keeps its message so rate-limit handling upstream still recognises it
+        throw firstError || new Error(`No bitmap provider could resolve block ${blockNumber} (${this.describe()})`);
+    }
+
+    getStats() {
+        const now = Date.now();
+        return this.providers.map((provider, priority) => {
+            const state = this.state.get(provider.name);
+            return {
+                name: provider.name,
+                priority: priority + 1,
+                available: provider.isAvailable(),
+                coolingDownUntil: state.cooldownUntil > now ? new Date(state.cooldownUntil).toISOString() : null,
+                answered: state.answered,
+                empty: state.empty,
+                unanswered: state.unanswered,
+                failures: state.failures,
+                lastError: state.lastError,
+                lastAnsweredAt: state.lastAnsweredAt,
+                ...provider.getStats()
+            };
+        });
+    }
+}
+
+module.exports = ProviderChain;
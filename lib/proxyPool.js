@@ -0,0 +1,211 @@
+// Outbound proxy pool
+// Rotates GeniiData requests over PROXY_LIST (http://, https:// and socks5:// URLs, credentials in
+// the URL) and keeps score per proxy: successes, failures and latency. A proxy that fails
+// maxFailures times in a row is benched for readmitAfter (doubling each time it is benched again,
+// up to an hour) and only comes back once that time is up and, when health checks are on, a check
+// through it succeeds. Health checks request healthCheckUrl through every proxy on an interval,
+// so a proxy that went dead is benched before it costs a block lookup.
+
+const http = require('http');
+const https = require('https');
+const { parseProxyUrl, createProxyAgent } = require('./proxyTunnel');
+
+const MAX_BENCH_TIME = 60 * 60 * 1000;
+
+class ProxyPool {
+    constructor(options) {
+        this.maxFailures = options.maxFailures || 3;
+        this.readmitAfter = options.readmitAfter || 5 * 60 * 1000;
+        this.healthCheckUrl = options.healthCheckUrl || null;
+        this.healthCheckInterval = options.healthCheckInterval || 0; // 0 = no health checks
+        this.timeout = options.timeout || 15000;
+        this.currentIndex = 0;
+        this.healthTimer = null;
+        this.checking = false;
+
+        this.proxies = [];
+        for (const url of options.proxies || []) {
+            try {
+                const proxy = parseProxyUrl(url);
+                this.proxies.push({
+                    ...proxy,
+                    agent: createProxyAgent(proxy, { timeout: this.timeout }),
+                    plainAgent: null, // For an http:// health check URL
+                    status: 'active', // 'active' | 'benched'
+                    successes: 0,
+                    failures: 0,
+                    consecutiveFailures: 0,
+                    benchCount: 0,
+                    benchedUntil: 0,
+                    totalLatency: 0,
+                    lastLatency: null,
+                    lastSuccessAt: null,
+                    lastFailureAt: null,
+                    lastError: null,
+                    healthChecks: { passed: 0, failed: 0, lastCheckAt: null }
+                });
+            } catch (error) {
+                console.log(`⚠️ Skipping proxy: ${error.message}`);
+            }
+        }
+    }
+
+    get size() {
+        return this.proxies.length;
+    }
+
+    start() {
+        if (this.healthTimer || !this.healthCheckUrl || !this.healthCheckInterval || this.proxies.length === 0) return;
+        this.healthTimer = setInterval(() => this.runHealthChecks(), this.healthCheckInterval);
+        if (this.healthTimer.unref) this.healthTimer.unref();
+        this.runHealthChecks();
+    }
+
+    stop() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+    }
+
+    // Next active proxy, round-robin; null when every proxy is benched
+    next() {
+        const now = Date.now();
+        for (let i = 0; i < this.proxies.length; i++) {
+            const index = (this.currentIndex + i) % this.proxies.length;
+            const proxy = this.proxies[index];
+
+            // Without health checks a benched proxy is simply let back in once its time is up
+            if (proxy.status === 'benched' && !this.healthCheckInterval && proxy.benchedUntil <= now) {
+                this.readmit(proxy, 'bench time over');
+            }
+            if (proxy.status === 'active') {
+                this.currentIndex = (index + 1) % this.proxies.length;
+                return proxy;
+            }
+        }
+        return null;
+    }
+
+    recordSuccess(proxy, latency) {
+        proxy.successes++;
+        proxy.consecutiveFailures = 0;
+        proxy.totalLatency += latency;
+        proxy.lastLatency = latency;
+        proxy.lastSuccessAt = Date.now();
+    }
+
+    recordFailure(proxy, reason) {
+        proxy.failures++;
+        proxy.consecutiveFailures++;
+        proxy.lastFailureAt = Date.now();
+        proxy.lastError = reason;
+        console.log(`⚠️ Proxy ${proxy.label} failed (${proxy.consecutiveFailures}/${this.maxFailures}): ${reason}`);
+
+        if (proxy.status === 'active' && proxy.consecutiveFailures >= this.maxFailures) {
+            this.bench(proxy);
+        }
+    }
+
+    bench(proxy) {
+        const benchTime = Math.min(this.readmitAfter * 2 ** proxy.benchCount, MAX_BENCH_TIME);
+        proxy.status = 'benched';
+        proxy.benchCount++;
+        proxy.benchedUntil = Date.now() + benchTime;
+        console.log(`🚫 Proxy ${proxy.label} benched for ${Math.round(benchTime / 1000)}s`);
+    }
+
+    readmit(proxy, reason) {
+        proxy.status = 'active';
+        proxy.benchedUntil = 0;
+        // On probation: one more failure benches it again, for twice as long
+        proxy.consecutiveFailures = this.maxFailures - 1;
+        console.log(`✅ Proxy ${proxy.label} readmitted (${reason})`);
+    }
+
+    // Request the health check URL through one proxy; any HTTP answer means the tunnel works
+    checkProxy(proxy) {
+        return new Promise(resolve => {
+            const secure = this.healthCheckUrl.startsWith('https:');
+            if (!secure && !proxy.plainAgent) {
+                proxy.plainAgent = createProxyAgent(proxy, { secure: false, timeout: this.timeout });
+            }
+
+            const started = Date.now();
+            const client = secure ? https : http;
+            const agent = secure ? proxy.agent : proxy.plainAgent;
+            const req = client.get(this.healthCheckUrl, { agent, timeout: this.timeout }, res => {
+                res.resume();
+                resolve({ ok: true, latency: Date.now() - started, statusCode: res.statusCode });
+            });
+            req.on('error', error => resolve({ ok: false, error: error.message }));
+            req.setTimeout(this.timeout, () => req.destroy(new Error(`health check timed out after ${this.timeout}ms`)));
+        });
+    }
+
+    // Check every active proxy and every benched one whose bench time is up
+    async runHealthChecks() {
+        if (this.checking) return;
+        this.checking = true;
+        try {
+            const now = Date.now();
+            const due = this.proxies.filter(proxy => proxy.status === 'active' || proxy.benchedUntil <= now);
+            for (const proxy of due) {
+                const result = await this.checkProxy(proxy);
+                proxy.healthChecks.lastCheckAt = new Date().toISOString();
+
+                if (result.ok) {
+                    proxy.healthChecks.passed++;
+                    proxy.lastLatency = result.latency;
+                    if (proxy.status === 'benched') this.readmit(proxy, `health check passed in ${result.latency}ms`);
+                    else proxy.consecutiveFailures = 0;
+                } else {
+                    proxy.healthChecks.failed++;
+                    if (proxy.status === 'benched') {
+                        proxy.lastError = result.error;
+                        this.bench(proxy);
+                    } else {
+                        this.recordFailure(proxy, `health check: ${result.error}`);
+                    }
+                }
+            }
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    // Per-proxy state for /api/admin/proxies (credentials are never included)
+    getStats() {
+        const now = Date.now();
+        return {
+            total: this.proxies.length,
+            active: this.proxies.filter(proxy => proxy.status === 'active').length,
+            maxFailures: this.maxFailures,
+            readmitAfter: this.readmitAfter,
+            healthCheck: this.healthCheckInterval && this.healthCheckUrl
+                ? { url: this.healthCheckUrl, interval: this.healthCheckInterval }
+                : null,
+            proxies: this.proxies.map(proxy => {
+                const attempts = proxy.successes + proxy.failures;
+                return {
+                    proxy: proxy.label,
+                    protocol: proxy.protocol,
+                    status: proxy.status,
+                    benchedFor: proxy.status === 'benched' ? Math.max(0, proxy.benchedUntil - now) : 0,
+                    successes: proxy.successes,
+                    failures: proxy.failures,
+                    consecutiveFailures: proxy.consecutiveFailures,
+                    successRate: attempts > 0 ? parseFloat((proxy.successes / attempts).toFixed(3)) : null,
+                    averageLatencyMs: proxy.successes > 0 ? Math.round(proxy.totalLatency / proxy.successes) : null,
+                    lastLatencyMs: proxy.lastLatency,
+                    lastSuccessAt: proxy.lastSuccessAt ? new Date(proxy.lastSuccessAt).toISOString() : null,
+                    lastFailureAt: proxy.lastFailureAt ? new Date(proxy.lastFailureAt).toISOString() : null,
+                    lastError: proxy.lastError,
+                    healthChecks: proxy.healthChecks
+                };
+            })
+        };
+    }
+}
+
+module.exports = ProxyPool;
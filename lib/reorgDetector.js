@@ -0,0 +1,159 @@
+// Chain reorganization detection
+// Remembers the block hash of the most recent heights (REORG_DEPTH) and compares every new block
+// announcement against them. When a known height now has a different hash - or the announced
+// block's parent is not the hash we recorded - the affected heights are reported so the tracker
+// can drop their rows and fetch them again. Hashes and the event history survive restarts.
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomicFile');
+
+const MAX_EVENTS = 100;
+
+class ReorgDetector {
+    constructor(options) {
+        this.stateFile = options.stateFile;
+        this.depth = options.depth || 12;
+        this.fetchBlockHash = options.fetchBlockHash; // async height -> hash (or null)
+
+        this.hashes = new Map(); // height -> block hash
+        this.events = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.stateFile)) {
+                const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+                Object.entries(state.hashes || {}).forEach(([height, hash]) => this.hashes.set(parseInt(height), hash));
+                this.events = state.events || [];
+            }
+        } catch (error) {
+            console.log(`⚠️ Could not read reorg state ${this.stateFile}: ${error.message}`);
+        }
+    }
+
+    save() {
+        try {
+            const hashes = {};
+            Array.from(this.hashes.keys()).sort((a, b) => a - b).forEach(height => { hashes[height] = this.hashes.get(height); });
+            writeFileAtomic(this.stateFile, JSON.stringify({ hashes, events: this.events }, null, 2) + '\n');
+        } catch (error) {
+            console.log(`⚠️ Could not save reorg state: ${error.message}`);
+        }
+    }
+
+    get tipHeight() {
+        return this.hashes.size > 0 ? Math.max(...this.hashes.keys()) : null;
+    }
+
+    // Record a hash we trust without comparing (e.g. from block details)
+    remember(height, hash) {
+        if (!hash) return;
+        this.hashes.set(height, hash);
+        this.prune();
+        this.save();
+    }
+
+    // Compare an announced block with what we recorded; returns the reorg event or null
+    async observeBlock({ height, hash, previousHash }) {
+        if (!Number.isInteger(height) || !hash) return null;
+
+        const replaced = [];
+        const known = this.hashes.get(height);
+        if (known && known !== hash) {
+            replaced.push({ height, oldHash: known, newHash: hash });
+        }
+
+        // A parent we do not recognise means lower heights changed too - walk back until the chains agree
+        let parentHeight = height - 1;
+        let parentHash = previousHash;
+        while (parentHash && parentHeight > height - this.depth) {
+            const knownParent = this.hashes.get(parentHeight);
+            if (!knownParent || knownParent === parentHash) break;
+
+            replaced.push({ height: parentHeight, oldHash: knownParent, newHash: parentHash });
+            this.hashes.set(parentHeight, parentHash);
+
+            parentHash = this.fetchBlockHash ? await this.fetchBlockHash(parentHeight - 1) : null;
+            parentHeight--;
+        }
+
+        this.hashes.set(height, hash);
+        this.prune();
+
+        let event = null;
+        if (replaced.length > 0) {
+            replaced.sort((a, b) => a.height - b.height);
+            event = {
+                detectedAt: new Date().toISOString(),
+                tipHeight: height,
+                tipHash: hash,
+                depth: replaced.length,
+                replaced,
+                invalidatedHeights: replaced.map(entry => entry.height)
+            };
+            this.events.push(event);
+            if (this.events.length > MAX_EVENTS) this.events = this.events.slice(-MAX_EVENTS);
+        }
+
+        this.save();
+        return event;
+    }
+
+    // Re-check every recorded height against the current chain (reorgs that happened while we were offline)
+    async verifyRecordedHashes() {
+        if (!this.fetchBlockHash || this.hashes.size === 0) return null;
+
+        const replaced = [];
+        for (const height of Array.from(this.hashes.keys()).sort((a, b) => a - b)) {
+            const current = await this.fetchBlockHash(height);
+            const known = this.hashes.get(height);
+            if (current && current !== known) {
+                replaced.push({ height, oldHash: known, newHash: current });
+                this.hashes.set(height, current);
+            }
+        }
+
+        if (replaced.length === 0) return null;
+
+        const event = {
+            detectedAt: new Date().toISOString(),
+            tipHeight: this.tipHeight,
+            tipHash: this.hashes.get(this.tipHeight),
+            depth: replaced.length,
+            replaced,
+            invalidatedHeights: replaced.map(entry => entry.height),
+            detectedOnStartup: true
+        };
+        this.events.push(event);
+        if (this.events.length > MAX_EVENTS) this.events = this.events.slice(-MAX_EVENTS);
+        this.save();
+        return event;
+    }
+
+    // Attach what the tracker did about an event (rows removed, heights re-queued)
+    recordOutcome(event, outcome) {
+        Object.assign(event, outcome);
+        this.save();
+    }
+
+    prune() {
+        const tip = this.tipHeight;
+        if (tip === null) return;
+        for (const height of Array.from(this.hashes.keys())) {
+            if (height <= tip - this.depth) this.hashes.delete(height);
+        }
+    }
+
+    getStats() {
+        return {
+            depth: this.depth,
+            trackedHeights: this.hashes.size,
+            tipHeight: this.tipHeight,
+            reorgsDetected: this.events.length,
+            lastReorgAt: this.events.length > 0 ? this.events[this.events.length - 1].detectedAt : null
+        };
+    }
+}
+
+module.exports = ReorgDetector;
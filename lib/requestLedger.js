@@ -0,0 +1,134 @@
+// Sliding-window ledger of outbound requests
+// Every request to an upstream (named by host: api.geniidata.com, ordinals.com, mempool.space) is
+// recorded with its timestamp, and GeniiData requests also under the API key that sent them. Counts
+// over the last second, hour and day are exact rather than estimated, and waitTime() says how long
+// until a window drops below a limit, so pauses last exactly as long as they need to.
+// Timestamps older than the longest window are dropped as the ledger goes.
+
+const WINDOWS = {
+    second: 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+// Timestamps in ascending order, trimmed from the front
+class RequestSeries {
+    constructor() {
+        this.times = [];
+        this.start = 0;
+        this.total = 0;
+    }
+
+    add(now) {
+        // Keep the list sorted even if the clock steps back
+        const last = this.times.length > this.start ? this.times[this.times.length - 1] : 0;
+        this.times.push(Math.max(now, last));
+        this.total++;
+    }
+
+    prune(before) {
+        while (this.start < this.times.length && this.times[this.start] <= before) this.start++;
+        if (this.start > 1024 && this.start * 2 > this.times.length) {
+            this.times = this.times.slice(this.start);
+            this.start = 0;
+        }
+    }
+
+    // Index of the first timestamp after since
+    indexAfter(since) {
+        let low = this.start;
+        let high = this.times.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.times[middle] <= since) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    count(since) {
+        return this.times.length - this.indexAfter(since);
+    }
+
+    last() {
+        return this.times.length > this.start ? this.times[this.times.length - 1] : null;
+    }
+}
+
+class RequestLedger {
+    constructor(options = {}) {
+        this.retention = options.retention || WINDOWS.day;
+        this.upstreams = new Map();
+        this.keys = new Map();
+    }
+
+    series(map, name) {
+        if (!map.has(name)) map.set(name, new RequestSeries());
+        return map.get(name);
+    }
+
+    // Record one request to upstream (a host name), optionally sent with an API key (a label, never the key itself)
+    record(upstream, key = null, now = Date.now()) {
+        const entries = [this.series(this.upstreams, upstream)];
+        if (key) entries.push(this.series(this.keys, key));
+        for (const entry of entries) {
+            entry.prune(now - this.retention);
+            entry.add(now);
+        }
+    }
+
+    lookup(name, options = {}) {
+        return (options.key ? this.keys : this.upstreams).get(name) || null;
+    }
+
+    // Requests in the last windowMs to an upstream ({ key: true } to count for an API key label instead)
+    count(name, windowMs, options = {}, now = Date.now()) {
+        const entry = this.lookup(name, options);
+        return entry ? entry.count(now - windowMs) : 0;
+    }
+
+    // Milliseconds until fewer than limit requests fall within the last windowMs (0 when that is already so)
+    waitTime(name, windowMs, limit, options = {}, now = Date.now()) {
+        const entry = this.lookup(name, options);
+        if (!entry) return 0;
+
+        const first = entry.indexAfter(now - windowMs);
+        const inWindow = entry.times.length - first;
+        if (inWindow < Math.max(limit, 1)) return 0;
+
+        // The request that has to age out before one more fits
+        const releasing = entry.times[first + inWindow - Math.max(limit, 1)];
+        return Math.max(0, releasing + windowMs - now);
+    }
+
+    windows(entry, now) {
+        const last = entry.last();
+        return {
+            lastSecond: entry.count(now - WINDOWS.second),
+            lastHour: entry.count(now - WINDOWS.hour),
+            lastDay: entry.count(now - WINDOWS.day),
+            total: entry.total,
+            lastRequestAt: last ? new Date(last).toISOString() : null
+        };
+    }
+
+    // { upstreams: { host: windows }, keys: { label: windows } } for /api/stats
+    getStats(now = Date.now()) {
+        const describe = map => {
+            const result = {};
+            for (const [name, entry] of map) {
+                entry.prune(now - this.retention);
+                result[name] = this.windows(entry, now);
+            }
+            return result;
+        };
+        return { upstreams: describe(this.upstreams), keys: describe(this.keys) };
+    }
+}
+
+// Ledger name for a URL: its host
+function upstreamOf(url) {
+    return new URL(url).host;
+}
+
+module.exports = { RequestLedger, WINDOWS, upstreamOf };
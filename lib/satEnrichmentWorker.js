@@ -0,0 +1,122 @@
+// Background sat-number enrichment
+// Walks stored rows that have no sat number, resolves them through the tracker's ordinals lookup
+// (which enforces ORDINALS_REQUEST_INTERVAL) and writes the results back in batches. Runs at low
+// priority: it leaves an extra interval between its own lookups so interactive ?sat=true requests
+// are never stuck behind it.
+
+class SatEnrichmentWorker {
+    constructor(options) {
+        this.storage = options.storage;
+        this.fetchOrdinalsData = options.fetchOrdinalsData;
+        this.onUpdated = options.onUpdated || (() => {});
+        this.logError = options.logError || ((level, blockNumber, message) => console.error(`❌ ${level}: ${message}`));
+
+        this.batchSize = options.batchSize || 25;
+        this.requestInterval = options.requestInterval || 1000;
+        this.idleDelay = options.idleDelay || 10 * 60 * 1000;
+        this.maxAttempts = options.maxAttempts || 3;
+
+        this.running = false;
+        this.timer = null;
+        this.failedAttempts = new Map(); // blockNumber -> failed lookups this run
+        this.stats = {
+            enriched: 0,
+            lookupFailures: 0,
+            lastBatchAt: null,
+            lastError: null
+        };
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        console.log('🔢 Sat enrichment worker started');
+        this.schedule(0);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    schedule(delay) {
+        if (!this.running) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.runBatch()
+                .then(found => this.schedule(found > 0 ? 0 : this.idleDelay))
+                .catch(error => {
+                    this.stats.lastError = error.message;
+                    this.logError('SAT_ENRICHMENT', 0, `Batch failed: ${error.message}`);
+                    this.schedule(this.idleDelay);
+                });
+        }, delay);
+    }
+
+    // Resolve one batch of rows; returns how many candidates were attempted
+    async runBatch() {
+        const excluded = new Set();
+        for (const [blockNumber, attempts] of this.failedAttempts) {
+            if (attempts >= this.maxAttempts) excluded.add(blockNumber);
+        }
+
+        const candidates = this.storage.findBlocksMissingSat(this.batchSize, excluded);
+        if (candidates.length === 0) return 0;
+
+        const updates = new Map();
+        for (const row of candidates) {
+            if (!this.running) break;
+
+            const ordinalsData = await this.fetchOrdinalsData(row.inscriptionId);
+            if (ordinalsData && ordinalsData.sat !== undefined && ordinalsData.sat !== null) {
+                updates.set(row.blockNumber, String(ordinalsData.sat));
+                this.failedAttempts.delete(row.blockNumber);
+            } else {
+                this.failedAttempts.set(row.blockNumber, (this.failedAttempts.get(row.blockNumber) || 0) + 1);
+                this.stats.lookupFailures++;
+            }
+
+            // Leave room for interactive lookups between our own
+            await new Promise(resolve => setTimeout(resolve, this.requestInterval));
+        }
+
+        const changed = await this.storage.updateSatNumbers(updates);
+        this.stats.enriched += changed;
+        this.stats.lastBatchAt = new Date().toISOString();
+
+        if (changed > 0) {
+            console.log(`🔢 Sat enrichment: filled ${changed} sat number${changed > 1 ? 's' : ''} (${this.storage.countBlocksMissingSat()} remaining)`);
+            this.onUpdated(Array.from(updates.keys()));
+        }
+
+        return candidates.length;
+    }
+
+    // Progress summary for /api/stats
+    getStats() {
+        const total = this.storage.countBlocks();
+        const missing = this.storage.countBlocksMissingSat();
+        const withSat = total - missing;
+        let skipped = 0;
+        for (const attempts of this.failedAttempts.values()) {
+            if (attempts >= this.maxAttempts) skipped++;
+        }
+
+        return {
+            running: this.running,
+            rowsWithSat: withSat,
+            rowsMissingSat: missing,
+            completionPercentage: total > 0 ? parseFloat(((withSat / total) * 100).toFixed(2)) : 100,
+            enrichedThisRun: this.stats.enriched,
+            lookupFailures: this.stats.lookupFailures,
+            skippedAfterFailures: skipped,
+            lastBatchAt: this.stats.lastBatchAt,
+            lastError: this.stats.lastError
+        };
+    }
+}
+
+module.exports = SatEnrichmentWorker;
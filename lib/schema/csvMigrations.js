@@ -0,0 +1,70 @@
+// Ordered schema migrations for the CSV data file
+// Each step transforms a parsed table { columns, rows, emptyBlocks } where rows are arrays aligned
+// with columns and emptyBlocks is the full list of confirmed-empty block numbers. Versions start at 1;
+// version 0 is any unversioned legacy layout.
+
+function columnIndex(table, ...names) {
+    for (const name of names) {
+        const index = table.columns.indexOf(name);
+        if (index !== -1) return index;
+    }
+    return -1;
+}
+
+module.exports = [
+    {
+        version: 1,
+        name: 'move_empty_rows_to_ledger',
+        description: 'Rows without an inscription ID become entries in the empty-block ledger',
+        up(table) {
+            const inscriptionIndex = columnIndex(table, 'inscription_id');
+            const rows = [];
+            const emptyBlocks = new Set(table.emptyBlocks);
+
+            for (const row of table.rows) {
+                const inscriptionId = (row[inscriptionIndex] || '').replace(/"/g, '');
+                if (inscriptionId) {
+                    rows.push(row);
+                } else if (!isNaN(parseInt(row[0]))) {
+                    emptyBlocks.add(parseInt(row[0]));
+                }
+            }
+
+            return { columns: table.columns, rows, emptyBlocks: Array.from(emptyBlocks).sort((a, b) => a - b) };
+        },
+        down(table) {
+            const rows = table.rows.concat(table.emptyBlocks.map(blockNumber => {
+                const row = table.columns.map(() => '');
+                row[0] = String(blockNumber);
+                return row;
+            }));
+            rows.sort((a, b) => parseInt(a[0]) - parseInt(b[0]));
+
+            return { columns: table.columns, rows, emptyBlocks: [] };
+        }
+    },
+    {
+        version: 2,
+        name: 'essential_columns',
+        description: 'Reduce to block_number,inscription_id,sat_number (keeps an existing sat column, drops address/fee/timestamp)',
+        up(table) {
+            const inscriptionIndex = columnIndex(table, 'inscription_id');
+            // Older wide exports stored the sat in the third column under various names
+            let satIndex = columnIndex(table, 'sat_number', 'sat');
+            if (satIndex === -1 && table.columns.length > 3) satIndex = 2;
+
+            return {
+                columns: ['block_number', 'inscription_id', 'sat_number'],
+                rows: table.rows.map(row => [row[0], row[inscriptionIndex] || '', satIndex === -1 ? '' : (row[satIndex] || '')]),
+                emptyBlocks: table.emptyBlocks
+            };
+        },
+        down(table) {
+            return {
+                columns: ['block_number', 'inscription_id'],
+                rows: table.rows.map(row => [row[0], row[1]]),
+                emptyBlocks: table.emptyBlocks
+            };
+        }
+    }
+];
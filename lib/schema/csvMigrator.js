@@ -0,0 +1,200 @@
+// Schema version tracking and migration runner for a CSV data file
+// The current version and the history of applied steps are kept in a sidecar JSON file next to the
+// CSV. Files written before versioning existed are detected once from their header and stamped.
+// Each data file (historical and realtime) has its own migrator and version; they share the
+// empty-block ledger, which only the historical file's migrator (holdsEmptyBlocks) hands to the
+// migration steps in full. The others only add the empty rows they move out of their file.
+
+const fs = require('fs');
+const MIGRATIONS = require('./csvMigrations');
+const { writeFileAtomic } = require('../atomicFile');
+
+const CURRENT_HEADER = 'block_number,inscription_id,sat_number';
+
+class CsvSchemaMigrator {
+    constructor(options) {
+        this.csvFile = options.csvFile;
+        this.stateFile = options.stateFile;
+        this.emptyBlocks = options.emptyBlocks; // EmptyBlockLedger, already loaded
+        this.holdsEmptyBlocks = options.holdsEmptyBlocks !== false;
+        this.migrations = options.migrations || MIGRATIONS;
+    }
+
+    get latestVersion() {
+        return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+    }
+
+    readState() {
+        try {
+            if (fs.existsSync(this.stateFile)) {
+                return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            }
+        } catch (error) {
+            console.log(`⚠️ Could not read schema state ${this.stateFile}: ${error.message}`);
+        }
+        return null;
+    }
+
+    writeState(state) {
+        writeFileAtomic(this.stateFile, JSON.stringify(state, null, 2) + '\n');
+    }
+
+    // Version of the data on disk, sniffing the header only for files that predate versioning
+    currentVersion() {
+        const state = this.readState();
+        if (state) return state.version;
+
+        if (!fs.existsSync(this.csvFile) || fs.statSync(this.csvFile).size === 0) {
+            return this.latestVersion;
+        }
+
+        const firstLine = fs.readFileSync(this.csvFile, 'utf8').split('\n')[0].trim();
+        return firstLine === CURRENT_HEADER ? 2 : 0;
+    }
+
+    // Summary for the command-line listing
+    status() {
+        const state = this.readState();
+        const current = this.currentVersion();
+
+        return {
+            currentVersion: current,
+            latestVersion: this.latestVersion,
+            detectedVersion: state ? state.detectedVersion : current,
+            applied: state ? state.applied : [],
+            pending: this.migrations.filter(migration => migration.version > current).map(migration => ({
+                version: migration.version,
+                name: migration.name,
+                description: migration.description
+            }))
+        };
+    }
+
+    // Ordered steps needed to go from the current version to targetVersion
+    plan(targetVersion = this.latestVersion) {
+        const current = this.currentVersion();
+
+        if (targetVersion > this.latestVersion || targetVersion < 0) {
+            throw new Error(`Unknown schema version ${targetVersion} (latest is ${this.latestVersion})`);
+        }
+
+        if (targetVersion >= current) {
+            return this.migrations
+                .filter(migration => migration.version > current && migration.version <= targetVersion)
+                .map(migration => ({ migration, direction: 'up' }));
+        }
+
+        return this.migrations
+            .filter(migration => migration.version <= current && migration.version > targetVersion)
+            .reverse()
+            .map(migration => ({ migration, direction: 'down' }));
+    }
+
+    // Apply (or with dryRun just describe) every step up or down to targetVersion
+    // backupLedger: false when an earlier migrator in the same run already backed the ledger up
+    migrate({ targetVersion = this.latestVersion, dryRun = false, backupLedger = true } = {}) {
+        const fromVersion = this.currentVersion();
+        const steps = this.plan(targetVersion);
+        const report = { fromVersion, toVersion: targetVersion, dryRun, steps: [], backupFiles: [] };
+
+        if (!fs.existsSync(this.csvFile)) {
+            if (!dryRun) this.stamp(targetVersion);
+            return report;
+        }
+
+        if (steps.length === 0) {
+            if (!dryRun && !this.readState()) this.stamp(fromVersion);
+            return report;
+        }
+
+        let table = this.readTable();
+
+        for (const { migration, direction } of steps) {
+            if (typeof migration[direction] !== 'function') {
+                throw new Error(`Migration ${migration.version} (${migration.name}) cannot be applied ${direction}`);
+            }
+
+            const next = migration[direction](table);
+            report.steps.push({
+                version: migration.version,
+                name: migration.name,
+                direction,
+                columnsBefore: table.columns.join(','),
+                columnsAfter: next.columns.join(','),
+                rowsBefore: table.rows.length,
+                rowsAfter: next.rows.length,
+                emptyBlocksBefore: table.emptyBlocks.length,
+                emptyBlocksAfter: next.emptyBlocks.length
+            });
+            table = next;
+        }
+
+        if (dryRun) return report;
+
+        report.backupFiles = this.backup(fromVersion, backupLedger);
+        this.writeTable(table);
+
+        const state = this.readState() || { detectedVersion: fromVersion, applied: [] };
+        for (const step of report.steps) {
+            state.applied.push({
+                version: step.version,
+                name: step.name,
+                direction: step.direction,
+                appliedAt: new Date().toISOString()
+            });
+        }
+        state.version = targetVersion;
+        this.writeState(state);
+
+        return report;
+    }
+
+    // Record a version without touching the data (new files, pre-versioning files already current)
+    stamp(version) {
+        const state = this.readState() || { detectedVersion: version, applied: [] };
+        state.version = version;
+        this.writeState(state);
+    }
+
+    readTable() {
+        const lines = fs.readFileSync(this.csvFile, 'utf8').split('\n');
+        const columns = lines[0].trim().split(',').map(column => column.trim());
+        const rows = lines.slice(1).map(line => line.trim()).filter(line => line).map(line => line.split(','));
+
+        const emptyBlocks = [];
+        if (this.holdsEmptyBlocks) {
+            this.emptyBlocks.forEachInRange(0, Infinity, blockNumber => emptyBlocks.push(blockNumber));
+        }
+
+        return { columns, rows, emptyBlocks };
+    }
+
+    writeTable(table) {
+        const lines = [table.columns.join(','), ...table.rows.map(row => row.join(','))];
+        writeFileAtomic(this.csvFile, lines.join('\n') + '\n');
+
+        if (this.holdsEmptyBlocks) {
+            this.emptyBlocks.replaceAll(table.emptyBlocks);
+        } else if (table.emptyBlocks.length > 0) {
+            const emptyBlocks = new Set(table.emptyBlocks);
+            this.emptyBlocks.forEachInRange(0, Infinity, blockNumber => emptyBlocks.add(blockNumber));
+            this.emptyBlocks.replaceAll(Array.from(emptyBlocks).sort((a, b) => a - b));
+        }
+    }
+
+    // One backup of the data file and ledger per migration run, named after the version they hold
+    backup(version, backupLedger = true) {
+        const backupFiles = [];
+        const files = backupLedger ? [this.csvFile, this.emptyBlocks.ledgerFile] : [this.csvFile];
+        for (const file of files) {
+            if (fs.existsSync(file)) {
+                const backupFile = `${file}.v${version}.bak`;
+                fs.copyFileSync(file, backupFile);
+                backupFiles.push(backupFile);
+            }
+        }
+        return backupFiles;
+    }
+}
+
+module.exports = CsvSchemaMigrator;
@@ -0,0 +1,27 @@
+// Runs async tasks one at a time in submission order
+// Used to serialize every writer of a file so a rewrite can never interleave with an append.
+
+class SerialQueue {
+    constructor() {
+        this.tail = Promise.resolve();
+        this.pending = 0;
+    }
+
+    // Queue fn and resolve with its result once every earlier task has finished
+    run(fn) {
+        this.pending++;
+
+        const result = this.tail.then(() => fn());
+        this.tail = result.then(() => {}, () => {}).then(() => {
+            this.pending--;
+        });
+
+        return result;
+    }
+
+    get size() {
+        return this.pending;
+    }
+}
+
+module.exports = SerialQueue;
@@ -0,0 +1,494 @@
+// CSV storage backend
+// The original flat-file format (block_number,inscription_id,sat_number) split into hot and cold
+// files: backfill results are appended to the historical file, blocks arriving over the websocket
+// to the small realtime file. Compaction merges the realtime file into the historical one, so the
+// big file is only ever re-sorted there and never on the write path. Reads are served from one
+// in-memory index over both files, appends are journaled and every writer is serialized.
+// Confirmed-empty blocks, block metadata and block sources live in their own sidecar files.
+// Opened with readOnly (the command-line tools reading a tracker's data), nothing on disk changes.
+
+const fs = require('fs');
+const StorageAdapter = require('./storageAdapter');
+const BlockIndex = require('../blockIndex');
+const EmptyBlockLedger = require('../emptyBlockLedger');
+const BlockMetadataStore = require('../blockMetadataStore');
+const CsvJournal = require('../csvJournal');
+const SerialQueue = require('../serialQueue');
+const CsvSchemaMigrator = require('../schema/csvMigrator');
+const { writeFileAtomic, appendFileDurable } = require('../atomicFile');
+
+const CSV_HEADER = 'block_number,inscription_id,sat_number';
+
+class CsvStorage extends StorageAdapter {
+    constructor(options) {
+        super('csv');
+        this.csvFile = options.csvFile; // Historical (cold) file - the one published and schema-versioned
+        this.realtimeFile = options.realtimeFile;
+        this.logError = options.logError || ((level, blockNumber, message) => console.error(`❌ ${level}: ${message}`));
+        this.readOnly = Boolean(options.readOnly);
+        this.outOfOrderRows = 0; // Historical rows out of block order at init; compact() fixes them
+
+        this.index = new BlockIndex([this.csvFile, this.realtimeFile]);
+        this.emptyBlocks = new EmptyBlockLedger(options.emptyBlocksFile);
+        this.metadata = new BlockMetadataStore(options.metadataFile);
+        this.sources = new BlockMetadataStore(options.sourcesFile);
+        this.journals = new Map([
+            [this.csvFile, new CsvJournal(options.journalFile)],
+            [this.realtimeFile, new CsvJournal(options.realtimeJournalFile)]
+        ]);
+        this.writeQueue = new SerialQueue(); // Every CSV writer goes through this queue
+        // One schema version per data file; the historical file's migrator owns the empty-block ledger
+        this.migrators = [
+            new CsvSchemaMigrator({ csvFile: this.csvFile, stateFile: options.schemaFile, emptyBlocks: this.emptyBlocks }),
+            new CsvSchemaMigrator({ csvFile: this.realtimeFile, stateFile: options.realtimeSchemaFile, emptyBlocks: this.emptyBlocks, holdsEmptyBlocks: false })
+        ];
+    }
+
+    describe() {
+        return `CSV (${this.csvFile} + ${this.realtimeFile})`;
+    }
+
+    // Historical file first; earlier files win when a block is in both
+    dataFiles() {
+        return [this.csvFile, this.realtimeFile];
+    }
+
+    // Create the CSV files or bring an older format up to the current schema version. Read-only, a
+    // pending migration is an error, missing files read as empty and journaled rows are only indexed.
+    // Rows out of order are reported; the tracker calls compact() when needsCompaction() says so.
+    init() {
+        const compact = !this.readOnly;
+        this.emptyBlocks.load({ compact });
+        this.metadata.load({ compact });
+        this.sources.load({ compact });
+
+        if (this.readOnly) {
+            for (const migrator of this.migrators) {
+                const status = migrator.status();
+                if (status.pending.length > 0) {
+                    throw new Error(`${migrator.csvFile} is at schema v${status.currentVersion} (latest v${status.latestVersion}) - run npm run schema or start the tracker to migrate it first`);
+                }
+            }
+        } else {
+            let ledgerBackedUp = false;
+            for (const migrator of this.migrators) {
+                const report = migrator.migrate({ backupLedger: !ledgerBackedUp });
+                ledgerBackedUp = ledgerBackedUp || report.steps.length > 0;
+                for (const step of report.steps) {
+                    console.log(`🔄 ${migrator.csvFile} schema v${step.version} ${step.name} (${step.direction}): ${step.rowsBefore} → ${step.rowsAfter} rows, ${step.emptyBlocksAfter} confirmed-empty blocks`);
+                }
+                if (report.backupFiles.length > 0) {
+                    console.log(`📄 Backup created: ${report.backupFiles.join(', ')}`);
+                }
+            }
+
+            for (const csvFile of this.dataFiles()) {
+                if (!fs.existsSync(csvFile) || fs.statSync(csvFile).size === 0) {
+                    writeFileAtomic(csvFile, `${CSV_HEADER}\n`);
+                    console.log(`📄 Created 3-column CSV file: ${csvFile}`);
+                }
+            }
+        }
+
+        this.index.load();
+        for (const csvFile of this.dataFiles()) {
+            this.replayJournal(csvFile);
+        }
+
+        this.validateCSVOrder();
+    }
+
+    needsCompaction() {
+        return this.outOfOrderRows > 0;
+    }
+
+    assertWritable() {
+        if (this.readOnly) throw new Error(`${this.describe()} was opened read-only`);
+    }
+
+    close() {
+        this.index.close();
+    }
+
+    // Pick up edits made to the CSV files outside the tracker
+    watch(onExternalChange) {
+        this.index.watch(() => onExternalChange());
+    }
+
+    getBlock(blockNumber) {
+        const entry = this.index.get(blockNumber);
+        return entry ? { ...entry } : null;
+    }
+
+    getBlocks(offset, limit) {
+        return this.index.slice(offset, limit).map(entry => ({ ...entry }));
+    }
+
+    getLatestBlocks(limit) {
+        return this.index.latest(limit).map(entry => ({ ...entry }));
+    }
+
+    searchBlocks(query, limit = 100) {
+        return this.index.search(query, limit).map(entry => ({ ...entry }));
+    }
+
+    countBlocks() {
+        return this.index.size;
+    }
+
+    blockNumbers() {
+        return this.index.blockNumbers();
+    }
+
+    // Iterates a snapshot of the block numbers, so writes made while a caller is paused are not seen twice
+    *iterateBlocks(from = 0, to = Infinity) {
+        const blockNumbers = this.index.blockNumbers().filter(blockNumber => blockNumber >= from && blockNumber <= to);
+        for (const blockNumber of blockNumbers) {
+            const entry = this.index.get(blockNumber);
+            if (entry) yield { ...entry };
+        }
+    }
+
+    // Realtime writes go to the hot file, everything else to the historical file
+    async writeBlock(blockNumber, inscriptionId, satNumber = '', options = {}) {
+        this.assertWritable();
+        const csvFile = options.realtime ? this.realtimeFile : this.csvFile;
+        const journal = this.journals.get(csvFile);
+        const row = `${blockNumber},${inscriptionId},${satNumber || ''}\n`;
+
+        await this.writeQueue.run(() => {
+            journal.record(row);
+            appendFileDurable(csvFile, row);
+            journal.clear();
+            this.index.upsert(blockNumber, inscriptionId, satNumber);
+            this.index.noteOwnWrite();
+        });
+
+        this.emptyBlocks.delete(blockNumber);
+    }
+
+    async removeBlocks(blockNumbers) {
+        this.assertWritable();
+        const remove = new Set(blockNumbers);
+        if (remove.size === 0) return 0;
+
+        return this.writeQueue.run(() => {
+            let removed = 0;
+
+            for (const csvFile of this.dataFiles()) {
+                const lines = fs.readFileSync(csvFile, 'utf8').split('\n');
+                const kept = lines.filter((line, index) => index === 0 || (line.trim() && !remove.has(parseInt(line.split(',')[0]))));
+                const removedHere = lines.filter(line => line.trim()).length - kept.length;
+
+                if (removedHere > 0) {
+                    writeFileAtomic(csvFile, kept.join('\n') + '\n');
+                    removed += removedHere;
+                }
+            }
+
+            if (removed > 0) this.index.load();
+            return removed;
+        });
+    }
+
+    async invalidateBlocks(blockNumbers) {
+        const rows = await this.removeBlocks(blockNumbers);
+        let emptyBlocks = 0;
+        let metadata = 0;
+        let sources = 0;
+        for (const blockNumber of blockNumbers) {
+            if (this.emptyBlocks.delete(blockNumber)) emptyBlocks++;
+            if (this.metadata.delete(blockNumber)) metadata++;
+            if (this.sources.delete(blockNumber)) sources++;
+        }
+        return { rows, emptyBlocks, metadata, sources };
+    }
+
+    findBlocksMissingSat(limit, excluded = new Set()) {
+        const rows = [];
+        for (const blockNumber of this.index.blockNumbers()) {
+            const entry = this.index.get(blockNumber);
+            if (!entry.satNumber && entry.inscriptionId && !excluded.has(blockNumber)) {
+                rows.push({ ...entry });
+                if (rows.length >= limit) break;
+            }
+        }
+        return rows;
+    }
+
+    countBlocksMissingSat() {
+        let missing = 0;
+        for (const blockNumber of this.index.blockNumbers()) {
+            if (!this.index.get(blockNumber).satNumber) missing++;
+        }
+        return missing;
+    }
+
+    // Rewrites each file at most once per batch, so callers should collect several updates first
+    async updateSatNumbers(updates) {
+        this.assertWritable();
+        if (updates.size === 0) return 0;
+
+        return this.writeQueue.run(() => {
+            const changed = new Set();
+
+            for (const csvFile of this.dataFiles()) {
+                const lines = fs.readFileSync(csvFile, 'utf8').split('\n');
+                let changedHere = 0;
+
+                for (let i = 1; i < lines.length; i++) {
+                    const line = lines[i].trim();
+                    if (!line) continue;
+
+                    const parts = line.split(',');
+                    const blockNumber = parseInt(parts[0]);
+                    if (updates.has(blockNumber) && !parts[2]) {
+                        parts[2] = String(updates.get(blockNumber));
+                        lines[i] = parts.join(',');
+                        changed.add(blockNumber);
+                        changedHere++;
+                    }
+                }
+
+                if (changedHere > 0) writeFileAtomic(csvFile, lines.join('\n'));
+            }
+
+            if (changed.size === 0) return 0;
+
+            for (const blockNumber of changed) {
+                const entry = this.index.get(blockNumber);
+                if (entry) this.index.upsert(blockNumber, entry.inscriptionId, String(updates.get(blockNumber)));
+            }
+            this.index.noteOwnWrite();
+
+            return changed.size;
+        });
+    }
+
+    isEmptyBlock(blockNumber) {
+        return this.emptyBlocks.has(blockNumber);
+    }
+
+    async markEmptyBlock(blockNumber) {
+        this.assertWritable();
+        this.emptyBlocks.add(blockNumber);
+    }
+
+    countEmptyBlocks(from = 0, to = Infinity) {
+        return this.emptyBlocks.countInRange(from, to);
+    }
+
+    forEachEmptyBlock(from, to, fn) {
+        this.emptyBlocks.forEachInRange(from, to, fn);
+    }
+
+    getBlockMetadata(blockNumber) {
+        return this.metadata.get(blockNumber);
+    }
+
+    async saveBlockMetadata(blockNumber, metadata) {
+        this.assertWritable();
+        this.metadata.set(blockNumber, metadata);
+    }
+
+    countBlockMetadata() {
+        return this.metadata.size;
+    }
+
+    allBlockMetadata() {
+        return this.metadata.values();
+    }
+
+    getBlockSource(blockNumber) {
+        const source = this.sources.get(blockNumber);
+        return source ? { verdict: null, ...source } : null;
+    }
+
+    async saveBlockSource(blockNumber, source) {
+        this.assertWritable();
+        this.sources.set(blockNumber, source);
+    }
+
+    countBlockSources() {
+        return this.sources.size;
+    }
+
+    countBlockSourcesByProvider() {
+        const counts = {};
+        for (const source of this.sources.values()) {
+            counts[source.provider] = (counts[source.provider] || 0) + 1;
+        }
+        return counts;
+    }
+
+    countBlockSourcesByVerdict() {
+        const counts = { valid: 0, invalid: 0, unverified: 0, pending: 0 };
+        for (const source of this.sources.values()) {
+            const status = source.verdict ? source.verdict.status : 'pending';
+            counts[status] = (counts[status] || 0) + 1;
+        }
+        return counts;
+    }
+
+    findUnverifiedSources(limit, excluded = new Set()) {
+        return this.sources.values()
+            .filter(source => !source.verdict && !excluded.has(source.blockNumber))
+            .slice(0, limit);
+    }
+
+    allBlockSources() {
+        return this.sources.values();
+    }
+
+    // Cheap housekeeping only - the historical file is rewritten by compact()
+    async maintain() {
+        this.assertWritable();
+        if (this.metadata.supersededLines > 0) {
+            this.metadata.compact();
+        }
+        if (this.sources.supersededLines > 0) {
+            this.sources.compact();
+        }
+    }
+
+    // Merge the realtime file into the historical one, sorted and de-duplicated
+    async compact() {
+        this.assertWritable();
+        return this.writeQueue.run(() => {
+            try {
+                const readRows = csvFile => fs.existsSync(csvFile)
+                    ? fs.readFileSync(csvFile, 'utf8').split('\n').slice(1).map(line => line.trim()).filter(line => line)
+                    : [];
+
+                const historicalRows = readRows(this.csvFile);
+                const realtimeRows = readRows(this.realtimeFile);
+
+                const merged = new Map();
+                for (const line of [...historicalRows, ...realtimeRows]) {
+                    const blockNumber = parseInt(line.split(',')[0]);
+                    if (isNaN(blockNumber)) continue;
+
+                    // First occurrence wins, unless a later copy adds a missing sat number
+                    const existing = merged.get(blockNumber);
+                    if (!existing || (!existing.split(',')[2] && line.split(',')[2])) {
+                        merged.set(blockNumber, line);
+                    }
+                }
+
+                const sortedLines = Array.from(merged.keys()).sort((a, b) => a - b).map(blockNumber => merged.get(blockNumber));
+
+                // Historical first: a crash in between leaves rows in both files, which load and the next compaction de-duplicate
+                writeFileAtomic(this.csvFile, [CSV_HEADER, ...sortedLines].join('\n') + '\n');
+                writeFileAtomic(this.realtimeFile, `${CSV_HEADER}\n`);
+                this.index.load();
+
+                console.log(`🗜️ Compacted ${realtimeRows.length} realtime rows into ${this.csvFile}: ${sortedLines.length} entries in sequential order`);
+                return { realtimeRows: realtimeRows.length, totalRows: sortedLines.length };
+            } catch (error) {
+                this.logError('CSV_COMPACTION', 0, `Failed to compact CSV files: ${error.message}`);
+                return null;
+            }
+        });
+    }
+
+    async importAll(rows, emptyBlockNumbers, metadata = [], sources = []) {
+        this.assertWritable();
+        await this.writeQueue.run(() => {
+            const sortedRows = Array.from(rows).sort((a, b) => a.blockNumber - b.blockNumber);
+            const lines = [CSV_HEADER, ...sortedRows.map(row => `${row.blockNumber},${row.inscriptionId},${row.satNumber || ''}`)];
+
+            writeFileAtomic(this.csvFile, lines.join('\n') + '\n');
+            writeFileAtomic(this.realtimeFile, `${CSV_HEADER}\n`);
+            this.journals.forEach(journal => journal.clear());
+            this.index.load();
+            this.emptyBlocks.replaceAll(emptyBlockNumbers);
+            this.metadata.replaceAll(metadata);
+            this.sources.replaceAll(sources);
+        });
+    }
+
+    // Re-apply rows that were journaled but may not have reached the CSV before a crash
+    replayJournal(csvFile) {
+        const journal = this.journals.get(csvFile);
+        const pendingRows = journal.pendingRows();
+        if (pendingRows.length === 0) return;
+
+        if (this.readOnly) {
+            // Seen by this reader, written back by the tracker's next start
+            for (const row of pendingRows) {
+                const parts = row.split(',');
+                const blockNumber = parseInt(parts[0]);
+                if (!this.index.has(blockNumber)) this.index.upsert(blockNumber, parts[1] || null, parts[2] || null);
+            }
+            console.log(`🧾 ${pendingRows.length} journaled rows for ${csvFile} read from the journal (not written back read-only)`);
+            return;
+        }
+
+        try {
+            // A crash mid-append can leave a torn last line - drop it, the journal has the full row
+            const content = fs.readFileSync(csvFile, 'utf8');
+            if (content.length > 0 && !content.endsWith('\n')) {
+                writeFileAtomic(csvFile, content.slice(0, content.lastIndexOf('\n') + 1));
+                this.index.load();
+            }
+
+            let replayed = 0;
+            for (const row of pendingRows) {
+                const parts = row.split(',');
+                const blockNumber = parseInt(parts[0]);
+                if (this.index.has(blockNumber)) continue;
+
+                appendFileDurable(csvFile, `${row}\n`);
+                this.index.upsert(blockNumber, parts[1] || null, parts[2] || null);
+                this.emptyBlocks.delete(blockNumber);
+                replayed++;
+            }
+
+            this.index.noteOwnWrite();
+            journal.clear();
+            console.log(`🧾 Journal replay (${csvFile}): restored ${replayed} of ${pendingRows.length} pending rows`);
+        } catch (error) {
+            this.logError('CSV_JOURNAL', 0, `Failed to replay CSV journal: ${error.message}`);
+        }
+    }
+
+    // Checked at startup only - gap filling can append to the historical file out of order. Only
+    // reports: rewriting the file is left to whoever owns it (see needsCompaction())
+    validateCSVOrder() {
+        try {
+            const csvFile = this.csvFile;
+            if (!fs.existsSync(csvFile)) return true;
+
+            const content = fs.readFileSync(csvFile, 'utf8');
+            const lines = content.split('\n').slice(1).filter(line => line.trim() !== '');
+
+            if (lines.length <= 1) return true;
+
+            let previousBlock = -1;
+            let outOfOrderCount = 0;
+
+            for (const line of lines) {
+                const blockNumber = parseInt(line.split(',')[0]);
+                if (!isNaN(blockNumber)) {
+                    if (blockNumber <= previousBlock) {
+                        outOfOrderCount++;
+                    }
+                    previousBlock = blockNumber;
+                }
+            }
+
+            this.outOfOrderRows = outOfOrderCount;
+            if (outOfOrderCount > 0) {
+                console.log(`⚠️ CSV has ${outOfOrderCount} out-of-order entries`);
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            this.logError('CSV_VALIDATION', 0, `Failed to validate CSV order: ${error.message}`);
+            return false;
+        }
+    }
+}
+
+module.exports = CsvStorage;
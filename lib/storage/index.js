@@ -0,0 +1,40 @@
+// Storage backend factory
+// Picks the adapter named by CONFIG.STORAGE_BACKEND ('csv' or 'sqlite') unless one is passed explicitly.
+// options.readOnly opens it without changing anything on disk (for tools reading the tracker's data).
+
+const CsvStorage = require('./csvStorage');
+const SqliteStorage = require('./sqliteStorage');
+
+const BACKENDS = ['csv', 'sqlite'];
+
+function createStorage(config, options = {}) {
+    const backend = (options.backend || config.STORAGE_BACKEND || 'csv').toLowerCase();
+    const logError = options.logError;
+
+    switch (backend) {
+        case 'csv':
+            return new CsvStorage({
+                csvFile: config.HISTORICAL_CSV_FILE,
+                realtimeFile: config.REALTIME_CSV_FILE,
+                emptyBlocksFile: config.EMPTY_BLOCKS_FILE,
+                journalFile: config.CSV_JOURNAL_FILE,
+                realtimeJournalFile: config.REALTIME_CSV_JOURNAL_FILE,
+                schemaFile: config.CSV_SCHEMA_FILE,
+                realtimeSchemaFile: config.REALTIME_CSV_SCHEMA_FILE,
+                metadataFile: config.METADATA_FILE,
+                sourcesFile: config.SOURCES_FILE,
+                readOnly: options.readOnly,
+                logError
+            });
+        case 'sqlite':
+            return new SqliteStorage({
+                sqliteFile: config.SQLITE_FILE,
+                readOnly: options.readOnly,
+                logError
+            });
+        default:
+            throw new Error(`Unknown storage backend "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+    }
+}
+
+module.exports = { createStorage, BACKENDS };
@@ -0,0 +1,446 @@
+// SQLite storage backend
+// Keeps bitmaps and confirmed-empty blocks in a local database file so the data can be queried
+// with SQL and range-scanned without loading everything into memory. Answers are shaped exactly
+// like the CSV backend's so API responses do not depend on the configured backend.
+
+const StorageAdapter = require('./storageAdapter');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS bitmaps (
+        block_number INTEGER PRIMARY KEY,
+        inscription_id TEXT NOT NULL,
+        sat_number TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_bitmaps_inscription_id ON bitmaps (inscription_id);
+    CREATE INDEX IF NOT EXISTS idx_bitmaps_sat_number ON bitmaps (sat_number);
+
+    CREATE TABLE IF NOT EXISTS empty_blocks (
+        block_number INTEGER PRIMARY KEY
+    );
+
+    CREATE TABLE IF NOT EXISTS block_metadata (
+        block_number INTEGER PRIMARY KEY,
+        block_hash TEXT,
+        block_time INTEGER,
+        tx_count INTEGER,
+        block_size INTEGER,
+        inscription_id TEXT,
+        inscription_number INTEGER,
+        content_type TEXT,
+        fetched_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS block_sources (
+        block_number INTEGER PRIMARY KEY,
+        provider TEXT NOT NULL,
+        inscription_id TEXT,
+        answered_at TEXT NOT NULL,
+        verdict_status TEXT,
+        verdict_reason TEXT,
+        expected_inscription_id TEXT,
+        verdict_checked_at TEXT
+    );
+`;
+
+// Columns added to existing tables after their first release, created on open when missing
+const ADDED_COLUMNS = {
+    block_sources: ['verdict_status TEXT', 'verdict_reason TEXT', 'expected_inscription_id TEXT', 'verdict_checked_at TEXT']
+};
+
+const MAX_BLOCK = Number.MAX_SAFE_INTEGER;
+const ITERATE_PAGE_SIZE = 1000;
+
+// Matches the latest CSV schema version (block_number, inscription_id, sat_number + empty-block ledger)
+const SCHEMA_VERSION = 2;
+
+// better-sqlite3 is an optional native dependency, only needed when this backend is selected
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+}
+
+function toRow(record) {
+    return {
+        blockNumber: record.block_number,
+        inscriptionId: record.inscription_id || null,
+        satNumber: record.sat_number || null
+    };
+}
+
+function toMetadata(record) {
+    return {
+        blockNumber: record.block_number,
+        blockHash: record.block_hash,
+        blockTime: record.block_time,
+        txCount: record.tx_count,
+        blockSize: record.block_size,
+        inscriptionId: record.inscription_id,
+        inscriptionNumber: record.inscription_number,
+        contentType: record.content_type,
+        fetchedAt: record.fetched_at
+    };
+}
+
+function metadataParams(blockNumber, metadata) {
+    return {
+        block_number: blockNumber,
+        block_hash: metadata.blockHash ?? null,
+        block_time: metadata.blockTime ?? null,
+        tx_count: metadata.txCount ?? null,
+        block_size: metadata.blockSize ?? null,
+        inscription_id: metadata.inscriptionId ?? null,
+        inscription_number: metadata.inscriptionNumber ?? null,
+        content_type: metadata.contentType ?? null,
+        fetched_at: metadata.fetchedAt || new Date().toISOString()
+    };
+}
+
+function toSource(record) {
+    return {
+        blockNumber: record.block_number,
+        provider: record.provider,
+        inscriptionId: record.inscription_id,
+        answeredAt: record.answered_at,
+        verdict: record.verdict_status ? {
+            status: record.verdict_status,
+            reason: record.verdict_reason,
+            expectedInscriptionId: record.expected_inscription_id,
+            checkedAt: record.verdict_checked_at
+        } : null
+    };
+}
+
+function sourceParams(blockNumber, source) {
+    return {
+        block_number: blockNumber,
+        provider: source.provider,
+        inscription_id: source.inscriptionId ?? null,
+        answered_at: source.answeredAt || new Date().toISOString(),
+        verdict_status: source.verdict ? source.verdict.status : null,
+        verdict_reason: source.verdict ? source.verdict.reason ?? null : null,
+        expected_inscription_id: source.verdict ? source.verdict.expectedInscriptionId ?? null : null,
+        verdict_checked_at: source.verdict ? source.verdict.checkedAt ?? null : null
+    };
+}
+
+function toBound(value) {
+    return Number.isFinite(value) ? value : MAX_BLOCK;
+}
+
+class SqliteStorage extends StorageAdapter {
+    constructor(options) {
+        super('sqlite');
+        this.sqliteFile = options.sqliteFile;
+        this.logError = options.logError || ((level, blockNumber, message) => console.error(`❌ ${level}: ${message}`));
+        this.readOnly = Boolean(options.readOnly); // Open an existing database without changing it
+        this.db = null;
+        this.statements = null;
+    }
+
+    describe() {
+        return `SQLite (${this.sqliteFile})`;
+    }
+
+    init() {
+        if (this.db) return;
+
+        const Database = loadDriver();
+        if (this.readOnly) {
+            this.db = new Database(this.sqliteFile, { readonly: true, fileMustExist: true });
+            const version = this.db.pragma('user_version', { simple: true });
+            if (version !== SCHEMA_VERSION) {
+                this.db.close();
+                this.db = null;
+                throw new Error(`${this.sqliteFile} is at schema v${version} (latest v${SCHEMA_VERSION}) - start the tracker with STORAGE_BACKEND=sqlite to upgrade it first`);
+            }
+        } else {
+            this.db = new Database(this.sqliteFile);
+            this.db.pragma('journal_mode = WAL');
+            this.db.pragma('synchronous = NORMAL');
+            this.db.exec(SCHEMA);
+            this.addMissingColumns();
+            this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+        }
+
+        this.statements = {
+            getBlock: this.db.prepare('SELECT * FROM bitmaps WHERE block_number = ?'),
+            getBlocks: this.db.prepare('SELECT * FROM bitmaps ORDER BY block_number ASC LIMIT ? OFFSET ?'),
+            getLatest: this.db.prepare('SELECT * FROM bitmaps ORDER BY block_number DESC LIMIT ?'),
+            bySat: this.db.prepare('SELECT * FROM bitmaps WHERE sat_number = ? ORDER BY block_number ASC LIMIT 1'),
+            byInscription: this.db.prepare('SELECT * FROM bitmaps WHERE inscription_id = ? ORDER BY block_number ASC LIMIT 1'),
+            // instr() keeps the substring match case-sensitive like the CSV backend
+            substring: this.db.prepare(`
+                SELECT * FROM bitmaps
+                WHERE instr(CAST(block_number AS TEXT), @query) > 0
+                   OR instr(inscription_id, @query) > 0
+                   OR instr(IFNULL(sat_number, ''), @query) > 0
+                ORDER BY block_number ASC LIMIT @limit`),
+            countBlocks: this.db.prepare('SELECT COUNT(*) AS count FROM bitmaps'),
+            blockNumbers: this.db.prepare('SELECT block_number FROM bitmaps ORDER BY block_number ASC').pluck(),
+            range: this.db.prepare('SELECT * FROM bitmaps WHERE block_number BETWEEN ? AND ? ORDER BY block_number ASC LIMIT ?'),
+            upsert: this.db.prepare(`
+                INSERT INTO bitmaps (block_number, inscription_id, sat_number) VALUES (?, ?, ?)
+                ON CONFLICT (block_number) DO UPDATE SET inscription_id = excluded.inscription_id, sat_number = excluded.sat_number`),
+            remove: this.db.prepare('DELETE FROM bitmaps WHERE block_number = ?'),
+            removeMetadata: this.db.prepare('DELETE FROM block_metadata WHERE block_number = ?'),
+            removeSource: this.db.prepare('DELETE FROM block_sources WHERE block_number = ?'),
+            missingSat: this.db.prepare('SELECT * FROM bitmaps WHERE sat_number IS NULL ORDER BY block_number ASC LIMIT ?'),
+            countMissingSat: this.db.prepare('SELECT COUNT(*) AS count FROM bitmaps WHERE sat_number IS NULL'),
+            updateSat: this.db.prepare('UPDATE bitmaps SET sat_number = ? WHERE block_number = ? AND sat_number IS NULL'),
+            isEmpty: this.db.prepare('SELECT 1 FROM empty_blocks WHERE block_number = ?').pluck(),
+            markEmpty: this.db.prepare('INSERT OR IGNORE INTO empty_blocks (block_number) VALUES (?)'),
+            unmarkEmpty: this.db.prepare('DELETE FROM empty_blocks WHERE block_number = ?'),
+            countEmpty: this.db.prepare('SELECT COUNT(*) AS count FROM empty_blocks WHERE block_number BETWEEN ? AND ?'),
+            emptyRange: this.db.prepare('SELECT block_number FROM empty_blocks WHERE block_number BETWEEN ? AND ? ORDER BY block_number ASC').pluck(),
+            getMetadata: this.db.prepare('SELECT * FROM block_metadata WHERE block_number = ?'),
+            allMetadata: this.db.prepare('SELECT * FROM block_metadata ORDER BY block_number ASC'),
+            countMetadata: this.db.prepare('SELECT COUNT(*) AS count FROM block_metadata'),
+            saveMetadata: this.db.prepare(`
+                INSERT OR REPLACE INTO block_metadata
+                    (block_number, block_hash, block_time, tx_count, block_size, inscription_id, inscription_number, content_type, fetched_at)
+                VALUES
+                    (@block_number, @block_hash, @block_time, @tx_count, @block_size, @inscription_id, @inscription_number, @content_type, @fetched_at)`),
+            getSource: this.db.prepare('SELECT * FROM block_sources WHERE block_number = ?'),
+            allSources: this.db.prepare('SELECT * FROM block_sources ORDER BY block_number ASC'),
+            countSources: this.db.prepare('SELECT COUNT(*) AS count FROM block_sources'),
+            countSourcesByProvider: this.db.prepare('SELECT provider, COUNT(*) AS count FROM block_sources GROUP BY provider ORDER BY provider'),
+            countSourcesByVerdict: this.db.prepare('SELECT verdict_status, COUNT(*) AS count FROM block_sources GROUP BY verdict_status'),
+            unverifiedSources: this.db.prepare('SELECT * FROM block_sources WHERE verdict_status IS NULL ORDER BY block_number ASC LIMIT ?'),
+            saveSource: this.db.prepare(`
+                INSERT OR REPLACE INTO block_sources
+                    (block_number, provider, inscription_id, answered_at, verdict_status, verdict_reason, expected_inscription_id, verdict_checked_at)
+                VALUES
+                    (@block_number, @provider, @inscription_id, @answered_at, @verdict_status, @verdict_reason, @expected_inscription_id, @verdict_checked_at)`)
+        };
+
+        console.log(`🗄️ SQLite storage ready: ${this.sqliteFile} (${this.countBlocks()} bitmaps, ${this.countEmptyBlocks()} confirmed empty)`);
+    }
+
+    // Bring databases created by an older release up to the current columns
+    addMissingColumns() {
+        for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+            const existing = new Set(this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+            for (const column of columns) {
+                if (!existing.has(column.split(' ')[0])) {
+                    this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+                }
+            }
+        }
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    getBlock(blockNumber) {
+        const record = this.statements.getBlock.get(blockNumber);
+        return record ? toRow(record) : null;
+    }
+
+    getBlocks(offset, limit) {
+        return this.statements.getBlocks.all(limit, offset).map(toRow);
+    }
+
+    getLatestBlocks(limit) {
+        return this.statements.getLatest.all(limit).map(toRow);
+    }
+
+    searchBlocks(query, limit = 100) {
+        const results = [];
+        const seen = new Set();
+        const addRecord = record => {
+            if (record && !seen.has(record.block_number)) {
+                seen.add(record.block_number);
+                results.push(toRow(record));
+            }
+        };
+
+        if (/^\d+$/.test(query)) {
+            addRecord(this.statements.getBlock.get(parseInt(query)));
+            addRecord(this.statements.bySat.get(query));
+        }
+        addRecord(this.statements.byInscription.get(query));
+
+        // The exact matches are among the substring matches too, so ask for enough rows to fill up the limit
+        this.statements.substring.all({ query, limit: limit + results.length }).forEach(addRecord);
+        return results.slice(0, limit);
+    }
+
+    countBlocks() {
+        return this.statements.countBlocks.get().count;
+    }
+
+    blockNumbers() {
+        return this.statements.blockNumbers.all();
+    }
+
+    // Pages through the range instead of holding a statement iterator open, so callers can
+    // pause between rows (streaming exports) while other queries keep using the connection
+    *iterateBlocks(from = 0, to = Infinity) {
+        let cursor = from;
+        while (true) {
+            const page = this.statements.range.all(cursor, toBound(to), ITERATE_PAGE_SIZE);
+            for (const record of page) {
+                yield toRow(record);
+            }
+            if (page.length < ITERATE_PAGE_SIZE) return;
+            cursor = page[page.length - 1].block_number + 1;
+        }
+    }
+
+    async writeBlock(blockNumber, inscriptionId, satNumber = '') {
+        this.db.transaction(() => {
+            this.statements.upsert.run(blockNumber, inscriptionId, satNumber ? String(satNumber) : null);
+            this.statements.unmarkEmpty.run(blockNumber);
+        })();
+    }
+
+    async removeBlocks(blockNumbers) {
+        let removed = 0;
+        this.db.transaction(() => {
+            for (const blockNumber of blockNumbers) {
+                removed += this.statements.remove.run(blockNumber).changes;
+            }
+        })();
+        return removed;
+    }
+
+    async invalidateBlocks(blockNumbers) {
+        const counts = { rows: 0, emptyBlocks: 0, metadata: 0, sources: 0 };
+        this.db.transaction(() => {
+            for (const blockNumber of blockNumbers) {
+                counts.rows += this.statements.remove.run(blockNumber).changes;
+                counts.emptyBlocks += this.statements.unmarkEmpty.run(blockNumber).changes;
+                counts.metadata += this.statements.removeMetadata.run(blockNumber).changes;
+                counts.sources += this.statements.removeSource.run(blockNumber).changes;
+            }
+        })();
+        return counts;
+    }
+
+    findBlocksMissingSat(limit, excluded = new Set()) {
+        return this.statements.missingSat.all(limit + excluded.size)
+            .filter(record => !excluded.has(record.block_number))
+            .slice(0, limit)
+            .map(toRow);
+    }
+
+    countBlocksMissingSat() {
+        return this.statements.countMissingSat.get().count;
+    }
+
+    async updateSatNumbers(updates) {
+        let changed = 0;
+        this.db.transaction(() => {
+            for (const [blockNumber, satNumber] of updates) {
+                changed += this.statements.updateSat.run(String(satNumber), blockNumber).changes;
+            }
+        })();
+        return changed;
+    }
+
+    isEmptyBlock(blockNumber) {
+        return this.statements.isEmpty.get(blockNumber) === 1;
+    }
+
+    async markEmptyBlock(blockNumber) {
+        this.statements.markEmpty.run(blockNumber);
+    }
+
+    countEmptyBlocks(from = 0, to = Infinity) {
+        return this.statements.countEmpty.get(from, toBound(to)).count;
+    }
+
+    forEachEmptyBlock(from, to, fn) {
+        for (const blockNumber of this.statements.emptyRange.iterate(from, toBound(to))) {
+            fn(blockNumber);
+        }
+    }
+
+    getBlockMetadata(blockNumber) {
+        const record = this.statements.getMetadata.get(blockNumber);
+        return record ? toMetadata(record) : null;
+    }
+
+    async saveBlockMetadata(blockNumber, metadata) {
+        this.statements.saveMetadata.run(metadataParams(blockNumber, metadata));
+    }
+
+    countBlockMetadata() {
+        return this.statements.countMetadata.get().count;
+    }
+
+    allBlockMetadata() {
+        return this.statements.allMetadata.all().map(toMetadata);
+    }
+
+    getBlockSource(blockNumber) {
+        const record = this.statements.getSource.get(blockNumber);
+        return record ? toSource(record) : null;
+    }
+
+    async saveBlockSource(blockNumber, source) {
+        this.statements.saveSource.run(sourceParams(blockNumber, source));
+    }
+
+    countBlockSources() {
+        return this.statements.countSources.get().count;
+    }
+
+    countBlockSourcesByProvider() {
+        const counts = {};
+        this.statements.countSourcesByProvider.all().forEach(record => { counts[record.provider] = record.count; });
+        return counts;
+    }
+
+    countBlockSourcesByVerdict() {
+        const counts = { valid: 0, invalid: 0, unverified: 0, pending: 0 };
+        this.statements.countSourcesByVerdict.all().forEach(record => { counts[record.verdict_status || 'pending'] = record.count; });
+        return counts;
+    }
+
+    findUnverifiedSources(limit, excluded = new Set()) {
+        return this.statements.unverifiedSources.all(limit + excluded.size)
+            .filter(record => !excluded.has(record.block_number))
+            .slice(0, limit)
+            .map(toSource);
+    }
+
+    allBlockSources() {
+        return this.statements.allSources.all().map(toSource);
+    }
+
+    async maintain() {
+        try {
+            this.db.pragma('wal_checkpoint(PASSIVE)');
+        } catch (error) {
+            this.logError('SQLITE_MAINTENANCE', 0, `Checkpoint failed: ${error.message}`);
+        }
+    }
+
+    async importAll(rows, emptyBlockNumbers, metadata = [], sources = []) {
+        this.db.transaction(() => {
+            this.db.exec('DELETE FROM bitmaps; DELETE FROM empty_blocks; DELETE FROM block_metadata; DELETE FROM block_sources;');
+            for (const row of rows) {
+                this.statements.upsert.run(row.blockNumber, row.inscriptionId, row.satNumber ? String(row.satNumber) : null);
+            }
+            for (const blockNumber of emptyBlockNumbers) {
+                this.statements.markEmpty.run(blockNumber);
+            }
+            for (const record of metadata) {
+                this.statements.saveMetadata.run(metadataParams(record.blockNumber, record));
+            }
+            for (const record of sources) {
+                this.statements.saveSource.run(sourceParams(record.blockNumber, record));
+            }
+        })();
+    }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,184 @@
+// Storage adapter interface
+// Every read and write the tracker makes goes through one of these, so the CSV file and the
+// SQLite database are interchangeable. Rows are plain { blockNumber, inscriptionId, satNumber }
+// objects with satNumber kept as a string (or null) exactly as it was recorded. Block metadata
+// records are { blockNumber, blockHash, blockTime, txCount, blockSize, inscriptionId,
+// inscriptionNumber, contentType, fetchedAt } with blockTime in unix seconds. Block source records
+// { blockNumber, provider, inscriptionId, answeredAt, verdict } say which bitmap provider answered a
+// block; verdict is the validity engine's { status, reason, expectedInscriptionId, checkedAt } on
+// that answer, or null until it has been checked.
+
+class StorageAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Open or create the underlying storage and bring its format up to date
+    init() {
+        this.notImplemented('init');
+    }
+
+    close() {}
+
+    // True when init() found the data needs compact() (only the tracker, which owns the data, runs it)
+    needsCompaction() {
+        return false;
+    }
+
+    // Human readable location for startup logs
+    describe() {
+        return this.name;
+    }
+
+    // Called with no arguments when the data changes outside the tracker
+    watch(onExternalChange) {}
+
+    getBlock(blockNumber) {
+        this.notImplemented('getBlock');
+    }
+
+    // Rows in ascending block order
+    getBlocks(offset, limit) {
+        this.notImplemented('getBlocks');
+    }
+
+    // Rows in descending block order
+    getLatestBlocks(limit) {
+        this.notImplemented('getLatestBlocks');
+    }
+
+    // Exact matches on block number, sat number or inscription ID first, then a substring match
+    searchBlocks(query, limit) {
+        this.notImplemented('searchBlocks');
+    }
+
+    countBlocks() {
+        this.notImplemented('countBlocks');
+    }
+
+    // Ascending block numbers that have a bitmap
+    blockNumbers() {
+        this.notImplemented('blockNumbers');
+    }
+
+    // Generator over rows with from <= blockNumber <= to, ascending
+    *iterateBlocks(from = 0, to = Infinity) {
+        this.notImplemented('iterateBlocks');
+    }
+
+    // options.realtime marks blocks that arrived over the websocket rather than from backfill
+    async writeBlock(blockNumber, inscriptionId, satNumber, options = {}) {
+        this.notImplemented('writeBlock');
+    }
+
+    // Delete the rows for these block numbers; returns how many were removed
+    async removeBlocks(blockNumbers) {
+        this.notImplemented('removeBlocks');
+    }
+
+    // Forget everything recorded for these blocks (row, confirmed-empty mark, metadata, source) so they
+    // can be fetched again, e.g. after a chain reorganization
+    async invalidateBlocks(blockNumbers) {
+        this.notImplemented('invalidateBlocks');
+    }
+
+    // Up to limit rows without a sat number, ascending, skipping block numbers in excluded
+    findBlocksMissingSat(limit, excluded = new Set()) {
+        this.notImplemented('findBlocksMissingSat');
+    }
+
+    countBlocksMissingSat() {
+        this.notImplemented('countBlocksMissingSat');
+    }
+
+    // Fill in sat numbers for existing rows from a Map of blockNumber -> sat; returns rows changed
+    async updateSatNumbers(updates) {
+        this.notImplemented('updateSatNumbers');
+    }
+
+    isEmptyBlock(blockNumber) {
+        this.notImplemented('isEmptyBlock');
+    }
+
+    async markEmptyBlock(blockNumber) {
+        this.notImplemented('markEmptyBlock');
+    }
+
+    countEmptyBlocks(from = 0, to = Infinity) {
+        this.notImplemented('countEmptyBlocks');
+    }
+
+    forEachEmptyBlock(from, to, fn) {
+        this.notImplemented('forEachEmptyBlock');
+    }
+
+    getBlockMetadata(blockNumber) {
+        this.notImplemented('getBlockMetadata');
+    }
+
+    // Store (or replace) the metadata record for a block
+    async saveBlockMetadata(blockNumber, metadata) {
+        this.notImplemented('saveBlockMetadata');
+    }
+
+    countBlockMetadata() {
+        this.notImplemented('countBlockMetadata');
+    }
+
+    // Every metadata record, ascending - used by the storage migration tool
+    allBlockMetadata() {
+        this.notImplemented('allBlockMetadata');
+    }
+
+    getBlockSource(blockNumber) {
+        this.notImplemented('getBlockSource');
+    }
+
+    // Record (or replace) which provider answered a block
+    async saveBlockSource(blockNumber, source) {
+        this.notImplemented('saveBlockSource');
+    }
+
+    countBlockSources() {
+        this.notImplemented('countBlockSources');
+    }
+
+    // { providerName: blocks answered } over every stored source record
+    countBlockSourcesByProvider() {
+        this.notImplemented('countBlockSourcesByProvider');
+    }
+
+    // { valid, invalid, unverified, pending } over every stored source record (pending = no verdict yet)
+    countBlockSourcesByVerdict() {
+        this.notImplemented('countBlockSourcesByVerdict');
+    }
+
+    // Up to limit source records without a verdict, ascending, skipping excluded block numbers
+    findUnverifiedSources(limit, excluded = new Set()) {
+        this.notImplemented('findUnverifiedSources');
+    }
+
+    // Every source record, ascending - used by the storage migration tool
+    allBlockSources() {
+        this.notImplemented('allBlockSources');
+    }
+
+    // Periodic housekeeping (checkpoints, sidecar cleanup); cheap and safe to call at any time
+    async maintain() {}
+
+    // Heavier periodic reorganisation (merging the CSV realtime file into the historical one)
+    async compact() {
+        return null;
+    }
+
+    // Replace all stored data - used by the storage migration tool
+    async importAll(rows, emptyBlockNumbers, metadata = [], sources = []) {
+        this.notImplemented('importAll');
+    }
+
+    notImplemented(method) {
+        throw new Error(`${this.name} storage does not implement ${method}()`);
+    }
+}
+
+module.exports = StorageAdapter;
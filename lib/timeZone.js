@@ -0,0 +1,50 @@
+// Midnight in an IANA time zone
+// Daily API quotas reset at midnight in the provider's zone, not the server's. Node has no direct
+// "midnight in zone X" call, so the wall clock is read with Intl and the zone's UTC offset is
+// corrected for twice, which also lands correctly on days with a DST change.
+
+function formatter(timeZone) {
+    return new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+}
+
+// Throws a readable error for an unknown zone name
+function assertTimeZone(timeZone) {
+    try {
+        formatter(timeZone);
+    } catch (error) {
+        throw new Error(`Unknown time zone "${timeZone}" (use an IANA name such as UTC or America/New_York)`);
+    }
+}
+
+// { year, month, day, hour, minute, second } of a timestamp as read on a clock in the zone
+function wallClock(timeZone, timestamp) {
+    const parts = {};
+    formatter(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+        if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+    });
+    return parts;
+}
+
+// Milliseconds the zone is ahead of UTC at a timestamp
+function offsetAt(timeZone, timestamp) {
+    const clock = wallClock(timeZone, timestamp);
+    const asUtc = Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute, clock.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Timestamp of the next midnight in the zone after now
+function nextMidnight(timeZone, now = Date.now()) {
+    const today = wallClock(timeZone, now);
+    const midnightAsUtc = Date.UTC(today.year, today.month - 1, today.day + 1);
+
+    let timestamp = midnightAsUtc - offsetAt(timeZone, midnightAsUtc);
+    timestamp = midnightAsUtc - offsetAt(timeZone, timestamp);
+    return timestamp;
+}
+
+module.exports = { assertTimeZone, nextMidnight };
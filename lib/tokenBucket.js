@@ -0,0 +1,36 @@
+// Token bucket rate limiter
+// Holds up to capacity tokens and refills refillPerSecond of them continuously; a request may go
+// out when a whole token can be taken. A full bucket allows a short burst of capacity requests,
+// after which requests are spaced at the refill rate.
+
+class TokenBucket {
+    constructor(options) {
+        this.capacity = options.capacity;
+        this.refillPerSecond = options.refillPerSecond;
+        this.tokens = options.capacity;
+        this.updatedAt = options.now || Date.now();
+    }
+
+    refill(now = Date.now()) {
+        const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.updatedAt = now;
+    }
+
+    // Take a token if one is available; returns whether it was taken
+    tryTake(now = Date.now()) {
+        this.refill(now);
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+
+    // Milliseconds until a whole token is available (0 when one is available now)
+    msUntilToken(now = Date.now()) {
+        this.refill(now);
+        if (this.tokens >= 1) return 0;
+        return Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+    }
+}
+
+module.exports = TokenBucket;
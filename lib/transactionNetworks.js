@@ -0,0 +1,109 @@
+// Which network a transaction is on
+// Before an answer is stored the tracker asks where its reveal transaction is: on the chain source's
+// network first and, only when that cannot find it, on the other public networks. Lookups run one at
+// a time, paced per upstream through the request ledger (requestsPerSecond, counting the upstream's
+// other traffic too). Answers are cached per txid: a network it was found on for good (up to
+// cacheSize txids), "found nowhere" for unknownTtl, since a fresh reveal may just not have propagated.
+// A network whose lookups fail (bitcoind without -txindex, an API that is down) is skipped for
+// failureBackoff and reported once per backoff rather than for every block.
+
+const SerialQueue = require('./serialQueue');
+const { WINDOWS, upstreamOf } = require('./requestLedger');
+
+class TransactionNetworks {
+    constructor(options) {
+        this.network = options.network; // The chain source's network
+        this.sources = options.sources; // [{ network, source }], the chain source's own network first
+        this.ledger = options.ledger || null;
+        this.requestsPerSecond = options.requestsPerSecond === undefined ? 2 : options.requestsPerSecond; // 0: no pacing
+        this.unknownTtl = options.unknownTtl || 10 * 60 * 1000;
+        this.failureBackoff = options.failureBackoff || 10 * 60 * 1000;
+        this.cacheSize = options.cacheSize || 10000;
+        this.logError = options.logError || ((level, blockNumber, message) => console.error(`❌ ${level}: ${message}`));
+
+        this.found = new Map(); // txid -> network
+        this.unknown = new Map(); // txid -> time it may be looked up again
+        this.failing = new Map(); // network -> time its lookups are tried again
+        this.queue = new SerialQueue();
+        this.stats = { lookups: 0, cacheHits: 0, failures: 0 };
+    }
+
+    // Network the transaction was found on earlier, without sending anything (null when unknown)
+    cached(txid) {
+        return this.found.get(txid) || null;
+    }
+
+    // Network the transaction is on, or null when that cannot be told right now
+    async locate(txid) {
+        if (this.found.has(txid) || (this.unknown.get(txid) || 0) > Date.now()) {
+            this.stats.cacheHits++;
+            return this.cached(txid);
+        }
+        // Concurrent lookups for the same txid wait for the first one and hit its cache entry
+        return this.queue.run(() => this.found.has(txid) || (this.unknown.get(txid) || 0) > Date.now()
+            ? this.cached(txid)
+            : this.lookUp(txid));
+    }
+
+    async lookUp(txid) {
+        for (const { network, source } of this.sources) {
+            if ((this.failing.get(network) || 0) > Date.now()) {
+                // Without the own network nothing found elsewhere can be weighed against it
+                if (network === this.network) return null;
+                continue;
+            }
+
+            let status;
+            try {
+                await this.pace(source);
+                this.stats.lookups++;
+                status = await source.getTransactionStatus(txid);
+            } catch (error) {
+                this.stats.failures++;
+                this.failing.set(network, Date.now() + this.failureBackoff);
+                this.logError('NETWORK', 0, `Transaction lookups on ${network} failed, skipping them for ${Math.round(this.failureBackoff / 60000)} minutes: ${error.message}`);
+                if (network === this.network) return null;
+                continue;
+            }
+
+            if (status !== null) {
+                this.remember(this.found, txid, network);
+                this.unknown.delete(txid);
+                return network;
+            }
+        }
+
+        this.remember(this.unknown, txid, Date.now() + this.unknownTtl);
+        return null;
+    }
+
+    // Wait until the source's upstream has room for one more request this second
+    async pace(source) {
+        const url = source.apiUrl || source.rpcUrl;
+        if (!this.ledger || !url || this.requestsPerSecond === 0) return;
+
+        const upstream = upstreamOf(url);
+        let waitTime;
+        while ((waitTime = this.ledger.waitTime(upstream, WINDOWS.second, this.requestsPerSecond)) > 0) {
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+    }
+
+    remember(map, txid, value) {
+        if (!map.has(txid) && map.size >= this.cacheSize) map.delete(map.keys().next().value);
+        map.set(txid, value);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            cachedNetworks: this.found.size,
+            cachedUnknown: this.unknown.size,
+            failingNetworks: Array.from(this.failing.entries())
+                .filter(([, until]) => until > Date.now())
+                .map(([network, until]) => ({ network, until: new Date(until).toISOString() }))
+        };
+    }
+}
+
+module.exports = TransactionNetworks;
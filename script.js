@@ -4,117 +4,148 @@
 // Provides REST API at https://switch-900.github.io/geniidataBitmap/
 // Run with: node server.js
 
-require('dotenv').config();
 const express = require('express');
-const WebSocket = require('ws');
+const http = require('http');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const zlib = require('zlib');
 const { execSync } = require('child_process');
 const cors = require('cors');
-
-// Configuration
-const CONFIG = {
-    // Server Configuration
-    PORT: process.env.PORT || 3000,
-    HOST: process.env.HOST || '0.0.0.0',
-    
-    // External APIs
-    MEMPOOL_WS_URL: 'wss://mempool.space/api/v1/ws',
-    GENIIDATA_API_URL: 'https://api.geniidata.com/api/1/bitmap/bitmapInfo/bitmapNumber/',
-    ORDINALS_API_URL: 'https://ordinals.com/r',
-    
-    // Multi-API key support from environment variables (filter out empty keys)
-    API_KEYS: (process.env.GENIIDATA_API_KEYS || '142cf1b0-1ca7-11ee-bb5e-9d74c2e854ac')
-        .split(',')
-        .map(key => key.trim())
-        .filter(key => key && key.length > 0 && !key.includes('your-')),
-    USER_AGENTS: (process.env.USER_AGENTS || 'Enhanced-Bitmap-Tracker/2.0').split(',').map(ua => ua.trim()),
-    
-    // IP rotation settings
-    USE_PROXY_ROTATION: process.env.USE_PROXY_ROTATION === 'true',
-    PROXY_LIST: process.env.PROXY_LIST ? process.env.PROXY_LIST.split(',').map(p => p.trim()) : [],
-    ROTATE_USER_AGENTS: process.env.ROTATE_USER_AGENTS !== 'false',
-    ROTATE_REQUEST_HEADERS: process.env.ROTATE_REQUEST_HEADERS !== 'false',
-    
-    // File Configuration
-    CSV_FILE: process.env.CSV_FILE || 'bitmap_data.csv',
-    HISTORICAL_CSV_FILE: process.env.HISTORICAL_CSV_FILE || 'bitmap_historical.csv',
-    REALTIME_CSV_FILE: process.env.REALTIME_CSV_FILE || 'bitmap_realtime.csv',
-    PROGRESS_FILE: process.env.PROGRESS_FILE || 'backfill_progress.json',
-    
-    // Rate limits per API key
-    MAX_REQUESTS_PER_DAY_PER_KEY: parseInt(process.env.MAX_REQUESTS_PER_DAY_PER_KEY) || 2000,
-    MAX_REQUESTS_PER_SECOND: parseInt(process.env.MAX_REQUESTS_PER_SECOND) || 5,
-    
-    // Ordinals API rate limiting
-    ORDINALS_REQUEST_INTERVAL: parseInt(process.env.ORDINALS_REQUEST_INTERVAL) || 1000, // 1 second between requests
-    ORDINALS_MAX_RETRIES: parseInt(process.env.ORDINALS_MAX_RETRIES) || 3,
-    
-    // Historical backfill settings
-    HISTORICAL_START_BLOCK: parseInt(process.env.HISTORICAL_START_BLOCK) || 840000,
-    
-    // Timing - optimized for safe operation under rate limits
-    REQUEST_INTERVAL: parseInt(process.env.REQUEST_INTERVAL) || 220,
-    RETRY_DELAY: parseInt(process.env.RETRY_DELAY) || 5000,
-    MAX_RETRIES: parseInt(process.env.MAX_RETRIES) || 2,
-    
-    // Safety buffers
-    DAILY_LIMIT_BUFFER: parseInt(process.env.DAILY_LIMIT_BUFFER) || 50,
-    RATE_LIMIT_BUFFER: parseFloat(process.env.RATE_LIMIT_BUFFER) || 0.9,
-    
-    // Git Auto-Commit Settings
-    AUTO_COMMIT_CSV: process.env.AUTO_COMMIT_CSV !== 'false',
-    GIT_COMMIT_MESSAGE: process.env.GIT_COMMIT_MESSAGE || 'Update Bitcoin bitmap data - Block {blockNumber}',
-    GIT_PUSH_TO_REMOTE: process.env.GIT_PUSH_TO_REMOTE !== 'false',
-    GIT_BRANCH: process.env.GIT_BRANCH || 'main'
-};
+const { writeFileAtomic } = require('./lib/atomicFile');
+const { createStorage } = require('./lib/storage');
+const { createProviders } = require('./lib/providers');
+const { createChainSource, createOtherNetworkSources } = require('./lib/chainSources');
+const SatEnrichmentWorker = require('./lib/satEnrichmentWorker');
+const ApiKeyPool = require('./lib/apiKeyPool');
+const ProxyPool = require('./lib/proxyPool');
+const { RequestLedger, WINDOWS, upstreamOf } = require('./lib/requestLedger');
+const { assertTimeZone, nextMidnight } = require('./lib/timeZone');
+const ClaimVerificationWorker = require('./lib/claimVerificationWorker');
+const IntegrityVerifier = require('./lib/integrityVerifier');
+const BlockExporter = require('./lib/blockExporter');
+const ReorgDetector = require('./lib/reorgDetector');
+const DeadLetterQueue = require('./lib/deadLetterQueue');
+const BackfillJobs = require('./lib/backfillJobs');
+const BackfillPlanner = require('./lib/backfillPlanner');
+const ConfirmationTracker = require('./lib/confirmationTracker');
+const OrdClient = require('./lib/ordClient');
+const OrdIndexer = require('./lib/ordIndexer');
+const TransactionNetworks = require('./lib/transactionNetworks');
+const { parseInscriptionId } = require('./lib/networks');
+const CONFIG = require('./lib/config');
 
 class EnhancedBitmapTracker {
     constructor() {
         this.app = express();
-        this.ws = null;
-        this.csvInitialized = false;
+        this.shuttingDown = false;
+        this.storageInitialized = false;
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 10;
+        this.reconnectTimer = null;
+        this.chainDisconnectedAt = null; // When the block feed went down (null while connected)
+        this.lastSeenBlock = 0; // Highest height announced by the block feed or found by a tip check
+        this.tipPollTimer = null; // Polling fallback while the feed is down for long
+        this.tipPollStartTimer = null;
         
         // Multi-API key management
         this.apiKeys = CONFIG.API_KEYS;
         this.userAgents = CONFIG.USER_AGENTS;
-        this.currentKeyIndex = 0;
+        this.keyPool = null;
         this.keyUsage = {};
         this.processedBlocks = new Set();
+        this.requestLedger = new RequestLedger(); // Every outbound request, per upstream and per API key
+        this.chainSource = createChainSource(CONFIG, { ledger: this.requestLedger }); // Tip height, block hashes and new blocks
+        this.transactionNetworks = new TransactionNetworks({ // Where an answered inscription's reveal transaction is
+            network: CONFIG.NETWORK,
+            sources: [{ network: CONFIG.NETWORK, source: this.chainSource }, ...createOtherNetworkSources(CONFIG, { ledger: this.requestLedger })],
+            ledger: this.requestLedger,
+            requestsPerSecond: CONFIG.NETWORK_LOOKUPS_PER_SECOND,
+            logError: (level, blockNumber, message) => this.logError(level, blockNumber, message)
+        });
+        this.storage = createStorage(CONFIG, { logError: this.logError.bind(this) });
+        this.exporter = new BlockExporter({ storage: this.storage, exportDir: CONFIG.EXPORT_DIR });
+        this.satEnrichment = new SatEnrichmentWorker({
+            storage: this.storage,
+            fetchOrdinalsData: this.fetchOrdinalsData.bind(this),
+            onUpdated: blockNumbers => blockNumbers.forEach(blockNumber => this.blockCache.delete(blockNumber)),
+            logError: this.logError.bind(this),
+            batchSize: CONFIG.SAT_ENRICHMENT_BATCH_SIZE,
+            requestInterval: CONFIG.ORDINALS_REQUEST_INTERVAL,
+            idleDelay: CONFIG.SAT_ENRICHMENT_IDLE_DELAY
+        });
+        this.claimVerification = new ClaimVerificationWorker({
+            storage: this.storage,
+            client: new OrdClient({ baseUrl: CONFIG.ORD_API_URL, requestInterval: CONFIG.ORD_REQUEST_INTERVAL, ledger: this.requestLedger }),
+            logError: this.logError.bind(this),
+            batchSize: CONFIG.CLAIM_VERIFICATION_BATCH_SIZE,
+            idleDelay: CONFIG.CLAIM_VERIFICATION_IDLE_DELAY
+        });
+        this.reorgDetector = new ReorgDetector({
+            stateFile: CONFIG.REORG_STATE_FILE,
+            depth: CONFIG.REORG_DEPTH,
+            fetchBlockHash: this.fetchBlockHash.bind(this)
+        });
+        this.deadLetters = new DeadLetterQueue({
+            stateFile: CONFIG.DEAD_LETTER_FILE,
+            retryDelay: CONFIG.DEAD_LETTER_RETRY_DELAY,
+            maxRetryDelay: CONFIG.DEAD_LETTER_MAX_RETRY_DELAY
+        });
+        this.confirmations = new ConfirmationTracker({
+            stateFile: CONFIG.SHALLOW_BLOCKS_FILE,
+            required: CONFIG.CONFIRMATIONS_REQUIRED
+        });
+        this.backfillJobs = new BackfillJobs({
+            stateFile: CONFIG.BACKFILL_JOBS_FILE,
+            isDone: blockNumber => this.processedBlocks.has(blockNumber)
+        });
+        this.backfillPlanner = new BackfillPlanner({ reserveBlocksPerDay: CONFIG.REALTIME_QUOTA_RESERVE_BLOCKS });
           // Data cache for API responses
         this.blockCache = new Map();
         this.cacheSize = 1000; // Keep last 1000 blocks in memory
         
-        // Proxy management
-        this.proxyList = CONFIG.PROXY_LIST;
-        this.currentProxyIndex = 0;
-        this.proxyFailures = new Map();
-          // Initialize proxy configuration
-        if (CONFIG.USE_PROXY_ROTATION && this.proxyList.length > 0) {
-            console.log(`🔄 Proxy rotation enabled (${this.proxyList.length} proxies)`);
+        // Outbound proxies for GeniiData requests (HTTP CONNECT / SOCKS5 tunnels)
+        this.proxyPool = null;
+        if (CONFIG.USE_PROXY_ROTATION && CONFIG.PROXY_LIST.length > 0) {
+            this.proxyPool = new ProxyPool({
+                proxies: CONFIG.PROXY_LIST,
+                maxFailures: CONFIG.PROXY_MAX_FAILURES,
+                readmitAfter: CONFIG.PROXY_READMIT_AFTER,
+                healthCheckUrl: CONFIG.PROXY_HEALTH_CHECK_URL,
+                healthCheckInterval: CONFIG.PROXY_HEALTH_CHECK_INTERVAL
+            });
+            console.log(`🔄 Proxy rotation enabled (${this.proxyPool.size} proxies)`);
         } else if (CONFIG.USE_PROXY_ROTATION) {
             console.log('⚠️ Proxy rotation enabled but no proxies configured');
         }
-        this.useProxy = process.env.USE_PROXY_ROTATION === 'true';
         
         // Initialize components
         this.initializeKeyUsage();
+        this.providers = createProviders(CONFIG, {
+            // The ord indexer mode answers on-demand lookups from the same ord server
+            names: CONFIG.INGESTION_MODE === 'ord' ? ['ord'] : CONFIG.BITMAP_PROVIDERS,
+            ledger: this.requestLedger,
+            geniidata: {
+                acquireKey: this.acquireGeniiDataKey.bind(this),
+                recordRequest: this.recordGeniiDataRequest.bind(this),
+                rejectKey: this.rejectGeniiDataKey.bind(this),
+                hasQuota: this.hasGeniiDataQuota.bind(this),
+                getProxy: this.getNextProxy.bind(this),
+                markProxyFailed: this.markProxyFailed.bind(this),
+                markProxySucceeded: this.markProxySucceeded.bind(this)
+            }
+        });
+        console.log(`🧭 Bitmap providers: ${this.providers.describe()}`);
+        this.ordIndexer = CONFIG.INGESTION_MODE === 'ord' ? this.createOrdIndexer() : null;
         this.setupExpressServer();
         
-        // Rate limiting
-        this.requestsToday = 0;
-        this.lastRequestTime = 0;
-        this.lastOrdinalsRequest = 0;
-        this.dailyResetTime = this.getNextMidnight();
-        
         // Queue management
         this.priorityQueue = [];
         this.backfillQueue = [];
         this.processing = false;
+        this.inFlight = new Set(); // Blocks a fetch worker is working on
+        this.schedulerPasses = new Map(); // Queue name -> stride scheduler pass (see takeNextBlock)
+        this.schedulerClock = 0;
+        this.processingPausedUntil = 0;
         
         // Progress tracking
         this.currentBlock = 0;
@@ -130,21 +161,40 @@ class EnhancedBitmapTracker {
         this.app.use(cors());
         this.app.use(express.json());
         this.app.use(express.static(path.join(__dirname, 'public')));
+        
+        // Every response says which network it describes: a header, and a field on JSON objects
+        this.app.use((req, res, next) => {
+            res.set('X-Bitcoin-Network', CONFIG.NETWORK);
+            const json = res.json.bind(res);
+            res.json = body => json(body && typeof body === 'object' && !Array.isArray(body) ? { network: CONFIG.NETWORK, ...body } : body);
+            next();
+        });
 
         // API Routes
         this.app.get('/api/block/:blockNumber', this.getBlockData.bind(this));
+        this.app.get('/api/block/:blockNumber/details', this.getBlockDetails.bind(this));
         this.app.get('/api/blocks', this.getAllBlocks.bind(this));
         this.app.get('/api/stats', this.getStats.bind(this));
+        this.app.get('/api/stats/plan', this.getBackfillPlan.bind(this));
         this.app.get('/api/latest', this.getLatestBlocks.bind(this));
         this.app.get('/api/search/:query', this.searchBlocks.bind(this));
+        this.app.get('/api/export', this.exportBlocks.bind(this));
+        this.app.get('/api/export/manifest/:exportId', this.getExportManifest.bind(this));
+        this.app.get('/api/admin/verify', this.verifyData.bind(this));
+        this.app.get('/api/admin/reorgs', this.getReorgs.bind(this));
+        this.app.get('/api/admin/proxies', this.getProxies.bind(this));
+        this.app.get('/api/admin/backfill/jobs', this.listBackfillJobs.bind(this));
+        this.app.post('/api/admin/backfill/jobs', this.createBackfillJob.bind(this));
+        this.app.get('/api/admin/backfill/jobs/:id', this.getBackfillJob.bind(this));
+        this.app.post('/api/admin/backfill/jobs/:id/:action(pause|resume|cancel)', this.controlBackfillJob.bind(this));
+        this.app.get('/api/admin/failed', this.getFailedBlocks.bind(this));
+        this.app.post('/api/admin/failed/:blockNumber/retry', this.retryFailedBlock.bind(this));
         
-        // Direct block access (GitHub Pages style)
-        this.app.get('/:blockNumber', this.getBlockData.bind(this));
-        
-        // Health check
+        // Health check (before the direct block route, which would take /health for a block number)
         this.app.get('/health', (req, res) => {
             res.json({
                 status: 'healthy',
+                network: CONFIG.NETWORK,
                 uptime: process.uptime(),
                 currentBlock: this.currentBlock,
                 processedBlocks: this.processedBlocks.size,
@@ -152,6 +202,9 @@ class EnhancedBitmapTracker {
             });
         });
 
+        // Direct block access (GitHub Pages style)
+        this.app.get('/:blockNumber', this.getBlockData.bind(this));
+        
         // Serve main page
         this.app.get('/', (req, res) => {
             res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -180,6 +233,7 @@ class EnhancedBitmapTracker {
                         if (ordinalsData && ordinalsData.sat) {
                             const enrichedData = {
                                 ...cachedData,
+                                confirmations: this.getConfirmations(blockNumber),
                                 satNumber: ordinalsData.sat,
                                 address: ordinalsData.address,
                                 value: ordinalsData.value,
@@ -192,11 +246,11 @@ class EnhancedBitmapTracker {
                     }
                 }
                 
-                return res.json(cachedData);
+                return res.json({ ...cachedData, confirmations: this.getConfirmations(blockNumber) });
             }
 
-            // Try to get from CSV
-            const csvData = await this.getBlockFromCSV(blockNumber);
+            // Try to get from storage
+            const csvData = await this.getStoredBlock(blockNumber);
             if (csvData) {
                 // If sat numbers requested, fetch them dynamically from ordinals
                 if (includeSat && csvData.inscriptionId) {
@@ -219,6 +273,11 @@ class EnhancedBitmapTracker {
                 return res.json(csvData);
             }
 
+            // Blocks confirmed to have no bitmap get a definite answer instead of a 404
+            if (this.storage.isEmptyBlock(blockNumber)) {
+                return res.json(this.formatEmptyBlock(blockNumber));
+            }
+
             // If not found and block is recent, try to fetch it
             if (blockNumber >= this.currentBlock - 100) {
                 try {
@@ -243,6 +302,10 @@ class EnhancedBitmapTracker {
                         this.trimCache();
                         return res.json(blockData);
                     }
+
+                    if (this.storage.isEmptyBlock(blockNumber)) {
+                        return res.json(this.formatEmptyBlock(blockNumber));
+                    }
                 } catch (error) {
                     console.error(`Error fetching block ${blockNumber}:`, error.message);
                 }
@@ -270,7 +333,7 @@ class EnhancedBitmapTracker {
             const limit = Math.min(parseInt(req.query.limit) || 50, 1000);
             const offset = (page - 1) * limit;
 
-            const blocks = await this.getBlocksFromCSV(offset, limit);
+            const blocks = await this.getStoredBlocks(offset, limit);
             const total = this.processedBlocks.size;
 
             res.json({
@@ -299,12 +362,49 @@ class EnhancedBitmapTracker {
                 historicalStartBlock: CONFIG.HISTORICAL_START_BLOCK,
                 totalBlocksInRange: totalBlocks,
                 processedBlocks: processedBlocks,
+                coverage: {
+                    bitmapBlocks: this.storage.countBlocks(),
+                    blocksWithMetadata: this.storage.countBlockMetadata(),
+                    blocksByProvider: this.storage.countBlockSourcesByProvider(),
+                    emptyBlocks: this.storage.countEmptyBlocks(),
+                    emptyBlocksInRange: this.storage.countEmptyBlocks(CONFIG.HISTORICAL_START_BLOCK, this.currentBlock)
+                },
                 completionPercentage: parseFloat(percentage.toFixed(2)),
+                backfillProjection: this.usesGeniiDataQuota() ? this.planBackfill().projection : null,
+                ingestionMode: CONFIG.INGESTION_MODE,
+                ordIndexer: this.ordIndexer ? this.ordIndexer.getStats() : null,
+                satEnrichment: this.satEnrichment.getStats(),
+                claimVerification: this.claimVerification.getStats(),
+                reorg: this.reorgDetector.getStats(),
+                deadLetters: this.deadLetters.getStats(),
+                backfillJobs: this.backfillJobs.getStats(),
+                confirmations: this.confirmations.getStats(this.currentBlock),
+                chainSource: {
+                    ...this.chainSource.getStats(),
+                    disconnectedSince: this.chainDisconnectedAt ? new Date(this.chainDisconnectedAt).toISOString() : null,
+                    reconnectAttempts: this.reconnectAttempts,
+                    pollingTip: Boolean(this.tipPollTimer),
+                    lastSeenBlock: this.lastSeenBlock
+                },
+                transactionNetworks: this.transactionNetworks.getStats(),
+                providers: this.providers.getStats(),
                 queueSizes: {
                     priority: this.priorityQueue.length,
                     backfill: this.backfillQueue.length
                 },
-                requestsToday: this.requestsToday,
+                fetchPipeline: {
+                    workers: this.fetchWorkers || 0,
+                    queueWeights: { realtime: CONFIG.REALTIME_QUEUE_WEIGHT, backfill: CONFIG.BACKFILL_QUEUE_WEIGHT },
+                    inFlight: Array.from(this.inFlight),
+                    quotaTimeZone: CONFIG.QUOTA_RESET_TIMEZONE,
+                    usageSavedAt: this.keyPool ? this.keyPool.lastSavedAt : null,
+                    keys: this.keyPool ? this.keyPool.getStats() : []
+                },
+                requestsToday: this.getTotalDailyUsage(),
+                requestWindows: {
+                    ...this.requestLedger.getStats(),
+                    geniidataLimits: this.getGeniiDataLimits()
+                },
                 apiKeysCount: this.apiKeys.length,
                 cacheSize: this.blockCache.size,
                 uptime: process.uptime()
@@ -314,11 +414,28 @@ class EnhancedBitmapTracker {
         }
     }
 
+    // Quota plan for the backfill and its projected finish date
+    async getBackfillPlan(req, res) {
+        try {
+            if (!this.usesGeniiDataQuota()) {
+                return res.status(409).json({
+                    error: 'No backfill plan',
+                    message: this.ordIndexer ? 'INGESTION_MODE=ord walks the ord server without a GeniiData quota'
+                        : !this.keyPool ? 'API keys are not validated yet'
+                        : 'No GeniiData keys or provider in use, so there is no quota limit to plan around'
+                });
+            }
+            res.json(this.planBackfill());
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
     // Get latest blocks with bitmaps
     async getLatestBlocks(req, res) {
         try {
             const limit = Math.min(parseInt(req.query.limit) || 10, 100);
-            const latestBlocks = await this.getLatestBlocksFromCSV(limit);
+            const latestBlocks = await this.getLatestStoredBlocks(limit);
             
             res.json({
                 blocks: latestBlocks,
@@ -329,11 +446,88 @@ class EnhancedBitmapTracker {
         }
     }
 
+    // API endpoint for block and inscription metadata (hash, time, tx count, size, inscription number)
+    async getBlockDetails(req, res) {
+        try {
+            const blockNumber = parseInt(req.params.blockNumber);
+            const refresh = req.query.refresh === 'true';
+
+            if (isNaN(blockNumber) || blockNumber < 0) {
+                return res.status(400).json({
+                    error: 'Invalid block number',
+                    message: 'Block number must be a positive integer'
+                });
+            }
+
+            const entry = this.storage.getBlock(blockNumber);
+            const isEmpty = !entry && this.storage.isEmptyBlock(blockNumber);
+
+            if (!entry && !isEmpty) {
+                return res.status(404).json({
+                    error: 'Block not found',
+                    message: `Block ${blockNumber} has not been processed yet`,
+                    blockNumber: blockNumber
+                });
+            }
+
+            let metadata = refresh ? null : this.storage.getBlockMetadata(blockNumber);
+            if (!metadata) {
+                metadata = await this.fetchBlockMetadata(blockNumber, entry ? entry.inscriptionId : null);
+            }
+
+            if (!metadata) {
+                return res.status(502).json({
+                    error: 'Metadata unavailable',
+                    message: `Could not fetch metadata for block ${blockNumber} from the ordinals API`,
+                    blockNumber: blockNumber
+                });
+            }
+
+            res.json({
+                blockNumber: blockNumber,
+                hasBitmap: !!entry,
+                inscriptionId: entry ? entry.inscriptionId : null,
+                satNumber: entry ? entry.satNumber || null : null,
+                block: {
+                    hash: metadata.blockHash,
+                    time: metadata.blockTime ? new Date(metadata.blockTime * 1000).toISOString() : null,
+                    txCount: metadata.txCount,
+                    size: metadata.blockSize
+                },
+                inscription: entry ? {
+                    number: metadata.inscriptionNumber,
+                    contentType: metadata.contentType
+                } : null,
+                source: this.storage.getBlockSource(blockNumber),
+                confirmations: this.getConfirmations(blockNumber),
+                dataSource: 'Ordinals',
+                ...this.formatBlockTimes(blockNumber)
+            });
+        } catch (error) {
+            console.error('API Error:', error);
+            res.status(500).json({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    }
+
     // Search blocks by inscription ID or sat number
     async searchBlocks(req, res) {
         try {
             const query = req.params.query;
-            const results = await this.searchInCSV(query);
+            const results = await this.searchStoredBlocks(query);
+            
+            // An inscription we do not have may be one a provider answered from another network; only
+            // what lookups already found is used, so a search never sends a request of its own
+            const parsed = results.length === 0 ? parseInscriptionId(query) : null;
+            const network = parsed ? this.transactionNetworks.cached(parsed.txid) : null;
+            if (network && network !== CONFIG.NETWORK) {
+                return res.status(400).json({
+                    error: 'Wrong network',
+                    message: `Inscription ${query} is on ${network}, not ${CONFIG.NETWORK}`
+                });
+            }
             
             res.json({
                 query: query,
@@ -343,40 +537,274 @@ class EnhancedBitmapTracker {
         } catch (error) {
             res.status(500).json({ error: error.message });
         }
-    }    // Fetch complete block data - gets essential data from CSV, optionally fetches sat numbers dynamically
+    }
+
+    // Stream the whole dataset (or a block range) as csv, ndjson or json, optionally gzipped
+    async exportBlocks(req, res) {
+        const format = (req.query.format || 'csv').toLowerCase();
+        const gzip = req.query.gzip === 'true';
+        const from = req.query.from !== undefined ? parseInt(req.query.from) : 0;
+        const to = req.query.to !== undefined ? parseInt(req.query.to) : Infinity;
+
+        if (!BlockExporter.FORMATS[format]) {
+            return res.status(400).json({
+                error: 'Invalid format',
+                message: `format must be one of: ${Object.keys(BlockExporter.FORMATS).join(', ')}`
+            });
+        }
+
+        if (isNaN(from) || isNaN(to) || from < 0 || to < from) {
+            return res.status(400).json({
+                error: 'Invalid range',
+                message: 'from and to must be block numbers with from <= to'
+            });
+        }
+
+        const exportId = this.exporter.createExportId(from, to);
+        const fileName = this.exporter.fileName(exportId, format, gzip);
+
+        res.setHeader('Content-Type', gzip ? 'application/gzip' : BlockExporter.FORMATS[format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.setHeader('X-Export-Id', exportId);
+        res.setHeader('X-Export-Manifest', `/api/export/manifest/${exportId}`);
+        res.setHeader('Trailer', 'X-Export-Rows, X-Export-Sha256');
+
+        try {
+            const manifest = await this.exporter.export({ exportId, format, from, to, gzip }, res);
+            if (!manifest) return; // Client went away
+
+            res.addTrailers({
+                'X-Export-Rows': String(manifest.rows),
+                'X-Export-Sha256': manifest.sha256
+            });
+            res.end();
+            console.log(`📦 Export ${exportId}: ${manifest.rows} rows (${format}${gzip ? ', gzip' : ''})`);
+        } catch (error) {
+            this.logError('EXPORT', 0, `Export ${exportId} failed: ${error.message}`);
+            res.destroy(error);
+        }
+    }
+
+    // Row count and checksums of a finished export
+    async getExportManifest(req, res) {
+        try {
+            const manifest = this.exporter.readManifest(req.params.exportId);
+            if (!manifest) {
+                return res.status(404).json({
+                    error: 'Manifest not found',
+                    message: `No completed export with id ${req.params.exportId}`
+                });
+            }
+            res.json(manifest);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Integrity report over the stored rows (read-only; quarantining is done with tools/verify.js --fix)
+    async verifyData(req, res) {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+            const verifier = new IntegrityVerifier({
+                storage: this.storage,
+                quarantineFile: CONFIG.QUARANTINE_FILE,
+                historicalStartBlock: CONFIG.HISTORICAL_START_BLOCK
+            });
+
+            const report = verifier.verify();
+            res.json({
+                ...report,
+                issues: report.issues.slice(0, limit),
+                issuesTruncated: report.issues.length > limit
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Reorg detector state and the most recent reorg events (newest first)
+    async getReorgs(req, res) {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            res.json({
+                ...this.reorgDetector.getStats(),
+                trackedHashes: Object.fromEntries(this.reorgDetector.hashes),
+                events: this.reorgDetector.events.slice(-limit).reverse()
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Blocks in the dead-letter queue with their error history
+    async getFailedBlocks(req, res) {
+        try {
+            res.json({
+                ...this.deadLetters.getStats(),
+                blocks: this.deadLetters.list()
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Put a failed block at the front of the priority queue now instead of waiting for its retry time
+    async retryFailedBlock(req, res) {
+        try {
+            const blockNumber = parseInt(req.params.blockNumber);
+            if (isNaN(blockNumber) || blockNumber < 0) {
+                return res.status(400).json({
+                    error: 'Invalid block number',
+                    message: 'Block number must be a positive integer'
+                });
+            }
+
+            if (!this.deadLetters.has(blockNumber)) {
+                return res.status(404).json({
+                    error: 'Block not in the failed list',
+                    blockNumber: blockNumber
+                });
+            }
+
+            this.requeueFailedBlock(blockNumber, { front: true });
+            res.status(202).json({
+                blockNumber: blockNumber,
+                queued: 'priority',
+                entry: this.deadLetters.get(blockNumber)
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Backfill jobs with progress and ETA, newest first (?status=running|paused|cancelled|completed)
+    async listBackfillJobs(req, res) {
+        try {
+            res.json({
+                ...this.backfillJobs.getStats(),
+                jobs: this.backfillJobs.list(req.query.status || null)
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Create a job for a block range: { fromBlock, toBlock, priority (1-10, default 5), note }
+    async createBackfillJob(req, res) {
+        try {
+            if (this.ordIndexer) {
+                return res.status(409).json({
+                    error: 'Backfill jobs are not available',
+                    message: 'INGESTION_MODE=ord walks the ord server instead of the fetch queues'
+                });
+            }
+
+            const body = req.body || {};
+            let job;
+            try {
+                job = this.backfillJobs.create({
+                    fromBlock: Number(body.fromBlock),
+                    toBlock: Number(body.toBlock),
+                    priority: body.priority === undefined ? undefined : Number(body.priority),
+                    note: body.note
+                }, this.currentBlock > 0 ? this.currentBlock : Infinity);
+            } catch (error) {
+                return res.status(400).json({ error: 'Invalid backfill job', message: error.message });
+            }
+
+            console.log(`📋 Backfill job ${job.id} created: blocks ${job.fromBlock}-${job.toBlock}, priority ${job.priority}`);
+            res.status(201).json(this.backfillJobs.describe(job));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async getBackfillJob(req, res) {
+        try {
+            const job = this.backfillJobs.get(parseInt(req.params.id));
+            if (!job) {
+                return res.status(404).json({ error: 'Backfill job not found', id: req.params.id });
+            }
+            res.json(this.backfillJobs.describe(job));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Pause, resume or cancel a job; 409 when the job's state does not allow it
+    async controlBackfillJob(req, res) {
+        try {
+            const id = parseInt(req.params.id);
+            let job;
+            try {
+                job = this.backfillJobs[req.params.action](id);
+            } catch (error) {
+                return res.status(409).json({ error: 'Backfill job state conflict', message: error.message });
+            }
+
+            if (!job) {
+                return res.status(404).json({ error: 'Backfill job not found', id: req.params.id });
+            }
+            console.log(`📋 Backfill job ${id}: ${job.status}`);
+            res.json(this.backfillJobs.describe(job));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Per-proxy success, latency and health check stats
+    async getProxies(req, res) {
+        try {
+            if (!this.proxyPool) {
+                return res.json({ enabled: false, total: 0, proxies: [] });
+            }
+            res.json({ enabled: true, ...this.proxyPool.getStats() });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }    // Fetch complete block data - gets essential data from storage, optionally fetches sat numbers dynamically
     async fetchCompleteBlockData(blockNumber) {
         try {
-            // First check CSV for essential data
-            const csvData = await this.getBlockFromCSV(blockNumber);
+            // First check storage for essential data
+            const csvData = await this.getStoredBlock(blockNumber);
             if (csvData) {
                 return csvData; // Return data including sat number if available
             }
 
-            // If not in CSV, try to fetch fresh data from GeniiData
-            const inscriptionId = await this.fetchBitmapData(blockNumber);
+            // Confirmed empty blocks are never re-queried
+            if (this.storage.isEmptyBlock(blockNumber)) {
+                return null;
+            }
+
+            // If not stored yet, ask the bitmap providers
+            const result = await this.fetchBitmapData(blockNumber);
+            const inscriptionId = result.inscriptionId;
             if (inscriptionId) {
-                let satNumber = '';
+                let satNumber = result.satNumber || '';
                 
-                // Try to fetch sat number from ordinals API when getting new data
-                try {
-                    const ordinalsData = await this.fetchOrdinalsData(inscriptionId);
-                    if (ordinalsData && ordinalsData.sat) {
-                        satNumber = ordinalsData.sat;
-                        console.log(`🔢 Fetched sat number ${satNumber} for block ${blockNumber}`);
+                // Try to fetch sat number from ordinals API when the provider did not include it
+                if (!satNumber) {
+                    try {
+                        const ordinalsData = await this.fetchOrdinalsData(inscriptionId);
+                        if (ordinalsData && ordinalsData.sat) {
+                            satNumber = ordinalsData.sat;
+                            console.log(`🔢 Fetched sat number ${satNumber} for block ${blockNumber}`);
+                        }
+                    } catch (error) {
+                        console.log(`⚠️ Could not fetch sat number for ${inscriptionId}: ${error.message}`);
                     }
-                } catch (error) {
-                    console.log(`⚠️ Could not fetch sat number for ${inscriptionId}: ${error.message}`);
                 }
                 
-                // Save to CSV with sat number (if available)
-                await this.writeToCSV(blockNumber, inscriptionId, satNumber);
+                // Save with sat number (if available)
+                await this.writeBlockResult(blockNumber, inscriptionId, satNumber, { realtime: true, provider: result.provider, verdict: result.verdict });
                 
                 return {
                     blockNumber: blockNumber,
                     inscriptionId: inscriptionId,
                     satNumber: satNumber || null,
-                    dataSource: 'GeniiData',
-                    timestamp: new Date().toISOString()
+                    confirmations: this.getConfirmations(blockNumber),
+                    dataSource: result.label,
+                    ...this.formatBlockTimes(blockNumber, new Date().toISOString())
                 };
             }
 
@@ -404,9 +832,7 @@ class EnhancedBitmapTracker {
                 timeout: 10000
             };
 
-            const req = https.get(url, options, (res) => {
-                this.lastOrdinalsRequest = Date.now();
-
+            const req = (url.startsWith('http:') ? http : https).get(url, options, (res) => {
                 if (res.statusCode !== 200) {
                     console.log(`⚠️ Ordinals API returned ${res.statusCode} for ${inscriptionId}`);
                     resolve(null);
@@ -452,9 +878,7 @@ class EnhancedBitmapTracker {
                 timeout: 10000
             };
 
-            const req = https.get(url, options, (res) => {
-                this.lastOrdinalsRequest = Date.now();
-
+            const req = (url.startsWith('http:') ? http : https).get(url, options, (res) => {
                 if (res.statusCode !== 200) {
                     resolve(null);
                     return;
@@ -480,131 +904,103 @@ class EnhancedBitmapTracker {
         });
     }
 
-    // Wait for Ordinals API rate limit
+    // Fetch block info and inscription details from the Ordinals API and store them
+    async fetchBlockMetadata(blockNumber, inscriptionId) {
+        const blockInfo = await this.fetchBlockInfo(blockNumber);
+        if (!blockInfo) return null;
+
+        const inscription = inscriptionId ? await this.fetchOrdinalsData(inscriptionId) : null;
+
+        const metadata = {
+            blockNumber: blockNumber,
+            blockHash: blockInfo.hash || null,
+            blockTime: Number.isInteger(blockInfo.timestamp) ? blockInfo.timestamp : null,
+            txCount: Number.isInteger(blockInfo.transaction_count) ? blockInfo.transaction_count : null,
+            blockSize: Number.isInteger(blockInfo.total_size) ? blockInfo.total_size : null,
+            inscriptionId: inscriptionId || null,
+            inscriptionNumber: inscription && Number.isInteger(inscription.number) ? inscription.number : null,
+            contentType: inscription ? inscription.content_type || null : null,
+            fetchedAt: new Date().toISOString()
+        };
+
+        await this.storage.saveBlockMetadata(blockNumber, metadata);
+        this.blockCache.delete(blockNumber);
+        return metadata;
+    }
+
+    // Wait until no Ordinals API request went out in the last ORDINALS_REQUEST_INTERVAL, then enter ours in the ledger
     async waitForOrdinalsRateLimit() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastOrdinalsRequest;
-        const waitTime = CONFIG.ORDINALS_REQUEST_INTERVAL - timeSinceLastRequest;
-        
-        if (waitTime > 0) {
+        const upstream = upstreamOf(CONFIG.ORDINALS_API_URL);
+        for (;;) {
+            const waitTime = this.requestLedger.waitTime(upstream, CONFIG.ORDINALS_REQUEST_INTERVAL, 1);
+            if (waitTime <= 0) break;
             await new Promise(resolve => setTimeout(resolve, waitTime));
         }
-    }    // Get block data from CSV
-    async getBlockFromCSV(blockNumber) {
-        try {
-            if (!fs.existsSync(CONFIG.CSV_FILE)) {
-                return null;
-            }
+        this.requestLedger.record(upstream);
+    }
 
-            const content = fs.readFileSync(CONFIG.CSV_FILE, 'utf8');
-            const lines = content.split('\n');
-
-            for (let i = 1; i < lines.length; i++) {
-                const line = lines[i].trim();
-                if (!line) continue;
-
-                const parts = line.split(',');
-                if (parseInt(parts[0]) === blockNumber) {
-                    return {
-                        blockNumber: blockNumber,
-                        inscriptionId: parts[1] || null,
-                        satNumber: parts[2] || null,
-                        dataSource: 'CSV',
-                        timestamp: new Date().toISOString()
-                    };
-                }
-            }
+    // Shape a stored row as an API response
+    // dataSource stays 'CSV' for every backend so responses do not depend on STORAGE_BACKEND
+    formatBlockEntry(entry) {
+        return {
+            blockNumber: entry.blockNumber,
+            inscriptionId: entry.inscriptionId || null,
+            satNumber: entry.satNumber || null,
+            confirmations: this.getConfirmations(entry.blockNumber),
+            dataSource: 'CSV',
+            ...this.formatBlockTimes(entry.blockNumber)
+        };
+    }
 
-            return null;
-        } catch (error) {
-            console.error('Error reading CSV:', error);
-            return null;
-        }
-    }    // Get blocks from CSV with pagination
-    async getBlocksFromCSV(offset, limit) {
-        try {
-            if (!fs.existsSync(CONFIG.CSV_FILE)) {
-                return [];
-            }
+    // Answer for a block recorded in the empty-block ledger
+    formatEmptyBlock(blockNumber) {
+        return {
+            blockNumber: blockNumber,
+            inscriptionId: null,
+            satNumber: null,
+            hasBitmap: false,
+            status: 'no_bitmap',
+            message: `Block ${blockNumber} was checked and has no bitmap`,
+            confirmations: this.getConfirmations(blockNumber),
+            dataSource: 'EmptyLedger',
+            ...this.formatBlockTimes(blockNumber)
+        };
+    }
 
-            const content = fs.readFileSync(CONFIG.CSV_FILE, 'utf8');
-            const lines = content.split('\n').slice(1).filter(line => line.trim());
+    // Blocks on top of this one, counting itself (null while the tip height is unknown)
+    getConfirmations(blockNumber) {
+        return this.confirmations.confirmations(blockNumber, this.currentBlock);
+    }
 
-            const startIndex = offset;
-            const endIndex = Math.min(startIndex + limit, lines.length);
-            const selectedLines = lines.slice(startIndex, endIndex);
+    // Real block time and when its metadata was fetched (null until /details has been requested)
+    formatBlockTimes(blockNumber, fetchedAt = null) {
+        const metadata = this.storage.getBlockMetadata(blockNumber);
+        return {
+            timestamp: metadata && metadata.blockTime ? new Date(metadata.blockTime * 1000).toISOString() : null,
+            fetchedAt: metadata ? metadata.fetchedAt : fetchedAt
+        };
+    }
 
-            return selectedLines.map(line => {
-                const parts = line.split(',');
-                return {
-                    blockNumber: parseInt(parts[0]),
-                    inscriptionId: parts[1] || null,
-                    satNumber: parts[2] || null,
-                    dataSource: 'CSV',
-                    timestamp: new Date().toISOString()
-                };
-            });
-        } catch (error) {
-            console.error('Error reading CSV for pagination:', error);
-            return [];
-        }
-    }    // Get latest blocks from CSV
-    async getLatestBlocksFromCSV(limit) {
-        try {
-            if (!fs.existsSync(CONFIG.CSV_FILE)) {
-                return [];
-            }
+    // Get block data from storage
+    async getStoredBlock(blockNumber) {
+        const entry = this.storage.getBlock(blockNumber);
+        return entry ? this.formatBlockEntry(entry) : null;
+    }
 
-            const content = fs.readFileSync(CONFIG.CSV_FILE, 'utf8');
-            const lines = content.split('\n').slice(1).filter(line => line.trim());
+    // Get stored blocks with pagination (ascending block order)
+    async getStoredBlocks(offset, limit) {
+        return this.storage.getBlocks(offset, limit).map(entry => this.formatBlockEntry(entry));
+    }
 
-            // Get the last N lines
-            const latestLines = lines.slice(-limit).reverse();
+    // Get latest stored blocks
+    async getLatestStoredBlocks(limit) {
+        return this.storage.getLatestBlocks(limit).map(entry => this.formatBlockEntry(entry));
+    }
 
-            return latestLines.map(line => {
-                const parts = line.split(',');
-                return {
-                    blockNumber: parseInt(parts[0]),
-                    inscriptionId: parts[1] || null,
-                    satNumber: parts[2] || null,
-                    dataSource: 'CSV',
-                    timestamp: new Date().toISOString()
-                };
-            });
-        } catch (error) {
-            console.error('Error reading latest blocks from CSV:', error);
-            return [];
-        }
-    }    // Search in CSV
-    async searchInCSV(query) {
-        try {
-            if (!fs.existsSync(CONFIG.CSV_FILE)) {
-                return [];
-            }
-
-            const content = fs.readFileSync(CONFIG.CSV_FILE, 'utf8');
-            const lines = content.split('\n').slice(1).filter(line => line.trim());
-
-            const results = [];
-            for (const line of lines) {
-                const parts = line.split(',');
-                if (line.includes(query)) {
-                    results.push({
-                        blockNumber: parseInt(parts[0]),
-                        inscriptionId: parts[1] || null,
-                        satNumber: parts[2] || null,
-                        dataSource: 'CSV',
-                        timestamp: new Date().toISOString()
-                    });
-                }
-            }
-
-            return results.slice(0, 100); // Limit to 100 results
-        } catch (error) {
-            console.error('Error searching CSV:', error);
-            return [];
-        }
-    }
+    // Search storage by block number, inscription ID or sat number
+    async searchStoredBlocks(query) {
+        return this.storage.searchBlocks(query, 100).map(entry => this.formatBlockEntry(entry)); // Limit to 100 results
+    }
 
     // Trim cache to maintain size limit
     trimCache() {
@@ -619,139 +1015,64 @@ class EnhancedBitmapTracker {
                 }
             }
         }
-    }    // Initialize CSV with essential 3-column headers
-    initializeCSV() {
-        if (!this.csvInitialized) {
-            const headers = 'block_number,inscription_id,sat_number\n';
-            
-            if (fs.existsSync(CONFIG.CSV_FILE) && fs.statSync(CONFIG.CSV_FILE).size > 0) {
-                const existingContent = fs.readFileSync(CONFIG.CSV_FILE, 'utf8');
-                const firstLine = existingContent.split('\n')[0];
-                
-                // Check if we need to update the CSV format to include sat_number
-                if (firstLine.includes('address') || firstLine.includes('fee') || firstLine.includes('timestamp')) {
-                    console.log('🔄 Simplifying CSV format to essential 3-column data...');
-                    this.simplifyCSVFormat();
-                } else if (!firstLine.includes('sat_number')) {
-                    console.log('🔄 Updating CSV format to include sat_number...');
-                    this.updateCSVToIncludeSat();
-                } else {
-                    this.loadProcessedBlocks();
-                    if (!this.validateCSVOrder()) {
-                        console.log('🔄 CSV order validation triggered sorting...');
-                    }
-                }
-            } else {
-                fs.writeFileSync(CONFIG.CSV_FILE, headers);
-                console.log(`📄 Created 3-column CSV file: ${CONFIG.CSV_FILE}`);
-                this.processedBlocks = new Set();
-            }
-            
-            this.csvInitialized = true;
-        }
-    }    // Simplify CSV format to essential 3-column data only
-    simplifyCSVFormat() {
-        try {
-            const csvContent = fs.readFileSync(CONFIG.CSV_FILE, 'utf8');
-            const lines = csvContent.split('\n');
-            
-            // Create backup
-            const backupFile = CONFIG.CSV_FILE.replace('.csv', '_backup_simplify.csv');
-            fs.writeFileSync(backupFile, csvContent);
-            console.log(`📄 Backup created: ${backupFile}`);
-            
-            // Create new simplified CSV with 3 essential columns
-            const simplifiedLines = ['block_number,inscription_id,sat_number'];
-            this.processedBlocks = new Set();
-            
-            for (let i = 1; i < lines.length; i++) {
-                const line = lines[i].trim();
-                if (line) {
-                    const parts = line.split(',');
-                    const blockNumber = parts[0];
-                    const inscriptionId = parts[1] || '';
-                    const satNumber = parts[2] || ''; // Keep sat number if available
-                    
-                    if (inscriptionId && inscriptionId !== '""' && inscriptionId !== '') {
-                        // Keep essential data: block number, inscription ID, and sat number
-                        simplifiedLines.push(`${blockNumber},${inscriptionId},${satNumber}`);
-                    }
-                    
-                    const blockNum = parseInt(blockNumber);
-                    if (!isNaN(blockNum)) {
-                        this.processedBlocks.add(blockNum);
-                    }
-                }
-            }
-            
-            fs.writeFileSync(CONFIG.CSV_FILE, simplifiedLines.join('\n') + '\n');
-            console.log(`✅ Simplified CSV format: ${simplifiedLines.length - 1} entries (3-column essential data)`);
-            
-        } catch (error) {
-            this.logError('CSV_SIMPLIFY', 0, `Failed to simplify CSV format: ${error.message}`);
-            this.loadProcessedBlocks();
-        }
     }
 
-    // Update CSV format to include sat_number column
-    updateCSVToIncludeSat() {
-        try {
-            const csvContent = fs.readFileSync(CONFIG.CSV_FILE, 'utf8');
-            const lines = csvContent.split('\n');
-            
-            // Create backup
-            const backupFile = CONFIG.CSV_FILE.replace('.csv', '_backup_add_sat.csv');
-            fs.writeFileSync(backupFile, csvContent);
-            console.log(`📄 Backup created: ${backupFile}`);
-            
-            // Update CSV to include sat_number column
-            const updatedLines = ['block_number,inscription_id,sat_number'];
-            this.processedBlocks = new Set();
+    // Open the configured storage backend and load processed blocks from it
+    initializeStorage() {
+        if (!this.storageInitialized) {
+            this.storage.init();
+            this.loadProcessedBlocks();
             
-            for (let i = 1; i < lines.length; i++) {
-                const line = lines[i].trim();
-                if (line) {
-                    const parts = line.split(',');
-                    const blockNumber = parts[0];
-                    const inscriptionId = parts[1] || '';
-                    
-                    if (inscriptionId && inscriptionId !== '""' && inscriptionId !== '') {
-                        // Add empty sat_number field - will be filled when data is fetched
-                        updatedLines.push(`${blockNumber},${inscriptionId},`);
-                    }
-                    
-                    const blockNum = parseInt(blockNumber);
-                    if (!isNaN(blockNum)) {
-                        this.processedBlocks.add(blockNum);
-                    }
-                }
+            // Tools open the same files without rewriting them, so compaction is the tracker's call
+            if (this.storage.needsCompaction()) {
+                console.log('🔄 CSV order validation triggered compaction...');
+                this.storage.compact();
             }
             
-            fs.writeFileSync(CONFIG.CSV_FILE, updatedLines.join('\n') + '\n');
-            console.log(`✅ Updated CSV format: ${updatedLines.length - 1} entries (added sat_number column)`);
+            // Pick up edits made to the data outside the tracker
+            this.storage.watch(() => {
+                this.storage.blockNumbers().forEach(blockNumber => this.processedBlocks.add(blockNumber));
+                this.blockCache.clear();
+            });
             
-        } catch (error) {
-            this.logError('CSV_UPDATE', 0, `Failed to update CSV format: ${error.message}`);
-            this.loadProcessedBlocks();
+            this.storageInitialized = true;
         }
-    }    // Simplified writeToCSV with essential 3-column data
-    async writeToCSV(blockNumber, inscriptionId, satNumber = '') {
+    }
+
+    // Record the result of a bitmap lookup: a row for a bitmap, a ledger entry for an empty block
+    // options.provider (the provider that answered) is stored as the block's source record, together
+    // with options.verdict when the answer was already judged (otherwise claim verification does it later)
+    // options.recheck: the block's re-check at CONFIRMATIONS_REQUIRED replaced an earlier answer
+    // Every answer is stored through here (provider lookups, re-checks and the ord indexer), so this is
+    // where inscriptions from another network are turned away: it throws "Wrong network" first
+    async writeBlockResult(blockNumber, inscriptionId, satNumber = '', options = {}) {
+        if (inscriptionId) await this.assertInscriptionNetwork(inscriptionId, options.provider);
+        
         this.processedBlocks.add(blockNumber);
+        if (!options.recheck && !this.ordIndexer && !this.confirmations.isDeep(blockNumber, this.currentBlock)) {
+            this.confirmations.markShallow(blockNumber, this.currentBlock);
+        }
+        if (this.deadLetters.resolve(blockNumber)) {
+            console.log(`♻️ Block ${blockNumber}: recovered from the failed list`);
+        }
+        
+        if (options.provider) {
+            await this.storage.saveBlockSource(blockNumber, {
+                blockNumber: blockNumber,
+                provider: options.provider,
+                inscriptionId: inscriptionId || null,
+                answeredAt: new Date().toISOString(),
+                verdict: options.verdict || null
+            });
+        }
         
         if (inscriptionId) {
-            // Write 3-column data: block number, inscription ID, and sat number (empty for now)
-            const row = `${blockNumber},${inscriptionId},${satNumber}\n`;
-            fs.appendFileSync(CONFIG.CSV_FILE, row);
-              console.log(`📝 ✅ Block ${blockNumber}: ${inscriptionId}${satNumber ? ` (sat: ${satNumber})` : ''}`);
+            // Write 3-column data: block number, inscription ID, and sat number (if the provider had it)
+            await this.storage.writeBlock(blockNumber, inscriptionId, satNumber, options);
+              console.log(`📝 ✅ Block ${blockNumber}: ${inscriptionId}${satNumber ? ` (sat: ${satNumber})` : ''}${options.provider ? ` via ${options.provider}` : ''}`);
             
             // Cache the essential data (including sat number if available)
-            const essentialData = {
-                blockNumber: blockNumber,
-                inscriptionId: inscriptionId,
-                satNumber: satNumber || null,
-                dataSource: 'CSV',
-                timestamp: new Date().toISOString()
-            };
+            const essentialData = this.formatBlockEntry({ blockNumber, inscriptionId, satNumber });
             
             this.blockCache.set(blockNumber, essentialData);
             this.trimCache();
@@ -764,39 +1085,67 @@ class EnhancedBitmapTracker {
             this.scheduledSortCheck++;
             if (this.scheduledSortCheck >= 50) {
                 this.scheduledSortCheck = 0;
-                setTimeout(() => this.sortCSVFile(), 1000);
+                setTimeout(() => this.storage.maintain(), 1000);
             }
         } else {
             // No bitmap found - this is a legitimate result, not an error
+            await this.storage.markEmptyBlock(blockNumber);
             console.log(`📝 📭 Block ${blockNumber}: no bitmap (confirmed empty)`);
         }
     }// Start the enhanced server
     async start() {
         console.log('🚀 Starting Enhanced Bitmap Block Tracker...');
-        console.log(`📁 CSV: ${path.resolve(CONFIG.CSV_FILE)}`);
+        console.log(`🌐 Network: ${CONFIG.NETWORK}`);
+        console.log(`📁 Storage: ${this.storage.describe()}`);
         console.log(`🔑 Keys: ${this.apiKeys.length} | Rate limit: ${CONFIG.MAX_REQUESTS_PER_DAY_PER_KEY}/day`);
         console.log(`📚 Range: ${CONFIG.HISTORICAL_START_BLOCK} to current`);
         
-        this.initializeCSV();
-        this.connectWebSocket();
+        this.initializeStorage();
+        this.connectChainSource();
+        this.verifyRecordedHashes();
         
         // Start the Express server with dynamic port selection
         const selectedPort = await this.startServerWithPortSelection();
         
         // Start processing after server is ready
         setTimeout(() => {
-            this.startProcessing();
+            if (this.ordIndexer) this.ordIndexer.start();
+            else this.startProcessing();
         }, 2000);
+
+        if (CONFIG.SAT_ENRICHMENT_ENABLED) {
+            this.satEnrichment.start();
+        }
+
+        if (CONFIG.CLAIM_VERIFICATION_ENABLED) {
+            this.claimVerification.start();
+        }
+
+        if (this.proxyPool) {
+            this.proxyPool.start();
+        }
         
         // Status and save intervals
         setInterval(() => this.printStatus(), 5 * 60 * 1000);
+        if (!this.ordIndexer) {
+            setInterval(() => this.retryDueFailedBlocks(), 60 * 1000);
+        }
         setInterval(() => this.saveBackfillProgress(), 10 * 60 * 1000);
+        setInterval(() => this.storage.compact(), CONFIG.CSV_COMPACTION_INTERVAL);
 
         // Graceful shutdown
         process.on('SIGINT', () => {
             console.log('\n🛑 Shutting down gracefully...');
             this.saveBackfillProgress();
-            if (this.ws) this.ws.close();
+            if (this.keyPool) this.keyPool.save();
+            this.backfillJobs.save();
+            this.satEnrichment.stop();
+            this.claimVerification.stop();
+            if (this.proxyPool) this.proxyPool.stop();
+            if (this.ordIndexer) this.ordIndexer.stop();
+            this.storage.close();
+            this.shuttingDown = true;
+            this.chainSource.close();
             console.log('👋 Goodbye!');
             process.exit(0);
         });
@@ -862,7 +1211,7 @@ class EnhancedBitmapTracker {
     }
 
     // Copy all the other methods from the original class
-    // [Previous methods remain the same: initializeKeyUsage, getNextAvailableKey, etc.]
+    // [Previous methods remain the same: initializeKeyUsage, getRequestHeaders, etc.]
     
     initializeKeyUsage() {
         const validKeys = this.apiKeys.filter(key => {
@@ -879,52 +1228,38 @@ class EnhancedBitmapTracker {
             return isValid;
         });
         
-        if (validKeys.length === 0) {
+        if (validKeys.length === 0 && CONFIG.INGESTION_MODE !== 'ord' && CONFIG.BITMAP_PROVIDERS.includes('geniidata')) {
             console.error('❌ No valid API keys found! Please check your .env file.');
                  process.exit(1);
         }
         
         this.apiKeys = validKeys;
         
-        this.apiKeys.forEach((key, index) => {
-            this.keyUsage[key] = {
-                requestsToday: 0,
-                lastRequestTime: 0,
-                dailyResetTime: this.getNextMidnight(),
-                userAgent: this.userAgents[index % this.userAgents.length] || 'Enhanced-Bitmap-Tracker/2.0',
-                headerRotation: index % 3
-            };
+        try {
+            assertTimeZone(CONFIG.QUOTA_RESET_TIMEZONE);
+        } catch (error) {
+            console.error(`❌ QUOTA_RESET_TIMEZONE: ${error.message}`);
+            process.exit(1);
+        }
+        
+        this.keyPool = new ApiKeyPool({
+            keys: this.apiKeys,
+            userAgents: this.userAgents,
+            requestsPerSecond: CONFIG.MAX_REQUESTS_PER_SECOND,
+            dailyLimit: CONFIG.MAX_REQUESTS_PER_DAY_PER_KEY,
+            dailyBuffer: CONFIG.DAILY_LIMIT_BUFFER,
+            cooldown: CONFIG.KEY_COOLDOWN,
+            nextReset: () => this.getNextMidnight(),
+            stateFile: CONFIG.KEY_USAGE_FILE
         });
+        this.keyUsage = this.keyPool.usage;
+        if (this.keyPool.restored > 0) {
+            console.log(`💾 Restored today's usage for ${this.keyPool.restored} API key${this.keyPool.restored > 1 ? 's' : ''} from ${CONFIG.KEY_USAGE_FILE}`);
+        }
           console.log(`🔑 Loaded ${this.apiKeys.length} API key${this.apiKeys.length > 1 ? 's' : ''}`);
         console.log(`📈 Daily capacity: ${this.apiKeys.length * CONFIG.MAX_REQUESTS_PER_DAY_PER_KEY} requests/day`);
     }
 
-    getNextAvailableKey() {
-        const now = Date.now();
-        
-        for (let i = 0; i < this.apiKeys.length; i++) {
-            const keyIndex = (this.currentKeyIndex + i) % this.apiKeys.length;
-            const key = this.apiKeys[keyIndex];
-            const usage = this.keyUsage[key];
-            
-            if (now >= usage.dailyResetTime) {
-                usage.requestsToday = 0;
-                usage.dailyResetTime = this.getNextMidnight();
-                console.log(`🔄 Daily limit reset for API key ${keyIndex + 1}`);
-            }
-            
-            const canUseKey = usage.requestsToday < (CONFIG.MAX_REQUESTS_PER_DAY_PER_KEY - CONFIG.DAILY_LIMIT_BUFFER);
-            const rateLimitOk = (now - usage.lastRequestTime) >= CONFIG.REQUEST_INTERVAL;
-            
-            if (canUseKey && rateLimitOk) {
-                this.currentKeyIndex = (keyIndex + 1) % this.apiKeys.length;
-                return { key, userAgent: usage.userAgent, keyIndex };
-            }
-        }
-        
-        return null;
-    }
-
     getRequestHeaders(keyInfo, usage) {
         const headers = {
             'Accept': 'application/json',
@@ -954,21 +1289,12 @@ class EnhancedBitmapTracker {
     loadProcessedBlocks() {
         this.processedBlocks = new Set();
         try {
-            const csvContent = fs.readFileSync(CONFIG.CSV_FILE, 'utf8');
-            const lines = csvContent.split('\n');
+            this.storage.blockNumbers().forEach(blockNumber => this.processedBlocks.add(blockNumber));
             
-            for (let i = 1; i < lines.length; i++) {
-                const line = lines[i].trim();
-                if (line) {
-                    const parts = line.split(',');
-                    const blockNumber = parseInt(parts[0]);
-                    if (!isNaN(blockNumber)) {
-                        this.processedBlocks.add(blockNumber);
-                    }
-                }
-            }
+            // Confirmed-empty blocks are processed too, so gap detection skips them
+            this.storage.forEachEmptyBlock(0, Infinity, blockNumber => this.processedBlocks.add(blockNumber));
             
-            console.log(`📊 Loaded ${this.processedBlocks.size} processed blocks from 3-column CSV`);
+            console.log(`📊 Loaded ${this.processedBlocks.size} processed blocks (${this.storage.countBlocks()} bitmaps, ${this.storage.countEmptyBlocks()} confirmed empty)`);
         } catch (error) {
             this.logError('SYSTEM', 0, `Failed to load processed blocks: ${error.message}`);
             this.processedBlocks = new Set();
@@ -976,179 +1302,100 @@ class EnhancedBitmapTracker {
 
     // Include all other original methods here...
     
+    // Next daily quota reset: midnight in QUOTA_RESET_TIMEZONE (the provider's day, UTC by default)
     getNextMidnight() {
-        const tomorrow = new Date();
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        tomorrow.setHours(0, 0, 0, 0);
-        return tomorrow.getTime();
+        return nextMidnight(CONFIG.QUOTA_RESET_TIMEZONE);
     }
     
+    // Resolve a block through the provider chain: { inscriptionId, satNumber, provider, label }
     async fetchBitmapData(blockNumber) {
-        // Check real-time usage first
-        const keyInfo = await this.getNextAvailableKeyWithFallback();
-        if (!keyInfo) {
-            throw new Error('Rate limit exceeded - all API keys exhausted');
+        return this.providers.fetchBitmap(blockNumber);
+    }
+    
+    // Whether an inscription's reveal transaction is on CONFIG.NETWORK: true, false only when it was found
+    // on another network, or null when that cannot be told (not found anywhere yet, a lookup failed, the ID
+    // is malformed, or the chain is the mock chain)
+    async checkInscriptionNetwork(inscriptionId) {
+        const parsed = parseInscriptionId(inscriptionId);
+        if (!parsed) return null;
+        
+        const network = await this.transactionNetworks.locate(parsed.txid);
+        return network === null ? null : network === CONFIG.NETWORK;
+    }
+    
+    // Turn away an answer whose inscription was found on another network (see checkInscriptionNetwork)
+    async assertInscriptionNetwork(inscriptionId, provider) {
+        if (await this.checkInscriptionNetwork(inscriptionId) === false) {
+            const network = this.transactionNetworks.cached(parseInscriptionId(inscriptionId).txid);
+            throw new Error(`Wrong network: ${provider || 'the provider'} answered ${inscriptionId}, which is on ${network}, not ${CONFIG.NETWORK}`);
         }
+    }
 
-        // Check real-time usage to avoid hitting limits
-        const usageInfo = await this.checkRealTimeUsage(keyInfo.key);
-        if (usageInfo && usageInfo.requestsLeft <= 5) {
-            console.log(`⏸️ API Key has only ${usageInfo.requestsLeft} requests left - switching or waiting`);
-            throw new Error('Rate limit exceeded - API response');
-        }
-        
-        await this.waitForRateLimit();
-        
-        return new Promise((resolve, reject) => {
-            const url = `${CONFIG.GENIIDATA_API_URL}${blockNumber}`;
-            const usage = this.keyUsage[keyInfo.key];
-            const proxy = this.getNextProxy();
-            
-            let options = {
-                headers: this.getRequestHeaders(keyInfo, usage),
-                timeout: 15000
-            };
+    // Wait for a GeniiData key that may send now (its own token bucket, daily quota and cooldown)
+    async acquireGeniiDataKey() {
+        for (;;) {
+            const keyInfo = await this.keyPool.acquire();
 
-            // Add proxy configuration if available
-            if (proxy) {
-                const proxyUrl = new URL(proxy);
-                options.agent = new (require('https').Agent)({
-                    proxy: {
-                        protocol: proxyUrl.protocol,
-                        host: proxyUrl.hostname,
-                        port: proxyUrl.port
-                    }
-                });
-                console.log(`🔄 Using proxy: ${proxy} for block ${blockNumber}`);
+            // Line our counter up with GeniiData's own once it is KEY_USAGE_RECONCILE_INTERVAL old (always after a restart)
+            if (!this.keyPool.needsReconcile(keyInfo, CONFIG.KEY_USAGE_RECONCILE_INTERVAL)) {
+                return { keyInfo, headers: this.getRequestHeaders(keyInfo, this.keyUsage[keyInfo.key]) };
+            }
+            
+            const usageInfo = await this.checkRealTimeUsage(keyInfo.key);
+            this.keyPool.reconcile(keyInfo, usageInfo);
+            if (usageInfo && usageInfo.requestsLeft <= 5) {
+                console.log(`⏸️ API key ${keyInfo.keyIndex + 1} has only ${usageInfo.requestsLeft} requests left - switching keys`);
+                this.keyPool.exhaust(keyInfo);
+                continue;
             }
 
-            const req = https.get(url, options, (res) => {
-                const now = Date.now();
-                usage.lastRequestTime = now;
-                usage.requestsToday++;
-                this.lastRequestTime = now;
-                this.requestsToday++;
-                
-                // Enhanced rate limit detection for HTTP status codes
-                if (res.statusCode === 429) {
-                    if (proxy) {
-                        this.markProxyFailed(proxy);
-                        console.log(`🔄 Rate limit hit with proxy ${proxy} - will try next proxy`);
-                    }
-                    reject(new Error('Rate limit exceeded - HTTP 429'));
-                    return;
-                } else if (res.statusCode === 403) {
-                    if (proxy) {
-                        this.markProxyFailed(proxy);
-                        console.log(`🔄 Forbidden with proxy ${proxy} - will try next proxy`);
-                    }
-                    reject(new Error('Rate limit exceeded - HTTP 403 (Forbidden)'));
-                    return;
-                } else if (res.statusCode !== 200) {
-                    reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
-                    return;
-                }
-                
-                const contentType = res.headers['content-type'];
-                if (!contentType || !contentType.includes('application/json')) {
-                    reject(new Error(`Invalid content type: ${contentType || 'unknown'}`));
-                    return;
-                }
-                
-                let stream = res;
-                const encoding = res.headers['content-encoding'];
-                
-                if (encoding === 'gzip') {
-                    stream = res.pipe(zlib.createGunzip());
-                } else if (encoding === 'deflate') {
-                    stream = res.pipe(zlib.createInflate());
-                } else if (encoding === 'br') {
-                    stream = res.pipe(zlib.createBrotliDecompress());
-                }
-                
-                let data = '';
-                stream.on('data', chunk => data += chunk.toString('utf8'));
-                stream.on('end', () => {
-                    if (!data || data.trim().length === 0) {
-                        reject(new Error('Empty response received'));
-                        return;
-                    }
-                    
-                    try {
-                        const jsonData = JSON.parse(data);
-                        
-                        if (typeof jsonData !== 'object' || jsonData === null) {
-                            reject(new Error('Invalid JSON structure'));
-                            return;
-                        }
-                        
-                        // Enhanced rate limit detection for API response codes
-                        if (jsonData.code === 429 || 
-                            jsonData.code === 1003 || 
-                            (jsonData.message && jsonData.message.toLowerCase().includes('rate limit')) ||
-                            (jsonData.message && jsonData.message.toLowerCase().includes('too many requests')) ||
-                            (jsonData.message && jsonData.message.toLowerCase().includes('quota exceeded')) ||
-                            (jsonData.error && jsonData.error.toLowerCase().includes('rate limit'))) {
-                            
-                            if (proxy) {
-                                console.log(`🔄 Rate limit detected with proxy ${proxy} - rotating to next proxy`);
-                                // Don't mark as failed immediately for rate limits, just rotate
-                            }
-                            reject(new Error('Rate limit exceeded - API response'));
-                            return;
-                        }
-                        
-                        if (jsonData.code === 0 && jsonData.data && jsonData.data.length > 0) {
-                            resolve(jsonData.data[0].inscription_id);
-                        } else if (jsonData.code === 1001) {
-                            reject(new Error(`Invalid API key (Key ${keyInfo.keyIndex + 1})`));
-                        } else if (jsonData.code === 0 && (!jsonData.data || jsonData.data.length === 0)) {
-                            // This is a legitimate "no bitmap found" response
-                            resolve(null);
-                        } else {
-                            // Log unexpected response structure for debugging
-                            console.log(`🔍 Unexpected API response for block ${blockNumber}:`, jsonData);
-                            resolve(null);
-                        }
-                    } catch (error) {
-                        reject(new Error(`JSON Parse Error: ${error.message}`));
-                    }
-                });
-                
-                stream.on('error', (error) => {
-                    reject(new Error(`Decompression Error: ${error.message}`));
-                });
-            });
+            return { keyInfo, headers: this.getRequestHeaders(keyInfo, this.keyUsage[keyInfo.key]) };
+        }
+    }
 
-            req.on('error', (error) => {
-                if (proxy) {
-                    this.markProxyFailed(proxy);
-                }
-                reject(new Error(`Request Error: ${error.message}`));
-            });
-            
-            req.setTimeout(15000, () => {
-                req.destroy();
-                if (proxy) {
-                    this.markProxyFailed(proxy);
-                }
-                reject(new Error('Request timeout (15s)'));
-            });
-        });
+    recordGeniiDataRequest(keyInfo) {
+        this.keyPool.record(keyInfo);
+        this.requestLedger.record(upstreamOf(CONFIG.GENIIDATA_API_URL), this.keyPool.label(keyInfo.key));
     }
 
-    async waitForRateLimit() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        const waitTime = CONFIG.REQUEST_INTERVAL - timeSinceLastRequest;
-        
-        if (waitTime > 0) {
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
+    // GeniiData rate-limited one key; the others carry on
+    rejectGeniiDataKey(keyInfo, reason) {
+        this.keyPool.penalize(keyInfo, reason);
+    }
+
+    // True while any key is below its daily limit (ignores per-second rates and cooldowns)
+    hasGeniiDataQuota() {
+        return this.keyPool.hasQuota();
+    }
+
+    // GeniiData quota pauses only apply when no other provider can take over
+    dependsOnGeniiDataQuota() {
+        return this.providers.names().every(name => name === 'geniidata');
+    }
+
+    // Whether there is a GeniiData quota for the backfill planner: validated keys, a geniidata provider
+    // and the lookup queues (INGESTION_MODE=ord has none)
+    usesGeniiDataQuota() {
+        return Boolean(this.keyPool) && this.apiKeys.length > 0 && !this.ordIndexer && this.providers.names().includes('geniidata');
     }
 
-    async getNextAvailableKeyWithFallback() {
-        return this.getNextAvailableKey();
+    // INGESTION_MODE=ord: walk the ord server's blocks instead of running the lookup queues
+    createOrdIndexer() {
+        return new OrdIndexer({
+            client: new OrdClient({ baseUrl: CONFIG.ORD_API_URL, requestInterval: CONFIG.ORD_REQUEST_INTERVAL, ledger: this.requestLedger }),
+            stateFile: CONFIG.ORD_INDEXER_STATE_FILE,
+            startHeight: CONFIG.HISTORICAL_START_BLOCK,
+            scanBlocks: CONFIG.ORD_SCAN_BLOCKS,
+            pollInterval: CONFIG.ORD_POLL_INTERVAL,
+            hasBitmap: blockNumber => this.storage.getBlock(blockNumber) !== null,
+            onClaim: (blockNumber, claim, options) => this.writeBlockResult(blockNumber, claim.inscriptionId, claim.satNumber || '', { realtime: options.realtime, provider: 'ord', verdict: options.verdict }),
+            onNoClaim: async (blockNumber, options) => {
+                if (!this.storage.isEmptyBlock(blockNumber)) {
+                    await this.writeBlockResult(blockNumber, null, '', { provider: 'ord', verdict: options.verdict });
+                }
+            },
+            logError: this.logError.bind(this)
+        });
     }
 
     logError(level, blockNumber, message) {
@@ -1184,7 +1431,7 @@ class EnhancedBitmapTracker {
 
     saveBackfillProgress() {
         try {
-            fs.writeFileSync(CONFIG.PROGRESS_FILE, JSON.stringify(this.backfillProgress, null, 2));
+            writeFileAtomic(CONFIG.PROGRESS_FILE, JSON.stringify(this.backfillProgress, null, 2));
         } catch (error) {
             console.error('❌ Could not save backfill progress:', error.message);
         }
@@ -1201,39 +1448,32 @@ class EnhancedBitmapTracker {
         }
     }
 
-    getCurrentBlockHeight() {
-        return new Promise((resolve, reject) => {
-            const req = https.get('https://mempool.space/api/blocks/tip/height', (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        const height = parseInt(data.trim());
-                        resolve(height);
-                    } catch (error) {
-                        reject(error);
-                    }
-                });
-            });
-            
-            req.on('error', reject);
-            req.setTimeout(10000, () => {
-                req.destroy();
-                reject(new Error('Timeout'));
-            });
-        });
+    async getCurrentBlockHeight() {
+        return this.chainSource.getTipHeight();
+    }
+
+    // Hash of the block at a height on the current best chain, or null when it cannot be looked up
+    async fetchBlockHash(height) {
+        try {
+            return await this.chainSource.getBlockHash(height);
+        } catch (error) {
+            this.logError('REORG', height, `Block hash lookup failed: ${error.message}`);
+            return null;
+        }
     }
 
     queueHistoricalBlocks() {
+        // Blocks not CONFIRMATIONS_REQUIRED deep yet are left to the realtime queue
         const startBlock = this.backfillProgress.lastProcessedBlock + 1;
-        const endBlock = Math.min(startBlock + 1000, this.currentBlock);
+        const endBlock = Math.min(startBlock + 1000, this.currentBlock - CONFIG.CONFIRMATIONS_REQUIRED + 1);
         
         console.log(`📚 Analyzing blocks ${startBlock} to ${endBlock} for gaps...`);
         this.detectAndQueueGaps();
         
+        const queued = new Set(this.backfillQueue);
         const newBlocks = [];
         for (let block = startBlock; block <= endBlock; block++) {
-            if (!this.processedBlocks.has(block)) {
+            if (this.needsBackfill(block, queued)) {
                 newBlocks.push(block);
             }
         }
@@ -1245,10 +1485,11 @@ class EnhancedBitmapTracker {
     }
 
     detectAndQueueGaps() {
+        const queued = new Set(this.backfillQueue);
         const gapsFound = [];
         
         for (let block = CONFIG.HISTORICAL_START_BLOCK; block <= this.backfillProgress.lastProcessedBlock; block++) {
-            if (!this.processedBlocks.has(block)) {
+            if (this.needsBackfill(block, queued)) {
                 gapsFound.push(block);
             }
         }
@@ -1264,10 +1505,19 @@ class EnhancedBitmapTracker {
         }
     }
 
-    async processBlock(blockNumber, isPriority = false) {
+    // Whether the backfill should queue a block: not stored, not queued or held by a worker already, and
+    // not in the dead-letter queue (failed blocks come back only through retryDueFailedBlocks)
+    needsBackfill(blockNumber, queued) {
+        return !this.processedBlocks.has(blockNumber) && !queued.has(blockNumber)
+            && !this.inFlight.has(blockNumber) && !this.deadLetters.has(blockNumber);
+    }
+
+    // options.jobId: the block belongs to a backfill job and does not move the regular backfill's progress
+    // options.recheck: look a stored block up again at CONFIRMATIONS_REQUIRED (see applyRecheck)
+    async processBlock(blockNumber, isPriority = false, options = {}) {
         const prefix = isPriority ? '🔥' : '📚';
         
-        if (this.processedBlocks.has(blockNumber)) {
+        if (this.processedBlocks.has(blockNumber) && !options.recheck) {
             console.log(`⏭️ ${prefix} Block ${blockNumber}: already processed`);
             return true;
         }
@@ -1276,20 +1526,19 @@ class EnhancedBitmapTracker {
         while (retries < CONFIG.MAX_RETRIES) {
             try {
                 if (!this.canMakeRequest()) {
-                    const totalDailyLimit = CONFIG.MAX_REQUESTS_PER_DAY_PER_KEY * this.apiKeys.length;
-                    if (this.requestsToday >= totalDailyLimit) {
-                        console.log(`⏸️ All API keys exhausted (${totalDailyLimit} total requests)`);
-                        return false;
-                    }
-                    
-                    await new Promise(resolve => setTimeout(resolve, CONFIG.REQUEST_INTERVAL));
-                    continue;
+                    console.log(`⏸️ No bitmap provider available (${this.providers.describe()}) - all API keys exhausted`);
+                    return false;
                 }
                 
-                const inscriptionId = await this.fetchBitmapData(blockNumber);
-                await this.writeToCSV(blockNumber, inscriptionId);
+                const result = await this.fetchBitmapData(blockNumber);
+                this.backfillPlanner.recordLookup(isPriority ? 'realtime' : 'backfill');
+                if (options.recheck) {
+                    await this.applyRecheck(blockNumber, result);
+                    return true;
+                }
+                await this.writeBlockResult(blockNumber, result.inscriptionId, result.satNumber || '', { realtime: isPriority, provider: result.provider, verdict: result.verdict });
                 
-                if (!isPriority && blockNumber > this.backfillProgress.lastProcessedBlock) {
+                if (!isPriority && !options.jobId && blockNumber > this.backfillProgress.lastProcessedBlock) {
                     this.backfillProgress.lastProcessedBlock = blockNumber;
                     this.backfillProgress.totalProcessed++;
                     if (this.backfillProgress.totalProcessed % 50 === 0) {
@@ -1302,27 +1551,30 @@ class EnhancedBitmapTracker {
                 retries++;
                 const backoffDelay = Math.min(CONFIG.RETRY_DELAY * Math.pow(2, retries - 1), 30000);
                 
-                // Enhanced rate limit handling
+                // Rate limits are handled per key by the key pool; reaching here means no key can send
+                // right now, so hand the block back and let the fetch worker wait for the next free key
                 if (error.message.includes('Rate limit exceeded')) {
-                    console.log(`⏸️ ${prefix} Block ${blockNumber}: Rate limit hit - waiting 5 minutes`);
-                    await new Promise(resolve => setTimeout(resolve, 300000)); // 5 minutes
-                    retries--; // Don't count rate limit errors as retry attempts
-                    continue;
-                } else if (error.message.includes('HTTP 429') || error.message.includes('HTTP 403')) {
-                    console.log(`⏸️ ${prefix} Block ${blockNumber}: Rate limit (${error.message}) - waiting 10 minutes`);
-                    await new Promise(resolve => setTimeout(resolve, 600000)); // 10 minutes
-                    retries--; // Don't count rate limit errors as retry attempts
-                    continue;
+                    console.log(`⏸️ ${prefix} Block ${blockNumber}: ${error.message} - requeued`);
+                    return false;
+                } else if (error.message.includes('Wrong network')) {
+                    this.logError('NETWORK', blockNumber, error.message);
+                    if (options.recheck) return this.dropRecheck(blockNumber, error.message);
+                    this.addFailedBlock(blockNumber, 'wrong_network', error.message, isPriority);
+                    return true; // Parked in the dead-letter queue; retried on its schedule
                 } else if (error.message.includes('Invalid API key')) {
                     this.logError('API_KEY_ERROR', blockNumber, error.message);
-                    return true; // Skip this block due to API key issue
+                    if (options.recheck) return this.dropRecheck(blockNumber, error.message);
+                    this.addFailedBlock(blockNumber, 'invalid_api_key', error.message, isPriority);
+                    return true; // Parked in the dead-letter queue; retried on its schedule
                 } else {
                     this.logError('FETCH_ERROR', blockNumber, `${error.message} - attempt ${retries}/${CONFIG.MAX_RETRIES}`);
                     await new Promise(resolve => setTimeout(resolve, backoffDelay));
                 }
                 
                 if (retries >= CONFIG.MAX_RETRIES) {
+                    if (options.recheck) return this.dropRecheck(blockNumber, error.message);
                     this.logError('FAILED', blockNumber, `Failed after ${CONFIG.MAX_RETRIES} attempts`);
+                    this.addFailedBlock(blockNumber, 'max_retries', error.message, isPriority);
                     return true;
                 }
             }
@@ -1331,96 +1583,74 @@ class EnhancedBitmapTracker {
         return true;
     }
 
-    canMakeRequest() {
-        return this.getNextAvailableKey() !== null;
+    // Compare the re-check's answer with the stored one and replace the stored answer if it changed
+    async applyRecheck(blockNumber, result) {
+        const stored = this.storage.getBlock(blockNumber);
+        const before = stored ? stored.inscriptionId : null;
+        const after = result.inscriptionId || null;
+        const depth = this.getConfirmations(blockNumber);
+        
+        if (before === after && this.processedBlocks.has(blockNumber)) {
+            console.log(`✔️ Block ${blockNumber}: unchanged at ${depth} confirmations (${after || 'no bitmap'})`);
+        } else {
+            if (after) await this.assertInscriptionNetwork(after, result.provider); // Before the first answer is dropped
+            console.log(`🔁 Block ${blockNumber}: ${before || 'no bitmap'} → ${after || 'no bitmap'} at ${depth} confirmations`);
+            this.logError('RECHECK', blockNumber, `Answer changed at ${depth} confirmations: ${before || 'no bitmap'} -> ${after || 'no bitmap'}`);
+            await this.storage.invalidateBlocks([blockNumber]);
+            this.processedBlocks.delete(blockNumber);
+            this.blockCache.delete(blockNumber);
+            await this.writeBlockResult(blockNumber, after, result.satNumber || '', { realtime: true, provider: result.provider, verdict: result.verdict, recheck: true });
+        }
+        this.confirmations.resolve(blockNumber);
+    }
+    
+    // A re-check that failed keeps the first answer; it is not retried
+    dropRecheck(blockNumber, message) {
+        this.logError('RECHECK', blockNumber, `Re-check failed, keeping the first answer: ${message}`);
+        this.confirmations.resolve(blockNumber);
+        return true;
     }
 
-    async sortCSVFile() {
-        try {
-            console.log('🔄 Sorting CSV to maintain sequential order...');
-            
-            const csvFile = CONFIG.CSV_FILE;
-            if (!fs.existsSync(csvFile)) return;
-
-            const content = fs.readFileSync(csvFile, 'utf8');
-            const lines = content.split('\n');
-            
-            if (lines.length < 3) return;
-
-            const header = lines[0];
-            const dataLines = lines.slice(1).filter(line => line.trim() !== '');
-            
-            const parsedData = dataLines.map(line => {
-                const parts = line.split(',');
-                return {
-                    blockNumber: parseInt(parts[0]),
-                    line: line
-                };
-            }).filter(entry => !isNaN(entry.blockNumber));
-
-            parsedData.sort((a, b) => a.blockNumber - b.blockNumber);
+    canMakeRequest() {
+        return this.providers.canFetch();
+    }
 
-            const uniqueData = [];
-            const seenBlocks = new Set();
-            
-            for (const entry of parsedData) {
-                if (!seenBlocks.has(entry.blockNumber)) {
-                    uniqueData.push(entry.line);
-                    seenBlocks.add(entry.blockNumber);
-                }
-            }
+    // Park a block that ran out of attempts in the dead-letter queue
+    addFailedBlock(blockNumber, reason, message, isPriority) {
+        const entry = this.deadLetters.add(blockNumber, { reason, message, priority: isPriority });
+        console.log(`🪦 Block ${blockNumber}: moved to the failed list (${reason}, failure ${entry.failures}) - next retry ${entry.nextRetryAt}`);
+    }
 
-            const sortedLines = [header, ...uniqueData];
-            fs.writeFileSync(csvFile, sortedLines.join('\n') + '\n');
-            
-            console.log(`📊 CSV sorted: ${uniqueData.length} entries in sequential order`);
-            
-        } catch (error) {
-            this.logError('CSV_SORT', 0, `Failed to sort CSV: ${error.message}`);
+    // Hand a failed block back to the fetch queues (priority blocks and manual retries go to the priority queue)
+    requeueFailedBlock(blockNumber, options = {}) {
+        const entry = this.deadLetters.get(blockNumber);
+        if (!entry) return;
+
+        if (options.front || entry.priority) {
+            this.priorityQueue = this.priorityQueue.filter(block => block !== blockNumber);
+            if (options.front) this.priorityQueue.unshift(blockNumber);
+            else this.priorityQueue.push(blockNumber);
+        } else if (!this.backfillQueue.includes(blockNumber)) {
+            this.backfillQueue.unshift(blockNumber);
         }
+        this.deadLetters.markQueued(blockNumber);
     }
 
-    validateCSVOrder() {
-        try {
-            const csvFile = CONFIG.CSV_FILE;
-            if (!fs.existsSync(csvFile)) return true;
-
-            const content = fs.readFileSync(csvFile, 'utf8');
-            const lines = content.split('\n').slice(1).filter(line => line.trim() !== '');
-            
-            if (lines.length <= 1) return true;
-            
-            let previousBlock = -1;
-            let outOfOrderCount = 0;
-            
-            for (const line of lines) {
-                const blockNumber = parseInt(line.split(',')[0]);
-                if (!isNaN(blockNumber)) {
-                    if (blockNumber <= previousBlock) {
-                        outOfOrderCount++;
-                    }
-                    previousBlock = blockNumber;
-                }
-            }
-
-            if (outOfOrderCount > 0) {
-                console.log(`⚠️ CSV has ${outOfOrderCount} out-of-order entries, scheduling sort...`);
-                setTimeout(() => this.sortCSVFile(), 2000);
-                return false;
-            }
+    // Re-queue every failed block whose retry time has come
+    retryDueFailedBlocks() {
+        const due = this.deadLetters.due();
+        if (due.length === 0) return;
 
-            return true;
-        } catch (error) {
-            this.logError('CSV_VALIDATION', 0, `Failed to validate CSV order: ${error.message}`);
-            return false;
-        }
+        console.log(`♻️ Retrying ${due.length} failed block${due.length > 1 ? 's' : ''}: ${due.map(entry => entry.blockNumber).join(', ')}`);
+        due.forEach(entry => this.requeueFailedBlock(entry.blockNumber));
     }
 
     async autoCommitToGit(blockNumber, inscriptionId) {
-        if (!CONFIG.AUTO_COMMIT_CSV) return;
+        if (!CONFIG.AUTO_COMMIT_CSV || this.storage.name !== 'csv') return;
 
         try {
-            execSync('git add bitmap_data.csv', { cwd: process.cwd(), stdio: 'pipe' });
+            const dataFiles = this.storage.dataFiles().map(file => `"${file}"`).join(' ');
+            execSync(`git add ${dataFiles}`, { cwd: process.cwd(), stdio: 'pipe' });
             
             const commitMessage = CONFIG.GIT_COMMIT_MESSAGE.replace('{blockNumber}', blockNumber);
             const hasChanges = execSync('git diff --cached --quiet || echo "changes"', { 
@@ -1459,189 +1689,429 @@ class EnhancedBitmapTracker {
         if (this.processing) return;
         this.processing = true;
         
-        console.log('🔄 Starting optimized processing loop...');
+        const workers = CONFIG.FETCH_WORKERS || Math.max(1, this.apiKeys.length);
+        console.log(`🔄 Starting fetch pipeline with ${workers} worker${workers > 1 ? 's' : ''}...`);
         this.displayRateLimitStatus();
         
-        while (true) {
+        this.fetchWorkers = workers;
+        await Promise.all(Array.from({ length: workers }, (_, index) => this.runFetchWorker(index + 1)));
+    }
+    
+    // One fetch worker: takes the next block (priority first), looks it up and hands it back on failure
+    async runFetchWorker(workerId) {
+        while (this.processing) {
             try {
-                const currentUsage = this.getTotalDailyUsage();
-                const dailyLimit = CONFIG.MAX_REQUESTS_PER_DAY_PER_KEY * this.apiKeys.length;
-                
-                if (currentUsage >= dailyLimit - CONFIG.DAILY_LIMIT_BUFFER) {
-                    console.log(`⏸️ Approaching daily limit: ${currentUsage}/${dailyLimit} requests`);
-                    await new Promise(resolve => setTimeout(resolve, 3600000));
-                    continue;
-                }
-                
-                const pauseInfo = this.shouldPauseForRateLimit();
-                if (pauseInfo.shouldPause) {
-                    console.log(pauseInfo.message);
-                    await new Promise(resolve => setTimeout(resolve, pauseInfo.waitTime));
+                const pauseTime = this.getProcessingPause();
+                if (pauseTime > 0) {
+                    await new Promise(resolve => setTimeout(resolve, pauseTime));
                     continue;
                 }
                 
-                if (this.priorityQueue.length > 0) {
-                    const blockNumber = this.priorityQueue.shift();
-                    await this.processBlock(blockNumber, true);
+                const job = this.takeNextBlock();
+                if (!job) {
+                    if (this.backfillQueue.length === 0 && this.backfillProgress.lastProcessedBlock < this.currentBlock - 1000) {
+                        this.queueHistoricalBlocks();
+                    }
+                    await new Promise(resolve => setTimeout(resolve, 1000));
                     continue;
                 }
                 
-                if (this.backfillQueue.length > 0) {
-                    const blockNumber = this.backfillQueue.shift();
-                    const success = await this.processBlock(blockNumber, false);
-                    
-                    if (success) {
-                        this.backfillProgress.lastProcessedBlock = blockNumber;
-                        this.backfillProgress.totalProcessed++;
-                        
-                        if (this.backfillQueue.length < 100) {
-                            this.queueHistoricalBlocks();
-                        }
-                    } else {
-                        this.backfillQueue.unshift(blockNumber);
-                        await new Promise(resolve => setTimeout(resolve, 30000));
-                    }
-                    continue;
+                let success;
+                try {
+                    success = await this.processBlock(job.blockNumber, job.priority, { jobId: job.jobId, recheck: job.recheck });
+                } finally {
+                    this.inFlight.delete(job.blockNumber);
                 }
                 
-                if (this.backfillProgress.lastProcessedBlock < this.currentBlock - 1000) {
+                if (job.jobId && success) {
+                    const outcome = !this.processedBlocks.has(job.blockNumber) ? 'failed'
+                        : this.storage.getBlock(job.blockNumber) ? 'bitmap' : 'empty';
+                    this.backfillJobs.finish(job.jobId, job.blockNumber, outcome);
+                } else if (!success) {
+                    // No provider could take it right now - retry once a key (or provider) is free again
+                    // (a re-check stays with the confirmation tracker until it is done)
+                    if (job.jobId) this.backfillJobs.handBack(job.jobId, job.blockNumber);
+                    else if (!job.recheck) (job.priority ? this.priorityQueue : this.backfillQueue).unshift(job.blockNumber);
+                    const waitTime = this.keyPool && this.apiKeys.length > 0 ? this.keyPool.nextAvailableIn() : 30000;
+                    await new Promise(resolve => setTimeout(resolve, Math.min(Math.max(waitTime, 1000), 60000)));
+                } else if (!job.priority && !job.jobId && this.backfillQueue.length < 100) {
                     this.queueHistoricalBlocks();
                 }
                 
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                
             } catch (error) {
-                console.error('❌ Processing loop error:', error.message);
-                this.logError('PROCESSING_LOOP', 0, `Processing error: ${error.message}`);
+                console.error(`❌ Fetch worker ${workerId} error:`, error.message);
+                this.logError('PROCESSING_LOOP', 0, `Worker ${workerId} error: ${error.message}`);
                 await new Promise(resolve => setTimeout(resolve, 5000));
             }
         }
     }
     
-    connectWebSocket() {
-        console.log('🔌 Connecting to mempool.space websocket...');
+    // Next block no other worker holds: { blockNumber, priority, jobId } or null when every queue is drained
+    // The realtime queue, each running backfill job and the regular backfill share the workers by weight
+    // (stride scheduling): REALTIME_QUEUE_WEIGHT, the job's priority and BACKFILL_QUEUE_WEIGHT. A queue
+    // that was empty joins at the current pass, so it gets the next turn but cannot bank turns while idle.
+    // Once the planner holds today's remaining quota back for new blocks, only realtime blocks are served.
+    // Realtime blocks wait in the queue until they have CONFIRMATIONS_REQUIRED; blocks that were looked up
+    // shallower than that are looked up again once they are deep enough, with the realtime queue's weight.
+    takeNextBlock() {
+        const realtime = [
+            {
+                name: 'realtime',
+                weight: CONFIG.REALTIME_QUEUE_WEIGHT,
+                priority: true,
+                take: () => this.shiftQueue(this.priorityQueue, blockNumber => this.confirmations.isDeep(blockNumber, this.currentBlock))
+            },
+            {
+                name: 'recheck',
+                weight: CONFIG.REALTIME_QUEUE_WEIGHT,
+                priority: true,
+                recheck: true,
+                take: () => this.confirmations.nextDue(this.currentBlock, blockNumber => this.inFlight.has(blockNumber))
+            }
+        ];
+        const backfillAllowed = !this.usesGeniiDataQuota() || this.backfillPlanner.allowsBackfill(this.getQuotaState());
+        const sources = !backfillAllowed ? realtime : [
+            ...realtime,
+            ...this.backfillJobs.runnable().map(job => ({
+                name: `job:${job.id}`,
+                weight: job.priority,
+                jobId: job.id,
+                take: () => this.takeJobBlock(job.id)
+            })),
+            { name: 'backfill', weight: CONFIG.BACKFILL_QUEUE_WEIGHT, take: () => this.shiftQueue(this.backfillQueue) }
+        ];
         
-        this.ws = new WebSocket(CONFIG.MEMPOOL_WS_URL);
+        const names = new Set(sources.map(source => source.name));
+        for (const name of this.schedulerPasses.keys()) {
+            if (!names.has(name)) this.schedulerPasses.delete(name);
+        }
         
-        this.ws.on('open', () => {
-            console.log('✅ Connected to mempool.space websocket');
-            this.ws.send(JSON.stringify({"action": "want", "data": ["blocks"]}));
-            this.reconnectAttempts = 0;
-        });
+        const passOf = source => Math.max(this.schedulerPasses.get(source.name) || 0, this.schedulerClock);
+        const ordered = sources
+            .map((source, index) => ({ source, index, pass: passOf(source) }))
+            .sort((a, b) => a.pass - b.pass || a.index - b.index);
         
-        this.ws.on('message', (data) => {
-            try {
-                const message = JSON.parse(data.toString());
-                if (message.block) {
-                    const blockHeight = message.block.height;
-                    if (!this.priorityQueue.includes(blockHeight)) {
-                        this.priorityQueue.push(blockHeight);
-                        console.log(`🔥 New block detected: ${blockHeight}`);
-                        
-                        if (blockHeight > this.currentBlock) {
-                            this.currentBlock = blockHeight;
-                        }
-                    }
+        for (const { source, pass } of ordered) {
+            const blockNumber = source.take();
+            if (blockNumber === null) continue;
+            
+            this.schedulerClock = pass;
+            this.schedulerPasses.set(source.name, pass + 1 / Math.max(source.weight, 1));
+            this.inFlight.add(blockNumber);
+            return { blockNumber, priority: Boolean(source.priority), jobId: source.jobId || null, recheck: Boolean(source.recheck) };
+        }
+        return null;
+    }
+    
+    // First block of a queue that still needs a lookup, no worker holds and ready() accepts, or null;
+    // blocks ready() turns down stay queued
+    shiftQueue(queue, ready = () => true) {
+        for (let index = 0; index < queue.length;) {
+            const blockNumber = queue[index];
+            if (this.inFlight.has(blockNumber) || this.processedBlocks.has(blockNumber)) {
+                queue.splice(index, 1);
+            } else if (!ready(blockNumber)) {
+                index++;
+            } else {
+                queue.splice(index, 1);
+                return blockNumber;
+            }
+        }
+        return null;
+    }
+    
+    // Next block of a backfill job; one another worker already holds is handed back for later
+    takeJobBlock(jobId) {
+        const blockNumber = this.backfillJobs.nextBlock(jobId);
+        if (blockNumber === null || !this.inFlight.has(blockNumber)) return blockNumber;
+        
+        this.backfillJobs.handBack(jobId, blockNumber);
+        return null;
+    }
+    
+    // Milliseconds every worker should hold off while GeniiData (the only provider) is near its quota
+    getProcessingPause() {
+        const now = Date.now();
+        if (this.processingPausedUntil > now) return this.processingPausedUntil - now;
+        if (!this.dependsOnGeniiDataQuota()) return 0;
+        
+        const pause = this.shouldPauseForRateLimit();
+        if (!pause.shouldPause) return 0;
+        
+        console.log(pause.message);
+        this.processingPausedUntil = now + pause.waitTime;
+        return pause.waitTime;
+    }
+    
+    // Open the chain source's new-block feed; reconnect() takes over when it ends
+    connectChainSource() {
+        console.log(`🔌 Connecting to ${this.chainSource.label} for new blocks...`);
+        
+        this.chainSource.connect({
+            onOpen: () => {
+                console.log(`✅ Connected to ${this.chainSource.label}`);
+                this.reconnectAttempts = 0;
+                
+                const downSince = this.chainDisconnectedAt;
+                this.chainDisconnectedAt = null;
+                this.stopTipPolling();
+                
+                // Blocks mined (or reorganized) while the feed was down were never announced
+                if (downSince) {
+                    console.log(`🔁 Block feed back after ${Math.round((Date.now() - downSince) / 1000)}s - catching up to the tip`);
+                    this.catchUpToTip('reconnect');
+                    this.verifyRecordedHashes();
                 }
-            } catch (error) {
-                console.error('❌ WebSocket message error:', error.message);
+            },
+            onBlock: (block) => {
+                this.checkForReorg(block);
+                this.announceBlock(block.height);
+            },
+            onClose: (error) => {
+                if (error) console.error(`❌ ${this.chainSource.label} error:`, error.message);
+                console.log('⚠️ Block feed closed');
+                this.reconnect();
             }
         });
+    }
+    
+    // A new block height, from the block feed or a tip check: queue it (or wake the ord indexer)
+    announceBlock(blockHeight) {
+        this.lastSeenBlock = Math.max(this.lastSeenBlock, blockHeight);
+        if (this.ordIndexer) {
+            console.log(`🔥 New block detected: ${blockHeight}`);
+            this.currentBlock = Math.max(this.currentBlock, blockHeight);
+            this.ordIndexer.poke();
+        } else if (!this.priorityQueue.includes(blockHeight)) {
+            this.priorityQueue.push(blockHeight);
+            console.log(`🔥 New block detected: ${blockHeight}${CONFIG.CONFIRMATIONS_REQUIRED > 1 ? ` (looked up at ${CONFIG.CONFIRMATIONS_REQUIRED} confirmations)` : ''}`);
+            
+            if (blockHeight > this.currentBlock) {
+                this.currentBlock = blockHeight;
+            }
+        }
+    }
+    
+    // Fetch the tip and announce every height between the last one seen and the tip
+    async catchUpToTip(reason) {
+        let tip;
+        try {
+            tip = await this.getCurrentBlockHeight();
+            if (!Number.isInteger(tip)) throw new Error('Invalid tip height');
+        } catch (error) {
+            console.log(`⚠️ Tip check (${reason}) failed: ${error.message}`);
+            this.logError('WEBSOCKET', 0, `Tip check (${reason}) failed: ${error.message}`);
+            return;
+        }
         
-        this.ws.on('close', () => {
-            console.log('⚠️ WebSocket connection closed');
-            this.reconnect();
-        });
+        const lastSeen = this.lastSeenBlock || this.currentBlock;
+        if (!lastSeen) {
+            // Nothing seen yet: the tip is the starting point, the backfill covers everything below it
+            this.lastSeenBlock = tip;
+            this.currentBlock = Math.max(this.currentBlock, tip);
+            return;
+        }
+        if (tip <= lastSeen) return;
         
-        this.ws.on('error', (error) => {
-            console.error('❌ WebSocket error:', error.message);
-            this.reconnect();
-        });
+        console.log(`📡 ${tip - lastSeen} block${tip - lastSeen > 1 ? 's' : ''} missed (${lastSeen + 1}-${tip}, ${reason})`);
+        if (this.ordIndexer) {
+            this.announceBlock(tip); // The indexer walks up to the tip on its own
+            return;
+        }
+        for (let height = lastSeen + 1; height <= tip; height++) {
+            this.announceBlock(height);
+        }
     }
     
+    // Compare an announced block ({ height, hash, previousHash }) with the hashes we recorded and roll back any replaced heights
+    async checkForReorg(block) {
+        try {
+            const event = await this.reorgDetector.observeBlock(block);
+            if (event) await this.handleReorg(event);
+        } catch (error) {
+            console.error('❌ Reorg check failed:', error.message);
+            this.logError('REORG', block.height, `Reorg check failed: ${error.message}`);
+        }
+    }
+
+    // Catch reorgs that happened while the tracker was down
+    async verifyRecordedHashes() {
+        try {
+            const event = await this.reorgDetector.verifyRecordedHashes();
+            if (event) await this.handleReorg(event);
+        } catch (error) {
+            console.error('❌ Startup reorg check failed:', error.message);
+            this.logError('REORG', 0, `Startup reorg check failed: ${error.message}`);
+        }
+    }
+
+    // Drop everything stored for the replaced heights and fetch them again ahead of the backfill
+    async handleReorg(event) {
+        const heights = event.invalidatedHeights;
+        console.log(`⛓️ Chain reorganization at tip ${event.tipHeight}: ${heights.length} block(s) replaced (${heights.join(', ')})`);
+
+        const removed = await this.storage.invalidateBlocks(heights);
+        heights.forEach(height => {
+            this.processedBlocks.delete(height);
+            this.blockCache.delete(height);
+            if (!this.ordIndexer && !this.priorityQueue.includes(height)) this.priorityQueue.unshift(height);
+        });
+
+        // Claims for the replaced heights can only sit in blocks at or above the lowest one
+        if (this.ordIndexer) this.ordIndexer.rewind(Math.min(...heights));
+
+        this.logError('REORG', event.tipHeight, `Replaced heights ${heights.join(', ')}; removed ${removed.rows} rows, ${removed.emptyBlocks} empty marks, ${removed.metadata} metadata records`);
+        this.reorgDetector.recordOutcome(event, { removed, requeued: heights });
+    }
+
+    // Reconnect forever with jittered exponential backoff
     reconnect() {
-        if (this.reconnectAttempts < this.maxReconnectAttempts) {
-            this.reconnectAttempts++;
-            const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
-            console.log(`🔄 Reconnecting WebSocket in ${delay/1000}s`);
-            
-            setTimeout(() => this.connectWebSocket(), delay);
-        } else {
-            console.error('❌ Max reconnection attempts reached');
-            this.logError('WEBSOCKET', 0, 'Max reconnection attempts reached');
+        if (this.shuttingDown || this.reconnectTimer) return;
+        
+        if (!this.chainDisconnectedAt) {
+            this.chainDisconnectedAt = Date.now();
+            this.scheduleTipPolling();
         }
+        
+        this.reconnectAttempts++;
+        const backoff = Math.min(CONFIG.WS_RECONNECT_BASE_DELAY * Math.pow(2, this.reconnectAttempts - 1), CONFIG.WS_RECONNECT_MAX_DELAY);
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+        console.log(`🔄 Reconnecting to ${this.chainSource.label} in ${(delay / 1000).toFixed(1)}s (attempt ${this.reconnectAttempts})`);
+        if (this.reconnectAttempts % 10 === 0) {
+            this.logError('WEBSOCKET', 0, `Still disconnected after ${this.reconnectAttempts} reconnection attempts`);
+        }
+        
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connectChainSource();
+        }, delay);
+    }
+    
+    // Poll the tip once the feed has been down for WS_POLL_FALLBACK_AFTER, until it is back
+    scheduleTipPolling() {
+        if (this.tipPollStartTimer || this.tipPollTimer) return;
+        
+        this.tipPollStartTimer = setTimeout(() => {
+            this.tipPollStartTimer = null;
+            console.log(`📡 Block feed down for ${Math.round(CONFIG.WS_POLL_FALLBACK_AFTER / 1000)}s - polling the tip every ${Math.round(CONFIG.WS_POLL_INTERVAL / 1000)}s`);
+            this.catchUpToTip('polling');
+            this.tipPollTimer = setInterval(() => this.catchUpToTip('polling'), CONFIG.WS_POLL_INTERVAL);
+        }, CONFIG.WS_POLL_FALLBACK_AFTER);
+    }
+    
+    stopTipPolling() {
+        if (this.tipPollStartTimer) clearTimeout(this.tipPollStartTimer);
+        if (this.tipPollTimer) {
+            clearInterval(this.tipPollTimer);
+            console.log('📡 Tip polling stopped');
+        }
+        this.tipPollStartTimer = null;
+        this.tipPollTimer = null;
     }
 
     getTotalDailyUsage() {
-        return Object.values(this.keyUsage).reduce((total, usage) => total + usage.requestsToday, 0);
+        return this.keyPool.getTotalDailyUsage();
+    }
+
+    // GeniiData request limits across all keys, per window of the request ledger
+    getGeniiDataLimits() {
+        const keys = this.apiKeys.length;
+        return {
+            perSecond: CONFIG.MAX_REQUESTS_PER_SECOND * keys,
+            perHour: CONFIG.MAX_REQUESTS_PER_HOUR_PER_KEY * keys,
+            perDay: CONFIG.MAX_REQUESTS_PER_DAY_PER_KEY * keys
+        };
+    }
+
+    // Today's GeniiData quota across all keys, as the backfill planner reads it
+    getQuotaState() {
+        const limits = this.getGeniiDataLimits();
+        return {
+            perDay: limits.perDay,
+            perHour: limits.perHour,
+            used: this.getTotalDailyUsage(),
+            buffer: CONFIG.DAILY_LIMIT_BUFFER,
+            resetAt: this.apiKeys.length > 0 ? Math.min(...this.apiKeys.map(key => this.keyUsage[key].dailyResetTime)) : null,
+            requestsLastDay: this.requestLedger.count(upstreamOf(CONFIG.GENIIDATA_API_URL), WINDOWS.day)
+        };
+    }
+
+    // Blocks from HISTORICAL_START_BLOCK to the chain tip not stored yet, and blocks left in running backfill jobs
+    getBackfillBacklog() {
+        let stored = 0;
+        for (const block of this.processedBlocks) {
+            if (block >= CONFIG.HISTORICAL_START_BLOCK && block <= this.currentBlock) stored++;
+        }
+        const jobBlocks = this.backfillJobs.list('running').reduce((sum, job) => sum + job.progress.remaining, 0);
+        return {
+            gaps: Math.max(0, this.currentBlock - CONFIG.HISTORICAL_START_BLOCK + 1 - stored),
+            jobBlocks
+        };
     }
 
-    // Check if we should pause due to likely rate limit situation
+    planBackfill() {
+        return this.backfillPlanner.plan(this.getQuotaState(), this.getBackfillBacklog());
+    }
+
+    // Check if we should pause: today's quota nearly used, or the last hour's requests at the hourly budget
     shouldPauseForRateLimit() {
+        if (this.apiKeys.length === 0) return { shouldPause: false }; // No keys, no quota to run into
+        
         const now = Date.now();
+        const limits = this.getGeniiDataLimits();
         const currentUsage = this.getTotalDailyUsage();
-        const dailyLimit = CONFIG.MAX_REQUESTS_PER_DAY_PER_KEY * this.apiKeys.length;
         
-        // If we're close to daily limit, pause
-        if (currentUsage >= dailyLimit * 0.95) {
+        // Today's count is per quota day (reconciled with GeniiData), so the pause lasts until the first key's reset
+        if (currentUsage >= Math.min(limits.perDay * 0.95, limits.perDay - CONFIG.DAILY_LIMIT_BUFFER)) {
+            const nextReset = Math.min(...this.apiKeys.map(key => this.keyUsage[key].dailyResetTime));
+            const waitTime = Math.max(nextReset - now, 60000);
             return {
                 shouldPause: true,
                 reason: 'Approaching daily limit',
-                waitTime: 3600000, // 1 hour
-                message: `⏸️ Approaching daily limit: ${currentUsage}/${dailyLimit} requests - pausing for 1 hour`
+                waitTime,
+                message: `⏸️ Approaching daily limit: ${currentUsage}/${limits.perDay} requests - pausing for ${Math.round(waitTime / 60000)} minutes until the quota resets`
             };
         }
         
-        // If we're using requests too quickly (safety buffer)
-        const requestsInLastHour = this.getRequestsInLastHour();
-        const hourlyRateLimit = CONFIG.MAX_REQUESTS_PER_DAY_PER_KEY / 24 * this.apiKeys.length;
-        
-        if (requestsInLastHour >= hourlyRateLimit * 0.9) {
+        // Spread the day's quota: hold off exactly until the hour's window has room again (safety buffer of 10%)
+        const upstream = upstreamOf(CONFIG.GENIIDATA_API_URL);
+        const hourlyBudget = Math.max(1, Math.floor(limits.perHour * 0.9));
+        const requestsInLastHour = this.requestLedger.count(upstream, WINDOWS.hour);
+        if (requestsInLastHour >= hourlyBudget) {
+            const waitTime = this.requestLedger.waitTime(upstream, WINDOWS.hour, hourlyBudget);
             return {
                 shouldPause: true,
                 reason: 'High hourly usage rate',
-                waitTime: 1800000, // 30 minutes
-                message: `⏸️ High usage rate: ${requestsInLastHour} requests in last hour - pausing for 30 minutes`
+                waitTime,
+                message: `⏸️ High usage rate: ${requestsInLastHour} requests in the last hour (budget ${hourlyBudget}) - pausing for ${Math.ceil(waitTime / 1000)}s`
             };
         }
         
         return { shouldPause: false };
     }
-    
-    // Get requests made in the last hour
-    getRequestsInLastHour() {
-        const oneHourAgo = Date.now() - (60 * 60 * 1000);
-        let requestsInLastHour = 0;
-        
-        for (const key of this.apiKeys) {
-            const usage = this.keyUsage[key];
-            if (usage.lastRequestTime >= oneHourAgo) {
-                // Estimate based on current daily usage (rough approximation)
-                requestsInLastHour += Math.min(usage.requestsToday, usage.requestsToday / 24);
-            }
-        }
-        
-        return requestsInLastHour;
-    }
 
     printStatus() {
         const totalBlocks = this.currentBlock - CONFIG.HISTORICAL_START_BLOCK;
         const processedBlocks = this.backfillProgress.totalProcessed;
         const percentage = totalBlocks > 0 ? ((processedBlocks / totalBlocks) * 100).toFixed(1) : 0;
-          console.log(`\n📊 STATUS: ${processedBlocks}/${totalBlocks} (${percentage}%) | Queue: ${this.priorityQueue.length}+${this.backfillQueue.length} | Requests: ${this.requestsToday}/${CONFIG.MAX_REQUESTS_PER_DAY_PER_KEY * this.apiKeys.length}`);
+          console.log(`\n📊 STATUS: ${processedBlocks}/${totalBlocks} (${percentage}%) | Queue: ${this.priorityQueue.length}+${this.backfillQueue.length} | Requests: ${this.getTotalDailyUsage()}/${CONFIG.MAX_REQUESTS_PER_DAY_PER_KEY * this.apiKeys.length}`);
+        if (this.usesGeniiDataQuota()) {
+            const plan = this.planBackfill();
+            console.log(`🗓️ Backfill plan: ${plan.backlog.total} blocks left, ${plan.backfill.blocksLeftToday} more today, ${plan.backfill.plannedBlocksPerDay}/day (${plan.realtimeReserve.requestsPerDay} requests/day kept for new blocks) | Finish: ${plan.projection.finishDate || 'unknown'}`);
+        }
     }
 
     // Display current rate limit status
     displayRateLimitStatus() {
         const currentUsage = this.getTotalDailyUsage();
         const dailyLimit = CONFIG.MAX_REQUESTS_PER_DAY_PER_KEY * this.apiKeys.length;
-        const percentage = (currentUsage / dailyLimit * 100).toFixed(1);
+        const percentage = dailyLimit > 0 ? (currentUsage / dailyLimit * 100).toFixed(1) : '0.0';
         
         console.log(`\n📊 RATE LIMIT STATUS`);
         console.log(`─────────────────────────────────────`);
         console.log(`🔑 API Keys: ${this.apiKeys.length}`);
         console.log(`📈 Daily Usage: ${currentUsage}/${dailyLimit} (${percentage}%)`);
-        console.log(`⏰ Next Reset: ${new Date(this.dailyResetTime).toLocaleString()}`);
+        console.log(`⏰ Next Reset: ${new Date(this.getNextMidnight()).toISOString()} (midnight ${CONFIG.QUOTA_RESET_TIMEZONE})`);
         
         // Show per-key usage
         this.apiKeys.forEach((key, index) => {
@@ -1650,7 +2120,7 @@ class EnhancedBitmapTracker {
             console.log(`   Key ${index + 1}: ${usage.requestsToday}/${CONFIG.MAX_REQUESTS_PER_DAY_PER_KEY} (${keyPercentage}%)`);
         });
         
-        if (currentUsage >= dailyLimit * 0.9) {
+        if (dailyLimit > 0 && currentUsage >= dailyLimit * 0.9) {
             console.log(`⚠️ WARNING: Approaching daily limit!`);
         }
         
@@ -1661,6 +2131,7 @@ class EnhancedBitmapTracker {
     async checkRealTimeUsage(apiKey) {
         return new Promise((resolve, reject) => {
             const url = 'https://api.geniidata.com/api/1/key/info';
+            this.requestLedger.record(upstreamOf(url), this.keyPool.label(apiKey));
             const options = {
                 headers: {
                     'Accept': 'application/json',
@@ -1705,40 +2176,22 @@ class EnhancedBitmapTracker {
         });
     }
 
-    // Get next available proxy
+    // Next proxy from the pool (null when proxies are off or all are benched)
     getNextProxy() {
-        if (!this.useProxy || this.proxyList.length === 0) {
-            return null;
-        }
-
-        // Find a working proxy
-        for (let i = 0; i < this.proxyList.length; i++) {
-            const proxyIndex = (this.currentProxyIndex + i) % this.proxyList.length;
-            const proxy = this.proxyList[proxyIndex];
-            
-            const failures = this.proxyFailures.get(proxy) || 0;
-            if (failures < 3) { // Allow up to 3 failures before blacklisting
-                this.currentProxyIndex = (proxyIndex + 1) % this.proxyList.length;
-                return proxy;
-            }
-        }
-
-        return null; // All proxies failed
+        return this.proxyPool ? this.proxyPool.next() : null;
     }
 
-    // Mark proxy as failed
-    markProxyFailed(proxy) {
-        if (proxy) {
-            const failures = this.proxyFailures.get(proxy) || 0;
-            this.proxyFailures.set(proxy, failures + 1);
-            console.log(`⚠️ Proxy ${proxy} failed (${failures + 1}/3 failures)`);
+    // Mark proxy as failed - the pool benches it after PROXY_MAX_FAILURES in a row
+    markProxyFailed(proxy, reason) {
+        if (proxy && this.proxyPool) {
+            this.proxyPool.recordFailure(proxy, reason || 'request failed');
         }
     }
 
-    // Reset proxy failures (call periodically)
-    resetProxyFailures() {
-        this.proxyFailures.clear();
-        console.log('🔄 Proxy failure counters reset');
+    markProxySucceeded(proxy, latency) {
+        if (proxy && this.proxyPool) {
+            this.proxyPool.recordSuccess(proxy, latency);
+        }
     }
 }
 
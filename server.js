@@ -22,16 +22,45 @@
  *   PORT                    - Server port (default: 3000)
  *   HOST                    - Server host (default: 0.0.0.0)
  *   GENIIDATA_API_KEYS      - Comma-separated API keys
- *   HISTORICAL_START_BLOCK  - Starting block for historical data
+ *   NETWORK                 - mainnet (default), testnet, signet or regtest: endpoints and data file names
+ *   HISTORICAL_START_BLOCK  - Starting block for historical data (default: 840000 on mainnet, else 0)
+ *   STORAGE_BACKEND         - csv (default) or sqlite
+ *   FETCH_WORKERS           - Concurrent block lookups (default: one per API key)
+ *   MAX_REQUESTS_PER_HOUR_PER_KEY - Hourly GeniiData budget per key (default: daily limit / 24)
+ *   QUOTA_RESET_TIMEZONE    - Time zone whose midnight resets API key quotas (default: UTC)
+ *   BITMAP_PROVIDERS        - Providers in failover order (default: geniidata; also: ord)
+ *   ORD_API_URL             - ord server for the ord provider (default: https://ordinals.com)
+ *   INGESTION_MODE          - providers (default) or ord (walk ORD_API_URL, no API keys)
+ *   CLAIM_VERIFICATION_ENABLED - Check provider answers against the bitmap rules (default: true)
+ *   REORG_DEPTH             - Recent heights checked for reorgs (default: 12)
+ *   CHAIN_SOURCE            - Tip height and new blocks: mempool (default), esplora, bitcoind or mock
+ *   ESPLORA_API_URL         - Esplora instance for CHAIN_SOURCE=esplora (default: https://blockstream.info/api)
+ *   BITCOIND_RPC_URL        - bitcoind JSON-RPC for CHAIN_SOURCE=bitcoind (BITCOIND_ZMQ_URL for push instead of polling)
+ *   CONFIRMATIONS_REQUIRED  - Depth new blocks wait for before they are looked up (default: 1, the tip)
+ *   WS_POLL_FALLBACK_AFTER  - Poll the tip when the block feed is down this long (default: 60000 ms)
+ *   REALTIME_QUEUE_WEIGHT   - Share of the fetch workers for websocket blocks (default: 10)
+ *   BACKFILL_QUEUE_WEIGHT   - Share for the regular backfill (default: 5; jobs weigh their priority)
+ *   REALTIME_QUOTA_RESERVE_BLOCKS - New blocks per day whose quota the backfill never uses (default: 200)
+ *   PROXY_LIST              - http://, https:// or socks5:// proxies for GeniiData (with USE_PROXY_ROTATION=true)
  *   
  * API Endpoints:
  *   GET /api/block/:blockNumber  - Get specific block data
+ *   GET /api/block/:n/details    - Block hash, time, size and inscription metadata
  *   GET /api/blocks              - Get all blocks with pagination
  *   GET /api/stats               - Get tracker statistics
+ *   GET /api/stats/plan          - Backfill quota plan and projected finish date
  *   GET /api/latest              - Get latest blocks with bitmaps
  *   GET /api/search/:query       - Search blocks by inscription ID or sat
+ *   GET /api/export              - Stream all blocks (format=csv|ndjson|json, from, to, gzip)
+ *   GET /api/admin/verify        - Data integrity report
+ *   GET /api/admin/reorgs        - Recent chain reorganizations and tracked block hashes
+ *   GET /api/admin/failed        - Blocks that ran out of retries and their retry schedule
+ *   POST /api/admin/failed/:n/retry - Re-queue a failed block now
+ *   GET /api/admin/backfill/jobs - Backfill jobs with progress and ETA (POST to create one)
+ *   POST /api/admin/backfill/jobs/:id/pause|resume|cancel - Control a backfill job
+ *   GET /api/admin/proxies       - Per-proxy status, success rate, latency and health checks
  *   GET /:blockNumber            - Direct block access (GitHub Pages style)
- *   GET /health                  - Health check endpoint
+ *   GET /health                  - Health check endpoint (with the network)
  */
 
 const EnhancedBitmapTracker = require('./script.js');
@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+/**
+ * Local chain stand-in
+ *
+ * Serves one made-up chain (see lib/chainSources/mockChainSource.js) over every protocol the chain
+ * sources speak: the Esplora REST API and mempool's block websocket under /api, bitcoind JSON-RPC
+ * on POST /, and bitcoind's ZMQ hashblock feed on a second port. Point CHAIN_SOURCE at it to run the
+ * tracker's tip tracking without a node or network access, or run --check to put every chain source
+ * (and the mock one) through new blocks, reorgs and dropped connections.
+ *
+ * Usage:
+ *   node tools/chain-stand-in.js                           HTTP on 8095, ZMQ on 28332, a block every 30s
+ *   node tools/chain-stand-in.js --start 840100 --interval 10000 --rpc-auth alice:secret
+ *   node tools/chain-stand-in.js --check [--verbose]       Self-check, exits 1 on any failure
+ *
+ * Then run the tracker against it:
+ *   CHAIN_SOURCE=esplora ESPLORA_API_URL=http://127.0.0.1:8095/api npm start
+ *   CHAIN_SOURCE=mempool MEMPOOL_API_URL=http://127.0.0.1:8095/api MEMPOOL_WS_URL=ws://127.0.0.1:8095/api/v1/ws npm start
+ *   CHAIN_SOURCE=bitcoind BITCOIND_RPC_URL=http://127.0.0.1:8095 BITCOIND_ZMQ_URL=tcp://127.0.0.1:28332 npm start
+ *
+ * Typing "mine", "mine 3" or "reorg 2" on stdin drives the chain by hand.
+ */
+
+const net = require('net');
+const http = require('http');
+const readline = require('readline');
+const WebSocket = require('ws');
+const { MockChain, MockChainSource } = require('../lib/chainSources/mockChainSource');
+const EsploraChainSource = require('../lib/chainSources/esploraChainSource');
+const MempoolChainSource = require('../lib/chainSources/mempoolChainSource');
+const BitcoindChainSource = require('../lib/chainSources/bitcoindChainSource');
+const { greeting, frame, readyCommand, readFrame, commandName, FLAG_MORE, FLAG_COMMAND } = require('../lib/chainSources/zmqSubscriber');
+
+function parseArgs(argv) {
+    const args = { port: 8095, zmqPort: 28332, start: 840100, interval: 30000, rpcAuth: null, check: false, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = parseInt(argv[++i]);
+        else if (argv[i] === '--zmq-port') args.zmqPort = parseInt(argv[++i]);
+        else if (argv[i] === '--start') args.start = parseInt(argv[++i]);
+        else if (argv[i] === '--interval') args.interval = parseInt(argv[++i]);
+        else if (argv[i] === '--rpc-auth') args.rpcAuth = argv[++i];
+        else if (argv[i] === '--check') args.check = true;
+        else if (argv[i] === '--verbose') args.verbose = true;
+    }
+    return args;
+}
+
+// Heights are only looked up by hash near the tip, which is all the sources ask for
+function findByHash(chain, hash) {
+    for (let height = chain.height; height >= Math.max(0, chain.height - 1000); height--) {
+        if (chain.hashOf(height) === hash) return chain.header(height);
+    }
+    return null;
+}
+
+function rpcResult(chain, method, params) {
+    switch (method) {
+        case 'getblockcount':
+            return { result: chain.height };
+        case 'getbestblockhash':
+            return { result: chain.hashOf(chain.height) };
+        case 'getblockhash': {
+            const header = chain.header(params[0]);
+            return header ? { result: header.hash } : { error: { code: -8, message: 'Block height out of range' } };
+        }
+        case 'getrawtransaction': {
+            const height = chain.transactionHeight(params[0]);
+            if (height === null) return { error: { code: -5, message: 'No such mempool or blockchain transaction. Use gettransaction for wallet transactions.' } };
+            return { result: { txid: params[0], blockhash: chain.hashOf(height) } };
+        }
+        case 'getblockheader': {
+            const header = findByHash(chain, params[0]);
+            if (!header) return { error: { code: -5, message: 'Block not found' } };
+            return { result: { hash: header.hash, height: header.height, previousblockhash: header.previousHash || undefined } };
+        }
+        default:
+            return { error: { code: -32601, message: 'Method not found' } };
+    }
+}
+
+// HTTP server: Esplora REST + mempool websocket under /api, bitcoind JSON-RPC on POST /
+function createHttpStandIn(chain, options = {}) {
+    const log = options.log || (() => {});
+    const server = http.createServer((req, res) => {
+        const send = (status, body, type = 'text/plain') => {
+            res.writeHead(status, { 'Content-Type': type });
+            res.end(typeof body === 'string' ? body : JSON.stringify(body));
+        };
+
+        if (req.method === 'POST') {
+            if (options.rpcAuth && req.headers.authorization !== `Basic ${Buffer.from(options.rpcAuth).toString('base64')}`) {
+                return send(401, '');
+            }
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                let call;
+                try {
+                    call = JSON.parse(body);
+                } catch (error) {
+                    return send(400, { result: null, error: { code: -32700, message: 'Parse error' }, id: null }, 'application/json');
+                }
+                const reply = rpcResult(chain, call.method, call.params || []);
+                log(`rpc ${call.method}(${(call.params || []).join(', ')})`);
+                send(reply.error ? 500 : 200, { result: reply.result === undefined ? null : reply.result, error: reply.error || null, id: call.id }, 'application/json');
+            });
+            return;
+        }
+
+        log(`GET ${req.url}`);
+        let match;
+        if (req.url === '/api/blocks/tip/height') return send(200, String(chain.height));
+        if (req.url === '/api/blocks/tip/hash') return send(200, chain.hashOf(chain.height));
+        if ((match = /^\/api\/block-height\/(\d+)$/.exec(req.url))) {
+            const header = chain.header(parseInt(match[1]));
+            return header ? send(200, header.hash) : send(404, 'Block not found');
+        }
+        if ((match = /^\/api\/tx\/([0-9a-f]{64})\/status$/.exec(req.url))) {
+            const height = chain.transactionHeight(match[1]);
+            if (height === null) return send(404, 'Transaction not found');
+            return send(200, { confirmed: true, block_height: height, block_hash: chain.hashOf(height) }, 'application/json');
+        }
+        if ((match = /^\/api\/block\/([0-9a-f]{64})$/.exec(req.url))) {
+            const header = findByHash(chain, match[1]);
+            if (!header) return send(404, 'Block not found');
+            return send(200, { id: header.hash, height: header.height, previousblockhash: header.previousHash }, 'application/json');
+        }
+        send(404, 'Not found');
+    });
+
+    // mempool.space pushes { block } to clients that asked for blocks
+    const wss = new WebSocket.Server({ server, path: '/api/v1/ws' });
+    const wanting = new Set();
+    wss.on('connection', ws => {
+        ws.on('message', data => {
+            try {
+                const message = JSON.parse(data.toString());
+                if (message.action === 'want' && (message.data || []).includes('blocks')) wanting.add(ws);
+            } catch (error) {
+                // Not JSON; mempool ignores those too
+            }
+        });
+        ws.on('close', () => wanting.delete(ws));
+    });
+    chain.on('block', header => {
+        const message = JSON.stringify({ block: { id: header.hash, height: header.height, previousblockhash: header.previousHash } });
+        wanting.forEach(ws => ws.send(message));
+    });
+
+    // Drop every websocket client, like a mempool restart would
+    server.dropClients = () => wss.clients.forEach(ws => ws.terminate());
+    return server;
+}
+
+// ZMQ PUB socket publishing ["hashblock", <hash>, <sequence>] like bitcoind -zmqpubhashblock
+function createZmqStandIn(chain, options = {}) {
+    const log = options.log || (() => {});
+    const peers = new Set();
+    let sequence = 0;
+
+    const server = net.createServer(socket => {
+        const peer = { socket, ready: false, topics: [] };
+        let buffer = Buffer.alloc(0);
+        let greeted = false;
+        socket.write(greeting());
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            if (!greeted) {
+                if (buffer.length < 64) return;
+                buffer = buffer.subarray(64);
+                greeted = true;
+                socket.write(readyCommand({ 'Socket-Type': 'PUB' }));
+            }
+            for (let next = readFrame(buffer); next; next = readFrame(buffer)) {
+                buffer = buffer.subarray(next.length);
+                if (next.flags & FLAG_COMMAND) {
+                    if (commandName(next.body) === 'READY') {
+                        peer.ready = true;
+                        peers.add(peer);
+                    }
+                } else if (next.body[0] === 1) {
+                    peer.topics.push(next.body.subarray(1).toString());
+                    log(`zmq subscribe "${next.body.subarray(1).toString()}"`);
+                }
+            }
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => peers.delete(peer));
+    });
+
+    chain.on('block', header => {
+        const seq = Buffer.alloc(4);
+        seq.writeUInt32LE(sequence++);
+        const message = Buffer.concat([
+            frame(Buffer.from('hashblock'), FLAG_MORE),
+            frame(Buffer.from(header.hash, 'hex'), FLAG_MORE),
+            frame(seq)
+        ]);
+        peers.forEach(peer => {
+            if (peer.topics.some(topic => 'hashblock'.startsWith(topic))) peer.socket.write(message);
+        });
+    });
+
+    server.dropClients = () => peers.forEach(peer => peer.socket.destroy());
+    return server;
+}
+
+function listen(server, port = 0) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => resolve(server.address().port));
+    });
+}
+
+function close(server) {
+    if (server.dropClients) server.dropClients();
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Connect a source and record what its feed reports
+function watch(source) {
+    const feed = { opened: 0, blocks: [], closes: [] };
+    feed.ready = new Promise(resolve => {
+        source.connect({
+            onOpen: () => { feed.opened++; resolve(); },
+            onBlock: block => feed.blocks.push(block),
+            onClose: error => { feed.closes.push(error); resolve(); }
+        });
+    });
+    return feed;
+}
+
+async function until(condition, timeout = 3000) {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeout) throw new Error('timed out');
+        await wait(20);
+    }
+}
+
+async function runCheck(verbose) {
+    const results = [];
+    const check = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, ok: true });
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            results.push({ name, ok: false });
+            console.log(`❌ ${name}: ${error.message}`);
+        }
+    };
+    const expect = (condition, message) => {
+        if (!condition) throw new Error(message);
+    };
+    const log = verbose ? message => console.log(`   ${message}`) : () => {};
+
+    const chain = new MockChain({ startHeight: 840100 });
+    const httpServer = createHttpStandIn(chain, { rpcAuth: 'alice:s3cret', log });
+    const httpPort = await listen(httpServer);
+    const zmqServer = createZmqStandIn(chain, { log });
+    const zmqPort = await listen(zmqServer);
+    const apiUrl = `http://127.0.0.1:${httpPort}/api`;
+    const rpc = { rpcUrl: `http://127.0.0.1:${httpPort}`, rpcUser: 'alice', rpcPassword: 's3cret', pollInterval: 100 };
+
+    const sources = [
+        ['mempool', () => new MempoolChainSource({ apiUrl, wsUrl: `ws://127.0.0.1:${httpPort}/api/v1/ws` }), () => httpServer.dropClients()],
+        ['esplora', () => new EsploraChainSource({ apiUrl, pollInterval: 100 }), null],
+        ['bitcoind (polling)', () => new BitcoindChainSource(rpc), null],
+        ['bitcoind (ZMQ)', () => new BitcoindChainSource({ ...rpc, zmqUrl: `tcp://127.0.0.1:${zmqPort}` }), () => zmqServer.dropClients()],
+        ['mock', () => new MockChainSource({ chain }), source => source.dropConnection()]
+    ];
+
+    for (const [name, create, drop] of sources) {
+        const source = create();
+        const feed = watch(source);
+
+        await check(`${name}: tip height and block hashes`, async () => {
+            expect(await source.getTipHeight() === chain.height, 'wrong tip height');
+            expect(await source.getBlockHash(chain.height - 5) === chain.hashOf(chain.height - 5), 'wrong block hash');
+            expect(await source.getBlockHash(chain.height + 1) === null, 'a hash above the tip');
+        });
+        await check(`${name}: transactions on this chain are found, others are not`, async () => {
+            const status = await source.getTransactionStatus(chain.txidOf(chain.height - 3));
+            expect(status && status.confirmed && status.height === chain.height - 3, `got ${JSON.stringify(status)}`);
+            expect(await source.getTransactionStatus('ab'.repeat(32)) === null, 'found a transaction from another chain');
+        });
+        await check(`${name}: feed announces new blocks in order with their parents`, async () => {
+            await feed.ready;
+            expect(feed.opened === 1, 'feed did not open');
+            const from = chain.height;
+            chain.mine(2);
+            await until(() => feed.blocks.length >= 2);
+            const [first, second] = feed.blocks;
+            expect(first.height === from + 1 && second.height === from + 2, `got heights ${feed.blocks.map(block => block.height).join(',')}`);
+            expect(second.previousHash === first.hash && first.previousHash === chain.hashOf(from), 'parent hashes do not line up');
+        });
+        await check(`${name}: feed announces the replacing block after a reorg`, async () => {
+            const before = feed.blocks.length;
+            const height = chain.height;
+            chain.reorg(1);
+            await until(() => feed.blocks.length > before);
+            const replaced = feed.blocks[feed.blocks.length - 1];
+            expect(replaced.height === height && replaced.hash === chain.hashOf(height), `got ${JSON.stringify(replaced)}`);
+        });
+        if (drop) {
+            await check(`${name}: a dropped feed is reported once`, async () => {
+                drop(source);
+                await until(() => feed.closes.length > 0);
+                await wait(100);
+                expect(feed.closes.length === 1, `reported ${feed.closes.length} times`);
+            });
+        }
+        source.close();
+    }
+
+    await check('bitcoind: wrong RPC credentials are reported', async () => {
+        const source = new BitcoindChainSource({ ...rpc, rpcPassword: 'wrong' });
+        const error = await source.getTipHeight().then(() => null, e => e);
+        expect(error && error.message.includes('401'), `got ${error && error.message}`);
+    });
+    await check('bitcoind: transaction lookups without -txindex are reported', async () => {
+        const rpcServer = http.createServer((req, res) => {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ result: null, error: { code: -5, message: 'No such mempool transaction. Use -txindex or provide a block hash to enable blockchain transaction queries.' }, id: 1 }));
+        });
+        const port = await listen(rpcServer);
+        const error = await new BitcoindChainSource({ rpcUrl: `http://127.0.0.1:${port}` }).getTransactionStatus('ab'.repeat(32)).then(() => null, e => e);
+        await close(rpcServer);
+        expect(error && error.message.includes('-txindex'), `got ${error && error.message}`);
+    });
+    await check('esplora: an unreachable API ends the feed with an error', async () => {
+        const unused = net.createServer();
+        const closedPort = await listen(unused);
+        await close(unused);
+        const feed = watch(new EsploraChainSource({ apiUrl: `http://127.0.0.1:${closedPort}/api` }));
+        await feed.ready;
+        expect(feed.opened === 0 && feed.closes.length === 1 && feed.closes[0], 'feed did not fail');
+    });
+    await check('bitcoind (polling): blocks mined between polls are all announced', async () => {
+        const source = new BitcoindChainSource({ ...rpc, pollInterval: 300 });
+        const feed = watch(source);
+        await feed.ready;
+        const from = chain.height;
+        chain.mine(3);
+        await until(() => feed.blocks.length >= 3);
+        source.close();
+        expect(feed.blocks.map(block => block.height).join(',') === [from + 1, from + 2, from + 3].join(','), `got ${feed.blocks.map(block => block.height)}`);
+    });
+
+    await Promise.all([close(httpServer), close(zmqServer)]);
+
+    const failed = results.filter(result => !result.ok).length;
+    console.log(`\n📊 ${results.length - failed}/${results.length} chain source checks passed`);
+    return failed === 0;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.check) {
+        const ok = await runCheck(args.verbose);
+        process.exit(ok ? 0 : 1);
+    }
+
+    const chain = new MockChain({ startHeight: args.start, blockInterval: args.interval });
+    chain.on('block', header => console.log(`⛏️ Block ${header.height} ${header.hash}`));
+    const httpPort = await listen(createHttpStandIn(chain, { rpcAuth: args.rpcAuth }), args.port);
+    const zmqPort = await listen(createZmqStandIn(chain), args.zmqPort);
+    chain.start();
+    console.log(`🧪 Chain stand-in at height ${chain.height}: Esplora/mempool on http://127.0.0.1:${httpPort}/api, bitcoind RPC on http://127.0.0.1:${httpPort}${args.rpcAuth ? ' (auth required)' : ''}, ZMQ on tcp://127.0.0.1:${zmqPort}`);
+    console.log(args.interval ? `⛏️ Mining a block every ${args.interval / 1000}s` : '⛏️ Mining only on request');
+
+    readline.createInterface({ input: process.stdin }).on('line', line => {
+        const [command, count] = line.trim().split(/\s+/);
+        if (command === 'mine') chain.mine(parseInt(count) || 1);
+        else if (command === 'reorg') chain.reorg(parseInt(count) || 1);
+        else if (command) console.log('Commands: mine [n], reorg [depth]');
+    });
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
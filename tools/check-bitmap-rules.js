@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Bitmap rule checker
+ *
+ * Runs the validity engine (lib/bitmapValidity.js) over the cases in fixtures/bitmap-claims.json and
+ * reports every case whose outcome differs from the recorded one. Each section exercises one layer:
+ * "parse" the text rules (leading zeros, whitespace, suffix, digits), "claims" a single inscription
+ * (content type, cursed, above the tip) and "blocks" first-is-first plus the verdict on a provider answer.
+ * Run it after touching the engine; add a case whenever a new malformed variant turns up in the wild.
+ *
+ * Usage:
+ *   node tools/check-bitmap-rules.js                    Check the bundled cases
+ *   node tools/check-bitmap-rules.js --file cases.json  Check another case file of the same shape
+ *   node tools/check-bitmap-rules.js --verbose          List passing cases too
+ *
+ * Exits with status 1 when any case fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseBitmapClaim, checkClaim, pickWinner, judgeAnswer } = require('../lib/bitmapValidity');
+
+function parseArgs(argv) {
+    const args = { file: path.join(__dirname, '..', 'fixtures', 'bitmap-claims.json'), verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--file') args.file = argv[++i];
+        else if (argv[i] === '--verbose') args.verbose = true;
+    }
+    return args;
+}
+
+// Field-by-field comparison of the expected keys only; returns the mismatches
+function diff(expected, actual) {
+    return Object.keys(expected)
+        .filter(key => expected[key] !== (actual[key] === undefined ? null : actual[key]))
+        .map(key => `${key}: expected ${JSON.stringify(expected[key])}, got ${JSON.stringify(actual[key])}`);
+}
+
+function runCases(cases) {
+    const results = [];
+
+    (cases.parse || []).forEach(testCase => {
+        const { content, note, ...expected } = testCase;
+        results.push({
+            section: 'parse',
+            name: JSON.stringify(content) + (note ? ` (${note})` : ''),
+            mismatches: diff(expected, parseBitmapClaim(content))
+        });
+    });
+
+    (cases.claims || []).forEach(testCase => {
+        results.push({
+            section: 'claims',
+            name: testCase.name,
+            mismatches: diff(testCase.expect, checkClaim(testCase.claim))
+        });
+    });
+
+    (cases.blocks || []).forEach(testCase => {
+        const { winner } = pickWinner(testCase.blockNumber, testCase.claims);
+        const verdict = judgeAnswer(testCase.blockNumber, testCase.answer, testCase.claims, { complete: testCase.complete });
+        const { winner: expectedWinner, ...expectedVerdict } = testCase.expect;
+
+        results.push({
+            section: 'blocks',
+            name: testCase.name,
+            mismatches: [
+                ...diff({ winner: expectedWinner }, { winner: winner ? winner.inscriptionId : null }),
+                ...diff(expectedVerdict, verdict)
+            ]
+        });
+    });
+
+    return results;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const cases = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+    const results = runCases(cases);
+    const failed = results.filter(result => result.mismatches.length > 0);
+
+    results.forEach(result => {
+        if (result.mismatches.length > 0) {
+            console.log(`❌ [${result.section}] ${result.name}`);
+            result.mismatches.forEach(mismatch => console.log(`      ${mismatch}`));
+        } else if (args.verbose) {
+            console.log(`✅ [${result.section}] ${result.name}`);
+        }
+    });
+
+    console.log(`⚖️ ${results.length - failed.length}/${results.length} bitmap rule cases passed (${path.relative(process.cwd(), args.file)})`);
+    if (failed.length > 0) process.exitCode = 1;
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ Rule check failed: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Dead-letter queue check
+ *
+ * Runs a tracker (mock chain, data files in a temporary directory) with one fetch worker and a
+ * stand-in lookup that always fails for one block, and checks that the block is looked up once,
+ * parked in the dead-letter queue, left out of every backfill and gap scan after that, and only
+ * looked up again once its retry time has come. Also checks that the backfill queue never holds a
+ * block twice.
+ *
+ * Usage:
+ *   node tools/check-dead-letters.js            Self-check, exits 1 on any failure
+ *   node tools/check-dead-letters.js --verbose  Show the tracker's own log too
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FAILING_BLOCK = 840000;
+const TIP = 840030;
+const RETRY_DELAY = 1500; // DEAD_LETTER_RETRY_DELAY for the run
+
+function parseArgs(argv) {
+    const args = { verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--verbose') args.verbose = true;
+    }
+    return args;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function until(condition, timeout = 10000) {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeout) throw new Error('timed out');
+        await wait(20);
+    }
+}
+
+// Blocks that occur more than once in a queue
+function duplicates(queue) {
+    return queue.filter((block, index) => queue.indexOf(block) !== index);
+}
+
+async function runCheck(verbose) {
+    const print = console.log.bind(console);
+    if (!verbose) {
+        console.log = () => {};
+        console.error = () => {};
+    }
+
+    // The tracker reads its configuration and data files from the working directory when it is loaded
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bitmap-dead-letters-'));
+    process.chdir(directory);
+    Object.assign(process.env, {
+        NETWORK: 'mainnet',
+        CHAIN_SOURCE: 'mock',
+        BITMAP_PROVIDERS: 'ord',
+        STORAGE_BACKEND: 'csv',
+        AUTO_COMMIT_CSV: 'false',
+        FETCH_WORKERS: '1',
+        RETRY_DELAY: '10',
+        DEAD_LETTER_RETRY_DELAY: String(RETRY_DELAY)
+    });
+    const CONFIG = require('../lib/config');
+    const EnhancedBitmapTracker = require('../script');
+
+    const results = [];
+    const check = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, ok: true });
+            print(`✅ ${name}`);
+        } catch (error) {
+            results.push({ name, ok: false });
+            print(`❌ ${name}: ${error.message}`);
+        }
+    };
+    const expect = (condition, message) => {
+        if (!condition) throw new Error(message);
+    };
+
+    const tracker = new EnhancedBitmapTracker();
+    tracker.initializeStorage();
+    tracker.currentBlock = TIP;
+
+    // Stand-in for the providers: FAILING_BLOCK always fails, every other block is empty
+    const lookups = new Map();
+    tracker.fetchBitmapData = async blockNumber => {
+        lookups.set(blockNumber, (lookups.get(blockNumber) || 0) + 1);
+        if (blockNumber === FAILING_BLOCK) throw new Error('Stand-in lookup failure');
+        return { inscriptionId: null, satNumber: '', provider: 'stand-in', label: 'stand-in' };
+    };
+    const lookupsOf = blockNumber => lookups.get(blockNumber) || 0;
+
+    tracker.queueHistoricalBlocks();
+    tracker.processing = true;
+    const worker = tracker.runFetchWorker(1);
+
+    await check('a failing block is looked up once and parked', async () => {
+        await until(() => tracker.processedBlocks.has(TIP - CONFIG.CONFIRMATIONS_REQUIRED + 1));
+        await wait(300);
+        expect(lookupsOf(FAILING_BLOCK) === CONFIG.MAX_RETRIES, `looked up ${lookupsOf(FAILING_BLOCK)} times (MAX_RETRIES ${CONFIG.MAX_RETRIES})`);
+        expect(tracker.deadLetters.has(FAILING_BLOCK), 'not in the dead-letter queue');
+    });
+    await check('backfill and gap scans leave a parked block out', async () => {
+        tracker.queueHistoricalBlocks();
+        tracker.detectAndQueueGaps();
+        expect(!tracker.backfillQueue.includes(FAILING_BLOCK), 'parked block was queued again');
+        await wait(300);
+        expect(lookupsOf(FAILING_BLOCK) === CONFIG.MAX_RETRIES, `looked up ${lookupsOf(FAILING_BLOCK)} times`);
+    });
+    await check('the backfill queue holds every block once', async () => {
+        tracker.processing = false;
+        await worker;
+        tracker.processedBlocks.delete(TIP - 1);
+        tracker.processedBlocks.delete(TIP - 2);
+        tracker.backfillProgress.lastProcessedBlock = TIP - 1;
+        for (let i = 0; i < 3; i++) tracker.queueHistoricalBlocks();
+        const repeated = duplicates(tracker.backfillQueue);
+        expect(repeated.length === 0, `queued twice: ${repeated.join(', ')}`);
+        expect(tracker.backfillQueue.length === 2, `queue holds ${tracker.backfillQueue.join(', ')}`);
+        tracker.backfillQueue.length = 0;
+        tracker.processedBlocks.add(TIP - 1);
+        tracker.processedBlocks.add(TIP - 2);
+    });
+    await check('a parked block is not retried before its retry time', async () => {
+        const entry = tracker.deadLetters.get(FAILING_BLOCK);
+        expect(Date.parse(entry.nextRetryAt) > Date.now(), `retry time ${entry.nextRetryAt} already passed`);
+        tracker.retryDueFailedBlocks();
+        expect(!tracker.backfillQueue.includes(FAILING_BLOCK), 'queued before its retry time');
+    });
+    await check('a parked block is looked up once more when its retry time comes', async () => {
+        const entry = tracker.deadLetters.get(FAILING_BLOCK);
+        await wait(Math.max(Date.parse(entry.nextRetryAt) - Date.now(), 0) + 50);
+        tracker.retryDueFailedBlocks();
+        tracker.retryDueFailedBlocks();
+        expect(tracker.backfillQueue.filter(block => block === FAILING_BLOCK).length === 1, `queue holds ${tracker.backfillQueue.join(', ')}`);
+
+        tracker.processing = true;
+        const retryWorker = tracker.runFetchWorker(1);
+        await until(() => tracker.deadLetters.get(FAILING_BLOCK).failures === 2);
+        await wait(300);
+        tracker.processing = false;
+        await retryWorker;
+        expect(lookupsOf(FAILING_BLOCK) === 2 * CONFIG.MAX_RETRIES, `looked up ${lookupsOf(FAILING_BLOCK)} times`);
+        expect(Date.parse(tracker.deadLetters.get(FAILING_BLOCK).nextRetryAt) > Date.now(), 'no new retry time');
+    });
+
+    process.chdir(os.tmpdir());
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    const failed = results.filter(result => !result.ok).length;
+    print(`\n📊 ${results.length - failed}/${results.length} dead-letter checks passed`);
+    return failed === 0;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const ok = await runCheck(args.verbose);
+    process.exit(ok ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
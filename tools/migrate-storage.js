@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * One-shot migration between storage backends
+ *
+ * Copies every bitmap row, confirmed-empty block, block metadata and block source record from one backend to another,
+ * then re-reads the target to check the counts match.
+ *
+ * Usage:
+ *   node tools/migrate-storage.js --from csv --to sqlite
+ *   node tools/migrate-storage.js --from sqlite --to csv --force
+ *
+ * Options:
+ *   --from <backend>   Source backend (csv or sqlite)
+ *   --to <backend>     Target backend (csv or sqlite)
+ *   --force            Overwrite a target that already holds data
+ *
+ * File locations come from the usual environment variables (HISTORICAL_CSV_FILE, REALTIME_CSV_FILE, EMPTY_BLOCKS_FILE, METADATA_FILE, SOURCES_FILE, SQLITE_FILE).
+ */
+
+const CONFIG = require('../lib/config');
+const { createStorage, BACKENDS } = require('../lib/storage');
+
+function parseArgs(argv) {
+    const args = { force: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--from') args.from = argv[++i];
+        else if (argv[i] === '--to') args.to = argv[++i];
+        else if (argv[i] === '--force') args.force = true;
+    }
+    return args;
+}
+
+async function migrate() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!BACKENDS.includes(args.from) || !BACKENDS.includes(args.to) || args.from === args.to) {
+        console.error(`Usage: node tools/migrate-storage.js --from <${BACKENDS.join('|')}> --to <${BACKENDS.join('|')}> [--force]`);
+        process.exit(1);
+    }
+
+    // The source is only read: no migration, compaction or journal replay touches it
+    const source = createStorage(CONFIG, { backend: args.from, readOnly: true });
+    const target = createStorage(CONFIG, { backend: args.to });
+
+    source.init();
+    target.init();
+
+    try {
+        const existing = target.countBlocks() + target.countEmptyBlocks();
+        if (existing > 0 && !args.force) {
+            console.error(`❌ ${target.describe()} already holds ${existing} entries - rerun with --force to overwrite`);
+            process.exit(1);
+        }
+
+        console.log(`🔄 Migrating ${source.describe()} → ${target.describe()}`);
+
+        const rows = [];
+        const emptyBlocks = [];
+        for (const row of source.iterateBlocks()) {
+            // Hand-edited CSV rows without an inscription mean the block has no bitmap
+            if (row.inscriptionId) rows.push(row);
+            else emptyBlocks.push(row.blockNumber);
+        }
+        source.forEachEmptyBlock(0, Infinity, blockNumber => {
+            if (!emptyBlocks.includes(blockNumber)) emptyBlocks.push(blockNumber);
+        });
+        emptyBlocks.sort((a, b) => a - b);
+
+        const metadata = source.allBlockMetadata();
+        const sources = source.allBlockSources();
+
+        await target.importAll(rows, emptyBlocks, metadata, sources);
+
+        const copiedRows = target.countBlocks();
+        const copiedEmpty = target.countEmptyBlocks();
+        const copiedMetadata = target.countBlockMetadata();
+        const copiedSources = target.countBlockSources();
+
+        if (copiedRows !== rows.length || copiedEmpty !== emptyBlocks.length || copiedMetadata !== metadata.length || copiedSources !== sources.length) {
+            console.error(`❌ Count mismatch after migration: ${copiedRows}/${rows.length} bitmaps, ${copiedEmpty}/${emptyBlocks.length} empty blocks, ${copiedMetadata}/${metadata.length} metadata records, ${copiedSources}/${sources.length} source records`);
+            process.exit(1);
+        }
+
+        console.log(`✅ Migrated ${copiedRows} bitmaps, ${copiedEmpty} confirmed-empty blocks, ${copiedMetadata} metadata records and ${copiedSources} source records`);
+        console.log(`💡 Set STORAGE_BACKEND=${args.to} to use the new backend`);
+    } finally {
+        source.close();
+        target.close();
+    }
+}
+
+migrate().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * ord fixture server
+ *
+ * Serves recorded ord JSON API responses from a fixtures directory, so the ord provider and
+ * INGESTION_MODE=ord can be run without a real ord instance. Each response is one file named after
+ * the request path (fixtures/ord/inscriptions/block/840000/0.json for /inscriptions/block/840000/0)
+ * holding { status, contentType, body }; JSON bodies are stored parsed, anything else as a string.
+ * Requests without a fixture get a 404 like ord gives for unknown blocks and inscriptions.
+ *
+ * Usage:
+ *   node tools/ord-fixture-server.js                              Serve fixtures/ord on port 8090
+ *   node tools/ord-fixture-server.js --port 9000 --dir my/fixtures
+ *   node tools/ord-fixture-server.js --record http://127.0.0.1:80 Proxy misses to a real ord and save them
+ *
+ * Then run the tracker against it:
+ *   INGESTION_MODE=ord ORD_API_URL=http://127.0.0.1:8090 ORD_REQUEST_INTERVAL=0 HISTORICAL_START_BLOCK=840000 npm start
+ *
+ * The bundled fixtures cover blocks 840000-840004 with made-up inscriptions (paged block listing,
+ * duplicate and malformed claims, a claim for a future block, a claim inscribed a block later).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+function parseArgs(argv) {
+    const args = { port: 8090, dir: path.join(__dirname, '..', 'fixtures', 'ord'), record: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = parseInt(argv[++i]);
+        else if (argv[i] === '--dir') args.dir = argv[++i];
+        else if (argv[i] === '--record') args.record = argv[++i].replace(/\/+$/, '');
+    }
+    return args;
+}
+
+// Request path -> fixture file, refusing anything that could leave the fixtures directory
+function fixtureFile(dir, requestPath) {
+    const cleanPath = requestPath.split('?')[0].replace(/^\/+/, '');
+    if (!cleanPath || !/^[\w/.-]+$/.test(cleanPath) || cleanPath.split('/').includes('..')) return null;
+    return path.join(dir, `${cleanPath}.json`);
+}
+
+function isJson(contentType) {
+    return typeof contentType === 'string' && contentType.includes('application/json');
+}
+
+function fetchUpstream(url, accept) {
+    const client = url.startsWith('https:') ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = client.get(url, { headers: { 'Accept': accept || '*/*' } }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, contentType: res.headers['content-type'] || 'text/plain', body: data }));
+        });
+        req.on('error', reject);
+        req.setTimeout(30000, () => {
+            req.destroy();
+            reject(new Error(`Upstream timeout for ${url}`));
+        });
+    });
+}
+
+// Record a fresh upstream response as a fixture
+async function record(args, requestPath, accept, file) {
+    const response = await fetchUpstream(`${args.record}${requestPath}`, accept);
+    const fixture = {
+        status: response.status,
+        contentType: response.contentType,
+        body: isJson(response.contentType) ? JSON.parse(response.body) : response.body
+    };
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+    console.log(`📼 Recorded ${requestPath} (${response.status})`);
+    return fixture;
+}
+
+function createServer(args) {
+    return http.createServer(async (req, res) => {
+        try {
+            const file = fixtureFile(args.dir, req.url);
+            if (!file) {
+                res.writeHead(400, { 'Content-Type': 'text/plain' });
+                res.end('bad request path');
+                return;
+            }
+
+            let fixture = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+            if (!fixture && args.record) {
+                fixture = await record(args, req.url, req.headers.accept, file);
+            }
+
+            if (!fixture) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('not found');
+                return;
+            }
+
+            const body = isJson(fixture.contentType) ? JSON.stringify(fixture.body) : String(fixture.body);
+            res.writeHead(fixture.status, { 'Content-Type': fixture.contentType });
+            res.end(body);
+        } catch (error) {
+            console.error(`❌ ${req.url}: ${error.message}`);
+            res.writeHead(502, { 'Content-Type': 'text/plain' });
+            res.end(error.message);
+        }
+    });
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    createServer(args).listen(args.port, () => {
+        console.log(`🧪 ord fixture server on http://127.0.0.1:${args.port} serving ${args.dir}${args.record ? ` (recording misses from ${args.record})` : ''}`);
+    });
+}
+
+module.exports = { createServer };
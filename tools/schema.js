@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * CSV schema migrations
+ *
+ * Shows the schema version of each data file (historical and realtime), lists applied and pending
+ * migrations and runs them up or down on both. The tracker applies pending migrations automatically
+ * on startup; this tool is for inspecting changes before they happen and for rolling back.
+ *
+ * Usage:
+ *   node tools/schema.js --list              Current version, applied history and pending steps
+ *   node tools/schema.js --dry-run           Report what migrating to the latest version would change
+ *   node tools/schema.js                     Migrate to the latest version
+ *   node tools/schema.js --to 1 [--dry-run]  Migrate up or down to a specific version
+ *
+ * Stop the tracker before migrating: it holds the data file open for appends.
+ */
+
+const CONFIG = require('../lib/config');
+const EmptyBlockLedger = require('../lib/emptyBlockLedger');
+const CsvSchemaMigrator = require('../lib/schema/csvMigrator');
+
+function parseArgs(argv) {
+    const args = { list: false, dryRun: false, to: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--list') args.list = true;
+        else if (argv[i] === '--dry-run') args.dryRun = true;
+        else if (argv[i] === '--to') args.to = parseInt(argv[++i]);
+    }
+    return args;
+}
+
+function printStatus(migrator) {
+    const status = migrator.status();
+
+    console.log(`📄 Data file: ${migrator.csvFile}`);
+    console.log(`🔢 Schema version: ${status.currentVersion} (latest ${status.latestVersion}, first seen at ${status.detectedVersion})`);
+
+    console.log('\n✅ Applied migrations:');
+    if (status.applied.length === 0) console.log('   (none)');
+    status.applied.forEach(entry => {
+        console.log(`   v${entry.version} ${entry.name} ${entry.direction} at ${entry.appliedAt}`);
+    });
+
+    console.log('\n⏳ Pending migrations:');
+    if (status.pending.length === 0) console.log('   (none)');
+    status.pending.forEach(migration => {
+        console.log(`   v${migration.version} ${migration.name} - ${migration.description}`);
+    });
+}
+
+function printReport(migrator, report) {
+    const verb = report.dryRun ? 'Would migrate' : 'Migrated';
+
+    if (report.steps.length === 0) {
+        console.log(`✅ ${migrator.csvFile}: already at schema version ${report.fromVersion}, nothing to do`);
+        return;
+    }
+
+    console.log(`${report.dryRun ? '🔍' : '✅'} ${verb} ${migrator.csvFile} schema v${report.fromVersion} → v${report.toVersion}`);
+    report.steps.forEach(step => {
+        console.log(`   v${step.version} ${step.name} (${step.direction})`);
+        console.log(`      columns: ${step.columnsBefore} → ${step.columnsAfter}`);
+        console.log(`      rows: ${step.rowsBefore} → ${step.rowsAfter}`);
+        console.log(`      confirmed-empty blocks: ${step.emptyBlocksBefore} → ${step.emptyBlocksAfter}`);
+    });
+
+    if (report.backupFiles.length > 0) {
+        console.log(`📄 Backup created: ${report.backupFiles.join(', ')}`);
+    }
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (CONFIG.STORAGE_BACKEND !== 'csv') {
+        console.error(`❌ Schema migrations apply to the CSV backend (STORAGE_BACKEND is ${CONFIG.STORAGE_BACKEND})`);
+        process.exit(1);
+    }
+
+    const emptyBlocks = new EmptyBlockLedger(CONFIG.EMPTY_BLOCKS_FILE);
+    emptyBlocks.load();
+
+    // Same files and ledger ownership as the CSV backend (lib/storage/csvStorage.js)
+    const migrators = [
+        new CsvSchemaMigrator({ csvFile: CONFIG.HISTORICAL_CSV_FILE, stateFile: CONFIG.CSV_SCHEMA_FILE, emptyBlocks }),
+        new CsvSchemaMigrator({ csvFile: CONFIG.REALTIME_CSV_FILE, stateFile: CONFIG.REALTIME_CSV_SCHEMA_FILE, emptyBlocks, holdsEmptyBlocks: false })
+    ];
+
+    if (args.list) {
+        migrators.forEach((migrator, index) => {
+            if (index > 0) console.log('');
+            printStatus(migrator);
+        });
+        return;
+    }
+
+    const targetVersion = args.to === null ? migrators[0].latestVersion : args.to;
+    if (isNaN(targetVersion)) {
+        console.error('❌ --to expects a schema version number');
+        process.exit(1);
+    }
+
+    let ledgerBackedUp = false;
+    for (const migrator of migrators) {
+        const report = migrator.migrate({ targetVersion, dryRun: args.dryRun, backupLedger: !ledgerBackedUp });
+        ledgerBackedUp = ledgerBackedUp || (!args.dryRun && report.steps.length > 0);
+        printReport(migrator, report);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ Schema migration failed:', error.message);
+    process.exit(1);
+}